@@ -0,0 +1,53 @@
+import { existsSync, readFileSync } from 'node:fs'
+import { fileURLToPath } from 'node:url'
+
+/**
+ * Node module hooks for the headless simulation
+ * Stands in for the Vite plugins: GLSL files load as strings and the bundler-only
+ * Rapier package (extensionless imports, .wasm import) resolves as plain ESM
+ */
+
+const rapierPath = '/@dimforge/rapier3d/'
+
+export async function resolve(specifier, context, nextResolve)
+{
+    // Package has no "main"/"exports", point the bare specifier at its entry
+    if(specifier === '@dimforge/rapier3d')
+    {
+        const manifest = await nextResolve('@dimforge/rapier3d/package.json', context)
+        return { url: new URL('./rapier.js', manifest.url).href, shortCircuit: true }
+    }
+
+    // Extensionless relative imports inside Rapier
+    if(context.parentURL && context.parentURL.includes(rapierPath) && specifier.startsWith('.'))
+    {
+        const url = new URL(specifier, context.parentURL)
+        if(!/\.(js|wasm)$/.test(url.pathname))
+        {
+            url.pathname += existsSync(fileURLToPath(url) + '.js') ? '.js' : '/index.js'
+        }
+        return { url: url.href, shortCircuit: true }
+    }
+
+    return nextResolve(specifier, context)
+}
+
+export async function load(url, context, nextLoad)
+{
+    if(url.endsWith('.glsl'))
+    {
+        const source = readFileSync(new URL(url), 'utf8')
+        return { format: 'module', source: `export default ${JSON.stringify(source)}`, shortCircuit: true }
+    }
+
+    if(url.includes(rapierPath))
+    {
+        if(url.endsWith('.wasm'))
+            return { format: 'wasm', source: readFileSync(new URL(url)), shortCircuit: true }
+
+        // Package isn't marked "type": "module" but ships ESM
+        return { format: 'module', source: readFileSync(new URL(url)), shortCircuit: true }
+    }
+
+    return nextLoad(url, context)
+}
@@ -0,0 +1,4 @@
+import { register } from 'node:module'
+
+// Usage: node --experimental-wasm-modules --import ./scripts/headless/register.js <script>
+register('./loader.js', import.meta.url)
@@ -0,0 +1,58 @@
+import { readFile, writeFile } from 'node:fs/promises'
+import { fileURLToPath } from 'node:url'
+import { parseArgs } from 'node:util'
+import Simulation from '../src/Experience/Simulation.js'
+
+/**
+ * Headless physics run
+ * npm run simulate -- [--duration 10] [--hz 60] [--every 0.5] [--script input.json] [--geo-nodes]
+ *                      [--record out.json] [--replay run.json]
+ *
+ * --script is a JSON array of timed inputs:
+ * [{ "time": 0, "keys": { "w": true } }, { "time": 4.5, "toggleFlight": true }, { "time": 6, "actions": { "roll": 0.5 } }]
+ * --record saves the run as a replay file, --replay plays one back (duration defaults to its length)
+ *
+ * Prints one JSON line per sample
+ */
+const { values } = parseArgs({
+    options: {
+        duration: { type: 'string', default: '10' },
+        hz: { type: 'string', default: '60' },
+        every: { type: 'string', default: '0.5' },
+        script: { type: 'string' },
+        record: { type: 'string' },
+        replay: { type: 'string' },
+        'geo-nodes': { type: 'boolean', default: false }
+    }
+})
+
+const script = values.script ? JSON.parse(await readFile(values.script, 'utf8')) : []
+
+const simulation = new Simulation({
+    staticPath: fileURLToPath(new URL('../static/', import.meta.url)),
+    fixedHz: Number(values.hz),
+    geoNodes: values['geo-nodes']
+})
+await simulation.ready()
+
+let duration = Number(values.duration)
+if(values.replay)
+    duration = simulation.playReplay(JSON.parse(await readFile(values.replay, 'utf8')))
+
+if(values.record)
+    simulation.player.replay.startRecording()
+
+const sampleEvery = Math.max(1, Math.round(Number(values.every) * simulation.physics.fixedHz))
+console.log(JSON.stringify(simulation.getState()))
+
+const state = simulation.run(script, duration, (state) =>
+{
+    if(state.step % sampleEvery === 0)
+        console.log(JSON.stringify(state))
+})
+
+if(state.step % sampleEvery !== 0)
+    console.log(JSON.stringify(state))
+
+if(values.record)
+    await writeFile(values.record, JSON.stringify(simulation.player.replay.stop()))
@@ -9,10 +9,16 @@ import RampCameraMode from './RampCameraMode.js'
 import FlightCameraMode from './FlightCameraMode.js'
 import OceanCameraMode from './OceanCameraMode.js'
 import FreeRoamMode from './FreeRoamMode.js'
+import CameraModeRegistry from './CameraModeRegistry.js'
+import CameraCollision from './CameraCollision.js'
+import CinematicCameraMode from './CinematicCameraMode.js'
+import CinematicEditor from './CinematicEditor.js'
 
 /**
  * Camera - Main camera class
  * Orchestrates all camera subsystems and modes
+ * Follow modes are registered in this.modes (CameraModeRegistry) with a priority and an
+ * activation predicate - add one with camera.modes.register(name, mode, options)
  */
 export default class Camera
 {
@@ -39,10 +45,14 @@ export default class Camera
         this.rampMode = new RampCameraMode(this)
         this.flightMode = new FlightCameraMode(this)
         this.oceanMode = new OceanCameraMode(this)
+        this.cinematicMode = new CinematicCameraMode(this)
         this.freeRoamMode = new FreeRoamMode(this)
+        this.setModes()
+        this.collision = new CameraCollision(this)
         
         // Setup debug UI
         this.cameraDebug = new CameraDebug(this)
+        this.cinematicEditor = new CinematicEditor(this)
         
         // Start in free roam mode
         this.freeRoamMode.toggle()
@@ -68,6 +78,37 @@ export default class Camera
         }
     }
 
+    /**
+     * Modes, highest priority first: cinematic (while a path plays) > ocean > flight > ramp (past rampThresholdX) > default
+     */
+    setModes()
+    {
+        this.modes = new CameraModeRegistry(this)
+        
+        // Shots start exactly on their first keyframe and are played as authored, through walls and water
+        this.modes.register('cinematic', this.cinematicMode, {
+            priority: 100,
+            isActive: () => this.cinematicMode.playing && !this.cinematicMode.preview,
+            blendDuration: 0,
+            avoidCollisions: false
+        })
+        this.modes.register('ocean', this.oceanMode, {
+            priority: 30,
+            isActive: (vars) => vars.targetState === 'ocean',
+            blendDuration: 1.2
+        })
+        this.modes.register('flight', this.flightMode, {
+            priority: 20,
+            isActive: (vars) => vars.targetState === 'flight'
+        })
+        this.modes.register('ramp', this.rampMode, {
+            priority: 10,
+            isActive: (vars, target) => target.group.position.x > vars.rampThresholdX,
+            blendDuration: 0.4
+        })
+        this.modes.register('default', this.defaultMode)
+    }
+
     setInstance()
     {
         this.instance = new THREE.PerspectiveCamera(35, this.sizes.width / this.sizes.height, 0.1, 10000)
@@ -85,7 +126,58 @@ export default class Camera
 
     setTarget(target)
     {
+        if(this.vars.target && this.vars.target.stateMachine)
+            this.vars.target.stateMachine.off('change.camera')
+        
         this.vars.target = target
+        this.vars.targetState = null
+        
+        // Follow state transitions instead of polling the target's flags
+        if(target.stateMachine)
+        {
+            this.vars.targetState = target.stateMachine.name
+            target.stateMachine.on('change.camera', (to, from) => {
+                this.vars.targetState = to
+                
+                // Teleported - don't sweep across the map
+                if(from === 'respawning')
+                    this.resetToTarget()
+            })
+        }
+    }
+
+    /**
+     * Jump behind the target in default mode (after a respawn)
+     */
+    resetToTarget()
+    {
+        const target = this.vars.target
+        if(!target || !target.body) return
+        
+        const position = target.body.translation()
+        const velocity = target.body.linvel()
+        
+        if(Math.hypot(velocity.x, velocity.z) > 0.1)
+            this.vars.targetAngle = Math.atan2(velocity.x, velocity.z) + Math.PI
+        this.vars.currentAngle = this.vars.targetAngle
+        
+        this.vars.currentFov = this.vars.baseFov
+        this.vars.currentPosition.set(
+            position.x + Math.sin(this.vars.currentAngle) * this.vars.offsetDistance,
+            position.y + this.vars.offsetHeight,
+            position.z + Math.cos(this.vars.currentAngle) * this.vars.offsetDistance
+        )
+        this.vars.currentLookAt.set(position.x, position.y, position.z)
+        this.modes.cut('default')
+        this.collision.reset()
+        
+        if(!this.vars.isFreeRoam)
+        {
+            this.instance.position.copy(this.vars.currentPosition)
+            this.instance.fov = this.vars.currentFov
+            this.instance.updateProjectionMatrix()
+            this.instance.lookAt(this.vars.currentLookAt)
+        }
     }
 
     resize()
@@ -114,52 +206,45 @@ export default class Camera
         const target = this.vars.target
         if(!target || !target.group || !target.body)
             return
-            
-        // Determine camera mode based on ball position and flight state
-        const ballX = target.group.position.x
-        let previousMode = this.vars.mode
         
-        // Ocean mode takes priority (player in water)
-        if(target.isInOcean)
-        {
-            this.vars.mode = 'ocean'
-        }
-        // Flight mode next priority
-        else if(target.isFlying)
-        {
-            this.vars.mode = 'flight'
-        }
-        else if(ballX > this.vars.rampThresholdX)
+        // Highest-priority active mode, blended in on changes
+        this.modes.update()
+        
+        if(this.modes.active && this.modes.active.avoidCollisions)
         {
-            this.vars.mode = 'ramp'
+            this.collision.update()
+            this.keepAboveWater()
         }
         else
         {
-            this.vars.mode = 'default'
-        }
-
-        // On first frame entering ramp mode, trigger onEnter
-        if(this.vars.mode === 'ramp' && previousMode !== 'ramp')
-        {
-            this.rampMode.onEnter()
+            // Nothing left pulled in or faded from before the mode took over
+            this.collision.reset()
         }
+    }
 
-        // Update based on mode
-        switch(this.vars.mode)
-        {
-            case 'default':
-                this.defaultMode.update()
-                break
-            case 'ramp':
-                this.rampMode.update()
-                break
-            case 'flight':
-                this.flightMode.update()
-                break
-            case 'ocean':
-                this.oceanMode.update()
-                break
-        }
+    /**
+     * Push the follow camera above the waves instead of clipping through them
+     * Not while the ball is under the surface in the ocean - the camera follows it down, so the
+     * Renderer 'underwater' switch and the droplets on surfacing can happen
+     */
+    keepAboveWater()
+    {
+        const ocean = this.experience.world && this.experience.world.ocean
+        if(!ocean) return
+        
+        const time = ocean.getRenderTime()
+        
+        const targetPosition = this.vars.target.group.position
+        if(this.vars.targetState === 'ocean' && targetPosition.y < ocean.getHeightAt(targetPosition.x, targetPosition.z, time))
+            return
+        
+        const position = this.instance.position
+        const minY = ocean.getHeightAt(position.x, position.z, time) + this.vars.waterClearance
+        if(position.y >= minY) return
+        
+        position.y = minY
+        this.vars.currentPosition.y = Math.max(this.vars.currentPosition.y, minY)
+        this.instance.lookAt(this.vars.currentLookAt)
     }
 
     getForwardDirection()
@@ -0,0 +1,198 @@
+import * as THREE from 'three'
+
+/**
+ * CameraCollision - Keeps the follow camera out of world colliders
+ * A sphere (vars.collisionRadius) is cast from the ball to the camera pose the modes asked for;
+ * when it hits, the camera is pulled in along that line. The pull grows at pullInSpeed and
+ * eases off at releaseSpeed, so brief occlusions don't make the camera pop
+ *
+ * Occluder fading (vars.fadeOccluders): colliders on the line of sight whose owner has a mesh
+ * (physics.createCollider(desc, body, { ..., mesh })) fade to vars.occluderOpacity
+ */
+export default class CameraCollision
+{
+    constructor(camera)
+    {
+        this.camera = camera
+        this.vars = camera.vars
+        this.experience = camera.experience
+        this.physics = this.experience.physics
+        this.time = this.experience.time
+
+        // Meters the camera is currently pulled in towards the ball
+        this.pull = 0
+
+        // Faded meshes: mesh -> { opacity, transparent, depthWrite, fade, occluding }
+        this.faded = new Map()
+
+        this.direction = new THREE.Vector3()
+    }
+
+    /**
+     * Pull the camera in front of whatever is between it and the ball
+     * Runs after the modes have placed the camera, and only moves the rendered camera
+     */
+    update()
+    {
+        const target = this.vars.target
+        const world = this.physics.world
+        if(!target || !world) return
+
+        const dt = this.time.delta * 0.001
+        const instance = this.camera.instance
+        const origin = target.group.position
+
+        this.direction.subVectors(instance.position, origin)
+        const desired = this.direction.length()
+        if(desired < 1e-4) return
+        this.direction.divideScalar(desired)
+
+        let wantedPull = 0
+        if(this.vars.collisionEnabled)
+        {
+            const free = this.cast(origin, desired)
+            wantedPull = desired - free
+        }
+
+        // Fast in, slow out - frame-rate independent exponential smoothing
+        const speed = wantedPull > this.pull ? this.vars.collisionPullInSpeed : this.vars.collisionReleaseSpeed
+        this.pull += (wantedPull - this.pull) * (1 - Math.exp(-speed * dt))
+        this.pull = THREE.MathUtils.clamp(this.pull, 0, desired)
+
+        if(this.pull > 1e-3)
+        {
+            const distance = Math.max(desired - this.pull, this.vars.collisionRadius)
+            instance.position.copy(origin).addScaledVector(this.direction, distance)
+            instance.lookAt(this.vars.currentLookAt)
+        }
+
+        this.updateFading(origin, dt)
+    }
+
+    /**
+     * Free distance from the ball towards the camera for the collision sphere
+     * @param {THREE.Vector3} origin - Ball position
+     * @param {number} distance - Desired camera distance
+     * @returns {number} - Meters, distance when nothing is in the way
+     */
+    cast(origin, distance)
+    {
+        const RAPIER = this.physics.getRAPIDER()
+        if(!this.shape || this.shapeRadius !== this.vars.collisionRadius)
+        {
+            this.shape = new RAPIER.Ball(this.vars.collisionRadius)
+            this.shapeRadius = this.vars.collisionRadius
+        }
+
+        const target = this.vars.target
+
+        // Colliders the sphere starts in (the ground under the ball) are ignored
+        const hit = this.physics.world.castShape(
+            origin,
+            { x: 0, y: 0, z: 0, w: 1 },
+            { x: this.direction.x * distance, y: this.direction.y * distance, z: this.direction.z * distance },
+            this.shape,
+            0,
+            1,
+            false,
+            RAPIER.QueryFilterFlags.EXCLUDE_SENSORS,
+            undefined,
+            target.collider,
+            target.body
+        )
+
+        return hit ? hit.time_of_impact * distance : distance
+    }
+
+    /**
+     * Fade meshes of colliders between the camera and the ball, restore the rest
+     * @param {THREE.Vector3} origin - Ball position
+     * @param {number} dt - Seconds
+     */
+    updateFading(origin, dt)
+    {
+        for(const state of this.faded.values())
+            state.occluding = false
+
+        if(this.vars.fadeOccluders)
+        {
+            const RAPIER = this.physics.getRAPIDER()
+            const target = this.vars.target
+            const position = this.camera.instance.position
+            const distance = position.distanceTo(origin)
+            const ray = new RAPIER.Ray(
+                { x: origin.x, y: origin.y, z: origin.z },
+                {
+                    x: (position.x - origin.x) / distance,
+                    y: (position.y - origin.y) / distance,
+                    z: (position.z - origin.z) / distance
+                }
+            )
+
+            this.physics.world.intersectionsWithRay(ray, distance, false, (intersection) => {
+                const owner = this.physics.getColliderOwner(intersection.collider.handle)
+                if(owner && owner.mesh)
+                    this.getFadeState(owner.mesh).occluding = true
+                return true
+            }, RAPIER.QueryFilterFlags.EXCLUDE_SENSORS, undefined, target.collider, target.body)
+        }
+
+        const step = 1 - Math.exp(-this.vars.occluderFadeSpeed * dt)
+        for(const [mesh, state] of this.faded)
+        {
+            const wanted = state.occluding ? this.vars.occluderOpacity : 1
+            state.fade += (wanted - state.fade) * step
+
+            // Back to its own material settings once visible again
+            if(!state.occluding && state.fade > 0.99)
+            {
+                mesh.material.opacity = state.opacity
+                mesh.material.transparent = state.transparent
+                mesh.material.depthWrite = state.depthWrite
+                mesh.material.needsUpdate = true
+                this.faded.delete(mesh)
+                continue
+            }
+
+            mesh.material.opacity = state.opacity * state.fade
+        }
+    }
+
+    getFadeState(mesh)
+    {
+        let state = this.faded.get(mesh)
+        if(!state)
+        {
+            const material = mesh.material
+            state = {
+                opacity: material.opacity,
+                transparent: material.transparent,
+                depthWrite: material.depthWrite,
+                fade: 1,
+                occluding: false
+            }
+            material.transparent = true
+            material.depthWrite = false
+            material.needsUpdate = true
+            this.faded.set(mesh, state)
+        }
+        return state
+    }
+
+    /**
+     * Drop the pull and restore faded meshes (free roam, teleports)
+     */
+    reset()
+    {
+        this.pull = 0
+
+        for(const [mesh, state] of this.faded)
+        {
+            mesh.material.opacity = state.opacity
+            mesh.material.transparent = state.transparent
+            mesh.material.depthWrite = state.depthWrite
+            mesh.material.needsUpdate = true
+        }
+        this.faded.clear()
+    }
+}
@@ -1,3 +1,5 @@
+import { easings } from './CameraModeRegistry.js'
+
 /**
  * CameraDebug - Debug UI for camera settings
  * Handles lil-gui folder setup for camera properties
@@ -169,6 +171,74 @@ export default class CameraDebug
             .step(0.001)
             .name('lerp speed')
         
+        oceanFolder
+            .add(this.vars, 'waterClearance')
+            .min(0)
+            .max(5)
+            .step(0.1)
+            .name('clearance above waves')
+        
+        // Collision avoidance
+        const collisionFolder = cameraFolder.addFolder('Collision')
+        collisionFolder.close()
+        
+        collisionFolder.add(this.vars, 'collisionEnabled').name('pull in when occluded')
+        
+        collisionFolder
+            .add(this.vars, 'collisionRadius')
+            .min(0.05)
+            .max(2)
+            .step(0.05)
+            .name('sphere radius')
+        
+        collisionFolder
+            .add(this.vars, 'collisionPullInSpeed')
+            .min(1)
+            .max(60)
+            .step(1)
+            .name('pull in speed')
+        
+        collisionFolder
+            .add(this.vars, 'collisionReleaseSpeed')
+            .min(0.5)
+            .max(20)
+            .step(0.5)
+            .name('release speed')
+        
+        collisionFolder.add(this.vars, 'fadeOccluders').name('fade occluders')
+        
+        collisionFolder
+            .add(this.vars, 'occluderOpacity')
+            .min(0)
+            .max(1)
+            .step(0.05)
+            .name('occluder opacity')
+        
+        collisionFolder
+            .add(this.vars, 'occluderFadeSpeed')
+            .min(1)
+            .max(30)
+            .step(1)
+            .name('fade speed')
+        
+        // Mode transitions - one row per registered mode
+        const transitionsFolder = cameraFolder.addFolder('Transitions')
+        transitionsFolder.close()
+        
+        for(const entry of this.camera.modes.entries)
+        {
+            transitionsFolder
+                .add(entry, 'blendDuration')
+                .min(0)
+                .max(3)
+                .step(0.05)
+                .name(`into ${entry.name} (s)`)
+            
+            transitionsFolder
+                .add(entry, 'easing', Object.keys(easings))
+                .name(`${entry.name} easing`)
+        }
+        
         // General Settings
         cameraFolder
             .add(this.vars, 'rampThresholdX')
@@ -198,7 +268,19 @@ export default class CameraDebug
             oceanCameraHeight: this.vars.oceanCameraHeight,
             oceanFov: this.vars.oceanFov,
             oceanLerpSpeed: this.vars.oceanLerpSpeed,
-            rampThresholdX: this.vars.rampThresholdX
+            waterClearance: this.vars.waterClearance,
+            collisionEnabled: this.vars.collisionEnabled,
+            collisionRadius: this.vars.collisionRadius,
+            collisionPullInSpeed: this.vars.collisionPullInSpeed,
+            collisionReleaseSpeed: this.vars.collisionReleaseSpeed,
+            fadeOccluders: this.vars.fadeOccluders,
+            occluderOpacity: this.vars.occluderOpacity,
+            occluderFadeSpeed: this.vars.occluderFadeSpeed,
+            rampThresholdX: this.vars.rampThresholdX,
+            transitions: Object.fromEntries(this.camera.modes.entries.map((entry) => [
+                entry.name,
+                { blendDuration: entry.blendDuration, easing: entry.easing }
+            ]))
         }))
     }
 }
@@ -0,0 +1,211 @@
+import * as THREE from 'three'
+import EventEmitter from '../Utils/EventEmitter.js'
+
+/**
+ * Easing curves for mode transitions, t in [0, 1]
+ */
+export const easings = {
+    linear: (t) => t,
+    easeInQuad: (t) => t * t,
+    easeOutQuad: (t) => t * (2 - t),
+    easeInOutQuad: (t) => t < 0.5 ? 2 * t * t : 1 - Math.pow(-2 * t + 2, 2) / 2,
+    easeOutCubic: (t) => 1 - Math.pow(1 - t, 3),
+    easeInOutCubic: (t) => t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2
+}
+
+/**
+ * CameraModeRegistry - Follow camera modes picked by priority
+ * Every frame the highest-priority mode whose isActive(vars, target) is true drives the camera;
+ * a change of mode blends position, look-at and FOV from the previous camera pose over the
+ * new mode's blendDuration with its easing
+ *
+ * A mode is any object with update(pose), which writes its wanted { position, lookAt, fov } into pose,
+ * and optionally enter(current), called with the camera pose when the mode takes over
+ *
+ * Events:
+ * - 'change' (to, from) when the active mode changes
+ */
+export default class CameraModeRegistry extends EventEmitter
+{
+    constructor(camera)
+    {
+        super()
+
+        this.camera = camera
+        this.vars = camera.vars
+        this.time = camera.experience.time
+
+        this.entries = []
+        this.active = null
+
+        // Camera pose written every frame, kept in vars so the rest of the camera (free roam, HUD, water clearance) reads it
+        this.output = {
+            position: this.vars.currentPosition,
+            lookAt: this.vars.currentLookAt
+        }
+
+        // Previous pose held relative to the target while blending, so it keeps up with the ball
+        this.blend = null
+        this.blendFrom = {
+            position: new THREE.Vector3(),
+            lookAt: new THREE.Vector3(),
+            fov: 0
+        }
+    }
+
+    /**
+     * Add a camera mode
+     * @param {string} name - Shown on the HUD
+     * @param {Object} mode - { update(pose), enter?(current) }
+     * @param {Object} [options]
+     * @param {number} [options.priority] - Higher wins when several modes are active
+     * @param {Function} [options.isActive] - (vars, target) => boolean, always active if omitted
+     * @param {number} [options.blendDuration] - Seconds to blend into this mode
+     * @param {string|Function} [options.easing] - Name in easings, or a curve
+     * @param {boolean} [options.avoidCollisions] - Keep the camera out of colliders and above the waves (default true)
+     */
+    register(name, mode, options = {})
+    {
+        this.unregister(name)
+
+        const entry = {
+            name,
+            mode,
+            priority: options.priority ?? 0,
+            isActive: options.isActive || (() => true),
+            blendDuration: options.blendDuration ?? this.vars.blendDuration,
+            easing: options.easing || this.vars.blendEasing,
+            avoidCollisions: options.avoidCollisions ?? true,
+            pose: {
+                position: new THREE.Vector3(),
+                lookAt: new THREE.Vector3(),
+                fov: this.vars.baseFov
+            }
+        }
+
+        this.entries.push(entry)
+        this.entries.sort((a, b) => b.priority - a.priority)
+
+        return entry
+    }
+
+    unregister(name)
+    {
+        const index = this.entries.findIndex((entry) => entry.name === name)
+        if(index === -1) return
+
+        if(this.active === this.entries[index])
+            this.active = null
+
+        this.entries.splice(index, 1)
+    }
+
+    get(name)
+    {
+        return this.entries.find((entry) => entry.name === name) || null
+    }
+
+    /**
+     * Highest-priority mode that wants the camera
+     */
+    resolve()
+    {
+        const target = this.vars.target
+        return this.entries.find((entry) => entry.isActive(this.vars, target)) || null
+    }
+
+    /**
+     * Switch modes, blending from the current pose
+     * @param {string} name
+     */
+    switchTo(name)
+    {
+        const entry = this.get(name)
+        if(!entry || entry === this.active) return
+
+        const target = this.vars.target.group.position
+        this.blendFrom.position.subVectors(this.output.position, target)
+        this.blendFrom.lookAt.subVectors(this.output.lookAt, target)
+        this.blendFrom.fov = this.vars.currentFov
+
+        this.blend = entry.blendDuration > 0 ? { elapsed: 0, duration: entry.blendDuration, easing: entry.easing } : null
+
+        this.enter(entry)
+    }
+
+    /**
+     * Switch modes without blending (teleports, leaving free roam)
+     * @param {string} name
+     */
+    cut(name)
+    {
+        const entry = this.get(name)
+        if(!entry) return
+
+        this.blend = null
+        this.enter(entry)
+    }
+
+    enter(entry)
+    {
+        const from = this.active ? this.active.name : null
+
+        // Modes smooth from where the camera is, not from where they were last time
+        entry.pose.position.copy(this.output.position)
+        entry.pose.lookAt.copy(this.output.lookAt)
+        entry.pose.fov = this.vars.currentFov
+        if(entry.mode.enter)
+            entry.mode.enter(entry.pose)
+
+        this.active = entry
+        this.vars.mode = entry.name
+
+        this.trigger('change', [entry.name, from])
+    }
+
+    /**
+     * Pick the mode, step it and write the blended pose to the camera
+     */
+    update()
+    {
+        const next = this.resolve()
+        if(!next) return
+
+        if(!this.active)
+            this.cut(next.name)
+        else if(next !== this.active)
+            this.switchTo(next.name)
+
+        const pose = this.active.pose
+        this.active.mode.update(pose)
+
+        this.output.position.copy(pose.position)
+        this.output.lookAt.copy(pose.lookAt)
+        this.vars.currentFov = pose.fov
+
+        if(this.blend)
+        {
+            this.blend.elapsed += this.time.delta * 0.001
+            const progress = Math.min(this.blend.elapsed / this.blend.duration, 1)
+            const easing = typeof this.blend.easing === 'function' ? this.blend.easing : easings[this.blend.easing] || easings.linear
+            const t = easing(progress)
+
+            const target = this.vars.target.group.position
+            this.output.position.lerp(this.blendFrom.position.clone().add(target), 1 - t)
+            this.output.lookAt.lerp(this.blendFrom.lookAt.clone().add(target), 1 - t)
+            this.vars.currentFov += (this.blendFrom.fov - this.vars.currentFov) * (1 - t)
+
+            if(progress >= 1)
+                this.blend = null
+        }
+
+        const instance = this.camera.instance
+        instance.position.copy(this.output.position)
+        if(instance.fov !== this.vars.currentFov)
+        {
+            instance.fov = this.vars.currentFov
+            instance.updateProjectionMatrix()
+        }
+        instance.lookAt(this.output.lookAt)
+    }
+}
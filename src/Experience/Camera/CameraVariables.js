@@ -12,9 +12,13 @@ export default class CameraVariables
         this.devMode = false
 
         // Camera mode system
-        this.mode = 'default' // 'default', 'ramp', 'flight', 'ocean', or 'freeRoam'
+        this.mode = 'default' // Active mode in Camera.modes ('default', 'ramp', 'flight', 'ocean', ...)
         this.rampThresholdX = 10 // X position where ramp curve starts
         
+        // Mode transitions (per-mode values live on the registry entries)
+        this.blendDuration = 0.8 // Seconds
+        this.blendEasing = 'easeInOutCubic' // Name in CameraModeRegistry easings
+        
         // Free roam mode
         this.isFreeRoam = false
         this.savedMode = 'default' // Store the mode before entering free roam
@@ -23,12 +27,14 @@ export default class CameraVariables
 
         // Camera follow properties
         this.target = null
+        this.targetState = null // Target's state machine state, updated on 'change'
         this.offset = new THREE.Vector3(0, 3, -10)
         this.offsetDistance = 10
         this.offsetHeight = 2.5
         
         // Animation properties
         this.currentPosition = new THREE.Vector3(-10, 2.5, 0) // Start behind spawn point
+        this.currentLookAt = new THREE.Vector3()
         this.currentAngle = -Math.PI / 2 // Start pointing along -X axis (behind ball moving in +X)
         this.targetAngle = -Math.PI / 2
         this.positionLerpSpeed = 0.02
@@ -66,5 +72,15 @@ export default class CameraVariables
         this.oceanCameraHeight = 3 // Height above ball in ocean mode
         this.oceanFov = 50 // FOV during ocean mode
         this.oceanLerpSpeed = 0.005 // Smooth camera movement in ocean mode
+        this.waterClearance = 0.5 // Minimum height of the camera above the waves (not while the ball is under them)
+        
+        // Collision avoidance (CameraCollision)
+        this.collisionEnabled = true
+        this.collisionRadius = 0.3 // Sphere cast from the ball to the camera
+        this.collisionPullInSpeed = 20 // 1/s, how fast the camera moves in front of an obstacle
+        this.collisionReleaseSpeed = 3 // 1/s, how fast it goes back out
+        this.fadeOccluders = true // Fade meshes of colliders between the camera and the ball
+        this.occluderOpacity = 0.2
+        this.occluderFadeSpeed = 8 // 1/s
     }
 }
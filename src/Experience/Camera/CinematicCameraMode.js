@@ -0,0 +1,319 @@
+import * as THREE from 'three'
+import EventEmitter from '../Utils/EventEmitter.js'
+
+const VERSION = 1
+
+/**
+ * Uniform Catmull-Rom for scalars (FOV between keyframes)
+ */
+function catmullRom(t, p0, p1, p2, p3)
+{
+    const v0 = (p2 - p0) * 0.5
+    const v1 = (p3 - p1) * 0.5
+    const t2 = t * t
+    const t3 = t * t2
+    return (2 * p1 - 2 * p2 + v0 + v1) * t3 + (-3 * p1 + 3 * p2 - 2 * v0 - v1) * t2 + v0 * t + p1
+}
+
+/**
+ * CinematicCameraMode - Camera flown along keyframed Catmull-Rom splines
+ * Position and look-at each follow their own centripetal spline through the keyframes,
+ * FOV is interpolated between keys, and each key sets when the camera passes it
+ *
+ * Registered in Camera.modes above every follow mode while a path plays in game;
+ * FreeRoamMode runs it directly for previews (see CinematicEditor for the keyframe editor)
+ *
+ * Path file (JSON):
+ * {
+ *     version: 1,
+ *     loop: false,
+ *     keyframes: [{ time: seconds, position: [x, y, z], lookAt: [x, y, z], fov: degrees }, ...]
+ * }
+ *
+ * Events:
+ * - 'play' when a path starts
+ * - 'end' when it finishes or is stopped
+ * - 'change' when the keyframes change
+ */
+export default class CinematicCameraMode extends EventEmitter
+{
+    constructor(camera)
+    {
+        super()
+
+        this.camera = camera
+        this.vars = camera.vars
+        this.time = camera.experience.time
+
+        // Keyframes: { time, position: THREE.Vector3, lookAt: THREE.Vector3, fov }, sorted by time
+        this.keyframes = []
+        this.loop = false
+
+        this.playing = false
+        this.preview = false // Played by FreeRoamMode instead of the mode registry
+        this.playhead = 0
+
+        this.positionCurve = null
+        this.lookAtCurve = null
+
+        this.loadFromUrl()
+    }
+
+    get duration()
+    {
+        return this.keyframes.length ? this.keyframes[this.keyframes.length - 1].time : 0
+    }
+
+    /**
+     * Add a keyframe and keep the list in time order
+     * @param {Object} keyframe - { time, position, lookAt, fov } (vectors or [x, y, z])
+     * @returns {Object} - The stored keyframe
+     */
+    addKeyframe(keyframe)
+    {
+        const stored = {
+            time: keyframe.time,
+            position: new THREE.Vector3().fromArray(Array.isArray(keyframe.position) ? keyframe.position : keyframe.position.toArray()),
+            lookAt: new THREE.Vector3().fromArray(Array.isArray(keyframe.lookAt) ? keyframe.lookAt : keyframe.lookAt.toArray()),
+            fov: keyframe.fov
+        }
+
+        this.keyframes.push(stored)
+        this.rebuild()
+
+        return stored
+    }
+
+    removeKeyframe(keyframe)
+    {
+        const index = this.keyframes.indexOf(keyframe)
+        if(index === -1) return
+
+        this.keyframes.splice(index, 1)
+        this.rebuild()
+    }
+
+    clear()
+    {
+        this.stop()
+        this.keyframes.length = 0
+        this.rebuild()
+    }
+
+    /**
+     * Sort the keys and rebuild the splines - call after editing keyframes in place
+     */
+    rebuild()
+    {
+        this.keyframes.sort((a, b) => a.time - b.time)
+
+        if(this.keyframes.length >= 2)
+        {
+            this.positionCurve = new THREE.CatmullRomCurve3(this.keyframes.map((key) => key.position), false, 'centripetal')
+            this.lookAtCurve = new THREE.CatmullRomCurve3(this.keyframes.map((key) => key.lookAt), false, 'centripetal')
+        }
+        else
+        {
+            this.positionCurve = null
+            this.lookAtCurve = null
+        }
+
+        this.trigger('change')
+    }
+
+    /**
+     * Camera pose at a time along the path
+     * @param {number} time - Seconds on the keyframe timeline
+     * @param {Object} pose - { position, lookAt, fov } written in place
+     */
+    evaluate(time, pose)
+    {
+        const keys = this.keyframes
+        if(keys.length === 0) return pose
+
+        if(keys.length === 1 || time <= keys[0].time)
+        {
+            pose.position.copy(keys[0].position)
+            pose.lookAt.copy(keys[0].lookAt)
+            pose.fov = keys[0].fov
+            return pose
+        }
+
+        // Segment containing the time, then the spline parameter (CatmullRomCurve3 spaces keys evenly in u)
+        let index = keys.length - 2
+        for(let i = 0; i < keys.length - 1; i++)
+        {
+            if(time < keys[i + 1].time)
+            {
+                index = i
+                break
+            }
+        }
+        const span = keys[index + 1].time - keys[index].time
+        const local = span > 0 ? THREE.MathUtils.clamp((time - keys[index].time) / span, 0, 1) : 1
+        const u = (index + local) / (keys.length - 1)
+
+        this.positionCurve.getPoint(u, pose.position)
+        this.lookAtCurve.getPoint(u, pose.lookAt)
+
+        const fov = (i) => keys[THREE.MathUtils.clamp(i, 0, keys.length - 1)].fov
+        pose.fov = catmullRom(local, fov(index - 1), fov(index), fov(index + 1), fov(index + 2))
+
+        return pose
+    }
+
+    /**
+     * Start the path from its first keyframe
+     * @param {Object} [options]
+     * @param {boolean} [options.preview] - Run by FreeRoamMode (editor preview) instead of taking over the follow camera
+     */
+    play(options = {})
+    {
+        if(this.keyframes.length === 0)
+        {
+            console.warn('Cinematic: no keyframes')
+            return
+        }
+
+        this.playing = true
+        this.preview = options.preview === true
+        this.playhead = this.keyframes[0].time
+
+        this.trigger('play')
+    }
+
+    stop()
+    {
+        if(!this.playing) return
+
+        this.playing = false
+        this.preview = false
+
+        this.trigger('end')
+    }
+
+    /**
+     * Advance the playhead and write the pose - the registry's mode update
+     * @param {Object} pose - { position, lookAt, fov }
+     */
+    update(pose)
+    {
+        if(this.playing)
+        {
+            this.playhead += this.time.delta * 0.001
+            if(this.playhead > this.duration)
+            {
+                if(this.loop && this.duration > this.keyframes[0].time)
+                {
+                    this.playhead = this.keyframes[0].time + (this.playhead - this.duration)
+                }
+                else
+                {
+                    // Hold the last key for this frame, the follow camera blends in from there
+                    this.playhead = this.duration
+                    this.stop()
+                }
+            }
+        }
+
+        this.evaluate(this.playhead, pose)
+    }
+
+    /**
+     * Plain JSON path (see the format above)
+     */
+    toJSON()
+    {
+        return {
+            version: VERSION,
+            loop: this.loop,
+            keyframes: this.keyframes.map((key) => ({
+                time: key.time,
+                position: key.position.toArray(),
+                lookAt: key.lookAt.toArray(),
+                fov: key.fov
+            }))
+        }
+    }
+
+    /**
+     * Replace the keyframes with a saved path
+     * @param {Object} path - See toJSON
+     */
+    fromJSON(path)
+    {
+        if(!path || !Array.isArray(path.keyframes))
+        {
+            console.warn('Cinematic: not a camera path')
+            return
+        }
+
+        this.stop()
+        this.loop = path.loop === true
+        this.keyframes.length = 0
+        for(const key of path.keyframes)
+        {
+            this.keyframes.push({
+                time: key.time,
+                position: new THREE.Vector3().fromArray(key.position),
+                lookAt: new THREE.Vector3().fromArray(key.lookAt),
+                fov: key.fov ?? this.vars.baseFov
+            })
+        }
+        this.rebuild()
+    }
+
+    /**
+     * Download the path as a JSON file
+     */
+    save()
+    {
+        const blob = new Blob([JSON.stringify(this.toJSON(), null, 4)], { type: 'application/json' })
+        const link = document.createElement('a')
+        link.href = URL.createObjectURL(blob)
+        link.download = 'camera-path.json'
+        link.click()
+
+        // Revoked later, the browser may still be reading the blob when click() returns
+        setTimeout(() => URL.revokeObjectURL(link.href), 1000)
+    }
+
+    /**
+     * Pick a path file from disk
+     */
+    openFile()
+    {
+        const input = document.createElement('input')
+        input.type = 'file'
+        input.accept = 'application/json,.json'
+        input.addEventListener('change', () => {
+            const file = input.files[0]
+            if(!file) return
+
+            file.text()
+                .then((text) => this.fromJSON(JSON.parse(text)))
+                .catch((error) => console.error('Cinematic: failed to read file', error))
+        })
+        input.click()
+    }
+
+    /**
+     * Play a path given as ?cameraPath=<url> (intros, marketing shots)
+     */
+    loadFromUrl()
+    {
+        if(typeof window === 'undefined') return
+
+        const url = new URLSearchParams(window.location.search).get('cameraPath')
+        if(!url) return
+
+        fetch(url)
+            .then((response) => response.json())
+            .then((path) =>
+            {
+                this.fromJSON(path)
+                this.play()
+            })
+            .catch((error) => console.error(`Cinematic: failed to load ${url}`, error))
+    }
+}
@@ -0,0 +1,247 @@
+import * as THREE from 'three'
+
+/**
+ * CinematicEditor - Debug panel for CinematicCameraMode paths
+ * In free roam, drops the current camera pose (position, orbit target as look-at, FOV) as a keyframe,
+ * lists the keys for editing, previews the path from the free camera and saves/loads path JSON
+ * The path is drawn in the scene (camera track, and a line from each key to what it looks at)
+ */
+export default class CinematicEditor
+{
+    constructor(camera)
+    {
+        this.camera = camera
+        this.vars = camera.vars
+        this.debug = camera.debug
+        this.scene = camera.scene
+        this.cinematic = camera.cinematicMode
+
+        // Seconds after the last key for a new one
+        this.keySpacing = 2
+        this.showPath = true
+
+        this.keyFolders = []
+        this.listedKeyframes = []
+
+        if(!this.debug.active) return
+
+        this.setHelpers()
+        this.setDebug()
+
+        this.cinematic.on('change.editor', () =>
+        {
+            this.updateHelpers()
+
+            // Folders only need rebuilding when keys were added, removed or reordered - not while a slider is dragged
+            const keys = this.cinematic.keyframes
+            if(keys.length !== this.listedKeyframes.length || keys.some((key, index) => key !== this.listedKeyframes[index]))
+                this.updateKeyFolders()
+        })
+        this.cinematic.on('play.editor', () => this.updateHelpersVisibility())
+        this.cinematic.on('end.editor', () => this.updateHelpersVisibility())
+    }
+
+    /**
+     * Pose the camera is looking from/at right now - the orbit target when free roaming
+     */
+    getCurrentPose()
+    {
+        const instance = this.camera.instance
+        const controls = this.camera.freeRoamMode.controls
+        const lookAt = new THREE.Vector3()
+
+        if(this.vars.isFreeRoam && controls)
+        {
+            lookAt.copy(controls.target)
+        }
+        else
+        {
+            instance.getWorldDirection(lookAt)
+            lookAt.multiplyScalar(10).add(instance.position)
+        }
+
+        return {
+            position: instance.position.clone(),
+            lookAt,
+            fov: instance.fov
+        }
+    }
+
+    addKeyframe()
+    {
+        const keys = this.cinematic.keyframes
+        const time = keys.length ? keys[keys.length - 1].time + this.keySpacing : 0
+
+        this.cinematic.addKeyframe({ time, ...this.getCurrentPose() })
+    }
+
+    /**
+     * Replace a key's pose with the current camera
+     */
+    setKeyframeToCamera(keyframe)
+    {
+        const pose = this.getCurrentPose()
+        keyframe.position.copy(pose.position)
+        keyframe.lookAt.copy(pose.lookAt)
+        keyframe.fov = pose.fov
+        this.cinematic.rebuild()
+    }
+
+    /**
+     * Move the free camera onto a key to inspect or re-frame it
+     */
+    goToKeyframe(keyframe)
+    {
+        if(!this.vars.isFreeRoam)
+            this.camera.freeRoamMode.toggle()
+
+        const instance = this.camera.instance
+        const controls = this.camera.freeRoamMode.controls
+
+        instance.position.copy(keyframe.position)
+        instance.fov = keyframe.fov
+        instance.updateProjectionMatrix()
+        controls.target.copy(keyframe.lookAt)
+        controls.update()
+    }
+
+    preview()
+    {
+        if(!this.vars.isFreeRoam)
+            this.camera.freeRoamMode.toggle()
+
+        this.camera.freeRoamMode.startPreview()
+    }
+
+    /**
+     * Play through the follow camera (leaves free roam), then blend back to the ball
+     */
+    playInGame()
+    {
+        if(this.vars.isFreeRoam)
+            this.camera.freeRoamMode.toggle()
+
+        this.cinematic.play()
+    }
+
+    setHelpers()
+    {
+        // Track sampled from the spline, redrawn on every change
+        this.pathLine = new THREE.Line(
+            new THREE.BufferGeometry(),
+            new THREE.LineBasicMaterial({ color: 0x00ffff, depthTest: false, transparent: true })
+        )
+        this.pathLine.frustumCulled = false
+        this.pathLine.renderOrder = 999
+
+        // Key position -> look-at
+        this.aimLines = new THREE.LineSegments(
+            new THREE.BufferGeometry(),
+            new THREE.LineBasicMaterial({ color: 0xffaa00, depthTest: false, transparent: true, opacity: 0.7 })
+        )
+        this.aimLines.frustumCulled = false
+        this.aimLines.renderOrder = 999
+
+        this.keyPoints = new THREE.Points(
+            new THREE.BufferGeometry(),
+            new THREE.PointsMaterial({ color: 0xffffff, size: 8, sizeAttenuation: false, depthTest: false, transparent: true })
+        )
+        this.keyPoints.frustumCulled = false
+        this.keyPoints.renderOrder = 999
+
+        this.helpers = new THREE.Group()
+        this.helpers.userData.helper = true
+        this.helpers.add(this.pathLine, this.aimLines, this.keyPoints)
+        this.scene.add(this.helpers)
+
+        this.updateHelpers()
+    }
+
+    updateHelpers()
+    {
+        const keys = this.cinematic.keyframes
+
+        const track = []
+        if(keys.length >= 2)
+        {
+            const pose = { position: new THREE.Vector3(), lookAt: new THREE.Vector3(), fov: 0 }
+            const start = keys[0].time
+            const samples = Math.max(Math.ceil((this.cinematic.duration - start) * 30), 2)
+            for(let i = 0; i <= samples; i++)
+            {
+                this.cinematic.evaluate(start + (this.cinematic.duration - start) * i / samples, pose)
+                track.push(pose.position.clone())
+            }
+        }
+        this.pathLine.geometry.setFromPoints(track)
+
+        const aims = []
+        for(const key of keys)
+            aims.push(key.position, key.lookAt)
+        this.aimLines.geometry.setFromPoints(aims)
+
+        this.keyPoints.geometry.setFromPoints(keys.map((key) => key.position))
+
+        this.updateHelpersVisibility()
+    }
+
+    updateHelpersVisibility()
+    {
+        // Never in the shot itself
+        this.helpers.visible = this.showPath && !this.cinematic.playing
+    }
+
+    setDebug()
+    {
+        this.folder = this.debug.ui.addFolder('cinematic camera')
+        this.folder.close()
+
+        this.folder.add({ add: () => this.addKeyframe() }, 'add').name('➕ Add Keyframe (Camera Pose)')
+        this.folder.add(this, 'keySpacing').min(0.5).max(10).step(0.5).name('new key after (s)')
+        this.folder.add({ preview: () => this.preview() }, 'preview').name('▶ Preview')
+        this.folder.add({ play: () => this.playInGame() }, 'play').name('🎬 Play In Game')
+        this.folder.add({ stop: () => this.cinematic.stop() }, 'stop').name('⏹ Stop')
+        this.folder.add(this.cinematic, 'loop')
+        this.folder.add(this, 'showPath').name('show path').onChange(() => this.updateHelpersVisibility())
+        this.folder.add(this.cinematic, 'playhead').name('time (s)').listen().disable()
+        this.folder.add({ save: () => this.cinematic.save() }, 'save').name('💾 Save Path')
+        this.folder.add({ open: () => this.cinematic.openFile() }, 'open').name('📂 Load Path')
+        this.folder.add({ clear: () => this.cinematic.clear() }, 'clear').name('🗑 Clear')
+
+        this.keysFolder = this.folder.addFolder('keyframes')
+    }
+
+    /**
+     * One folder per keyframe: timing, FOV, pose and actions
+     */
+    updateKeyFolders()
+    {
+        for(const folder of this.keyFolders)
+            folder.destroy()
+        this.keyFolders = []
+        this.listedKeyframes = this.cinematic.keyframes.slice()
+
+        const rebuild = () => this.cinematic.rebuild()
+
+        this.cinematic.keyframes.forEach((keyframe, index) =>
+        {
+            const folder = this.keysFolder.addFolder(`key ${index + 1}`)
+            folder.close()
+
+            // Re-sorting on every drag would reorder the folders under the cursor
+            folder.add(keyframe, 'time').min(0).max(600).step(0.1).name('time (s)').onFinishChange(rebuild)
+            folder.add(keyframe, 'fov').min(10).max(120).step(1).name('FOV').onChange(rebuild)
+            folder.add(keyframe.position, 'x').name('position x').onFinishChange(rebuild)
+            folder.add(keyframe.position, 'y').name('position y').onFinishChange(rebuild)
+            folder.add(keyframe.position, 'z').name('position z').onFinishChange(rebuild)
+            folder.add(keyframe.lookAt, 'x').name('look at x').onFinishChange(rebuild)
+            folder.add(keyframe.lookAt, 'y').name('look at y').onFinishChange(rebuild)
+            folder.add(keyframe.lookAt, 'z').name('look at z').onFinishChange(rebuild)
+            folder.add({ goTo: () => this.goToKeyframe(keyframe) }, 'goTo').name('📍 Go To')
+            folder.add({ set: () => this.setKeyframeToCamera(keyframe) }, 'set').name('⟳ Set To Camera Pose')
+            folder.add({ remove: () => this.cinematic.removeKeyframe(keyframe) }, 'remove').name('✖ Delete')
+
+            this.keyFolders.push(folder)
+        })
+    }
+}
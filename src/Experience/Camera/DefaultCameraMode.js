@@ -12,7 +12,10 @@ export default class DefaultCameraMode
         this.vars = camera.vars
     }
 
-    update()
+    /**
+     * @param {Object} pose - { position, lookAt, fov } to smooth towards the wanted view
+     */
+    update(pose)
     {
         const target = this.vars.target
         if(!target || !target.group || !target.body) return
@@ -46,17 +49,14 @@ export default class DefaultCameraMode
         targetCameraPos.z = targetPos.z + Math.cos(this.vars.currentAngle) * this.vars.offsetDistance
         
         // Smoothly interpolate to target position
-        this.vars.currentPosition.lerp(targetCameraPos, this.vars.positionLerpSpeed)
-        this.camera.instance.position.copy(this.vars.currentPosition)
+        pose.position.lerp(targetCameraPos, this.vars.positionLerpSpeed)
         
         // Adjust FOV based on speed (higher speed = larger FOV/zoom out)
         const speedRatio = Math.min(speed / this.vars.maxSpeedForFov, 1)
         const targetFov = this.vars.minFov + (this.vars.maxFov - this.vars.minFov) * speedRatio
-        this.vars.currentFov += (targetFov - this.vars.currentFov) * this.vars.fovLerpSpeed
-        this.camera.instance.fov = this.vars.currentFov
-        this.camera.instance.updateProjectionMatrix()
+        pose.fov += (targetFov - pose.fov) * this.vars.fovLerpSpeed
         
         // Look at the sphere
-        this.camera.instance.lookAt(targetPos)
+        pose.lookAt.copy(targetPos)
     }
 }
@@ -12,7 +12,10 @@ export default class FlightCameraMode
         this.vars = camera.vars
     }
 
-    update()
+    /**
+     * @param {Object} pose - { position, lookAt, fov } to smooth towards the wanted view
+     */
+    update(pose)
     {
         const target = this.vars.target
         if(!target || !target.group || !target.body) return
@@ -33,17 +36,14 @@ export default class FlightCameraMode
             targetCameraPos.y += this.vars.flightCameraHeight
             
             // Smoothly interpolate to target position
-            this.vars.currentPosition.lerp(targetCameraPos, this.vars.flightLerpSpeed)
-            this.camera.instance.position.copy(this.vars.currentPosition)
+            pose.position.lerp(targetCameraPos, this.vars.flightLerpSpeed)
         }
         
         // Set flight FOV
         const targetFov = this.vars.flightFov
-        this.vars.currentFov += (targetFov - this.vars.currentFov) * this.vars.fovLerpSpeed
-        this.camera.instance.fov = this.vars.currentFov
-        this.camera.instance.updateProjectionMatrix()
+        pose.fov += (targetFov - pose.fov) * this.vars.fovLerpSpeed
         
         // Look at the sphere
-        this.camera.instance.lookAt(targetPos)
+        pose.lookAt.copy(targetPos)
     }
 }
@@ -4,6 +4,8 @@ import { OrbitControls } from 'three/examples/jsm/controls/OrbitControls.js'
 /**
  * FreeRoamMode - Free camera control mode
  * Allows orbit controls for debugging and exploration
+ * Also runs cinematic paths started here (CinematicEditor previews), then puts the camera back
+ * PhotoMode flies its camera with these controls too
  */
 export default class FreeRoamMode
 {
@@ -14,26 +16,40 @@ export default class FreeRoamMode
         this.canvas = camera.canvas
         this.controls = null
         
+        // Cinematic playback in free roam: the path pose, and the free camera to return to after a preview
+        this.previewing = false
+        this.previewPose = {
+            position: new THREE.Vector3(),
+            lookAt: new THREE.Vector3(),
+            fov: camera.vars.baseFov
+        }
+        this.savedPose = null
+        
         this.setupKeyboardControls()
     }
 
     setupKeyboardControls()
     {
-        window.addEventListener('keydown', (event) => {
-            if(event.key === 'r' || event.key === 'R')
-            {
-                this.toggle()
-            }
+        // toggleCamera action (R by default, rebindable - see Input)
+        this.camera.experience.input.on('toggleCamera.freeRoam', () => {
+            // Photo mode holds free roam until it exits
+            const photoMode = this.camera.experience.photoMode
+            if(photoMode && photoMode.active) return
+            
+            this.toggle()
         })
     }
 
-    toggle()
+    /**
+     * @param {Object} [options] - Passed to enter()
+     */
+    toggle(options = {})
     {
         this.vars.isFreeRoam = !this.vars.isFreeRoam
         
         if(this.vars.isFreeRoam)
         {
-            this.enter()
+            this.enter(options)
         }
         else
         {
@@ -41,9 +57,14 @@ export default class FreeRoamMode
         }
     }
 
-    enter()
+    /**
+     * @param {Object} [options]
+     * @param {boolean} [options.keepPose] - Start from the current camera, orbiting its look-at (photo mode), instead of the overview
+     */
+    enter(options = {})
     {
-        // Entering free roam mode
+        // Entering free roam mode - nothing faded or pulled in while flying around
+        this.camera.collision.reset()
         this.vars.savedMode = this.vars.mode
         this.vars.savedPosition.copy(this.camera.instance.position)
         
@@ -69,15 +90,22 @@ export default class FreeRoamMode
             }
         }
         
-        // Set default free roam position and rotation
-        this.camera.instance.position.set(44, 21, -70)
-        this.camera.instance.quaternion.set(-0.035, 0.951, 0.117, 0.284)
-        
-        // Calculate the target based on the camera's direction
-        const lookDirection = new THREE.Vector3(0, 0, -1)
-        lookDirection.applyQuaternion(this.camera.instance.quaternion)
-        const targetDistance = 100 // Distance to orbit target
-        this.controls.target.copy(this.camera.instance.position).add(lookDirection.multiplyScalar(targetDistance))
+        if(options.keepPose)
+        {
+            this.controls.target.copy(this.vars.currentLookAt)
+        }
+        else
+        {
+            // Set default free roam position and rotation
+            this.camera.instance.position.set(44, 21, -70)
+            this.camera.instance.quaternion.set(-0.035, 0.951, 0.117, 0.284)
+            
+            // Calculate the target based on the camera's direction
+            const lookDirection = new THREE.Vector3(0, 0, -1)
+            lookDirection.applyQuaternion(this.camera.instance.quaternion)
+            const targetDistance = 100 // Distance to orbit target
+            this.controls.target.copy(this.camera.instance.position).add(lookDirection.multiplyScalar(targetDistance))
+        }
         
         this.controls.enabled = true
         this.controls.update()
@@ -85,32 +113,104 @@ export default class FreeRoamMode
         // Store controls reference on camera for dev mode
         this.camera.controls = this.controls
         
-        console.log('Free Roam Camera: ON (Press R to return)')
+        console.log(`Free Roam Camera: ON (Press ${this.camera.experience.input.getSlotLabel('toggleCamera')} to return)`)
     }
 
     exit()
     {
         // Exiting free roam mode
+        if(this.camera.cinematicMode.preview)
+        {
+            this.camera.cinematicMode.stop()
+        }
+        this.previewing = false
+        this.savedPose = null
+        
         if(this.controls)
         {
             this.controls.enabled = false
         }
         
-        // Restore previous mode
-        this.vars.mode = this.vars.savedMode
+        // Restore previous mode, from where the camera was
         this.vars.currentPosition.copy(this.vars.savedPosition)
+        this.vars.currentLookAt.copy(this.vars.savedLookAt)
+        this.camera.modes.cut(this.vars.savedMode)
         
         console.log('Free Roam Camera: OFF')
     }
 
     update()
     {
+        const cinematic = this.camera.cinematicMode
+        if(cinematic.playing || this.previewing)
+        {
+            this.updatePreview()
+            return
+        }
+        
         if(this.controls && this.controls.enabled)
         {
             this.controls.update()
         }
     }
 
+    /**
+     * Fly the cinematic path from the current free camera, which comes back when it ends
+     */
+    startPreview()
+    {
+        const instance = this.camera.instance
+        this.savedPose = {
+            position: instance.position.clone(),
+            quaternion: instance.quaternion.clone(),
+            target: this.controls ? this.controls.target.clone() : null,
+            fov: instance.fov
+        }
+        
+        this.camera.cinematicMode.play({ preview: true })
+    }
+
+    updatePreview()
+    {
+        const cinematic = this.camera.cinematicMode
+        const instance = this.camera.instance
+        
+        if(this.controls)
+            this.controls.enabled = false
+        this.previewing = true
+        
+        cinematic.update(this.previewPose)
+        instance.position.copy(this.previewPose.position)
+        instance.lookAt(this.previewPose.lookAt)
+        instance.fov = this.previewPose.fov
+        instance.updateProjectionMatrix()
+        
+        if(cinematic.playing) return
+        
+        // Finished - back to the free camera (only previews started here have a pose to restore)
+        this.previewing = false
+        if(this.savedPose)
+        {
+            instance.position.copy(this.savedPose.position)
+            instance.quaternion.copy(this.savedPose.quaternion)
+            instance.fov = this.savedPose.fov
+            instance.updateProjectionMatrix()
+            if(this.controls && this.savedPose.target)
+                this.controls.target.copy(this.savedPose.target)
+            this.savedPose = null
+        }
+        else if(this.controls)
+        {
+            this.controls.target.copy(this.previewPose.lookAt)
+        }
+        
+        if(this.controls)
+        {
+            this.controls.enabled = true
+            this.controls.update()
+        }
+    }
+
     // For dev mode initialization
     initDevModeControls()
     {
@@ -12,7 +12,10 @@ export default class OceanCameraMode
         this.vars = camera.vars
     }
 
-    update()
+    /**
+     * @param {Object} pose - { position, lookAt, fov } to smooth towards the wanted view
+     */
+    update(pose)
     {
         const target = this.vars.target
         if(!target || !target.group) return
@@ -28,16 +31,13 @@ export default class OceanCameraMode
         targetCameraPos.z = targetPos.z + this.vars.oceanCameraDistance
         
         // Smoothly interpolate to target position
-        this.vars.currentPosition.lerp(targetCameraPos, this.vars.oceanLerpSpeed)
-        this.camera.instance.position.copy(this.vars.currentPosition)
+        pose.position.lerp(targetCameraPos, this.vars.oceanLerpSpeed)
         
         // Set ocean FOV
         const targetFov = this.vars.oceanFov
-        this.vars.currentFov += (targetFov - this.vars.currentFov) * this.vars.fovLerpSpeed
-        this.camera.instance.fov = this.vars.currentFov
-        this.camera.instance.updateProjectionMatrix()
+        pose.fov += (targetFov - pose.fov) * this.vars.fovLerpSpeed
         
         // Look at the sphere
-        this.camera.instance.lookAt(targetPos)
+        pose.lookAt.copy(targetPos)
     }
 }
@@ -12,7 +12,7 @@ export default class RampCameraMode
         this.vars = camera.vars
     }
 
-    onEnter()
+    enter()
     {
         // Reset ramp camera distance and start height animation
         this.vars.rampCameraDistance = 10
@@ -20,7 +20,10 @@ export default class RampCameraMode
         this.vars.currentRampHeight = this.vars.rampHeightStart
     }
 
-    update()
+    /**
+     * @param {Object} pose - { position, lookAt, fov } to smooth towards the wanted view
+     */
+    update(pose)
     {
         const target = this.vars.target
         if(!target || !target.group || !target.body) return
@@ -68,17 +71,14 @@ export default class RampCameraMode
             targetCameraPos.y += this.vars.currentRampHeight // Use animated height
             
             // Smoothly interpolate to target position with dynamic lerp speed
-            this.vars.currentPosition.lerp(targetCameraPos, dynamicLerpSpeed)
-            this.camera.instance.position.copy(this.vars.currentPosition)
+            pose.position.lerp(targetCameraPos, dynamicLerpSpeed)
         }
         
         // Dynamic FOV based on speed
         const targetFov = dynamicFov
-        this.vars.currentFov += (targetFov - this.vars.currentFov) * this.vars.fovLerpSpeed
-        this.camera.instance.fov = this.vars.currentFov
-        this.camera.instance.updateProjectionMatrix()
+        pose.fov += (targetFov - pose.fov) * this.vars.fovLerpSpeed
         
         // Look at the sphere
-        this.camera.instance.lookAt(targetPos)
+        pose.lookAt.copy(targetPos)
     }
 }
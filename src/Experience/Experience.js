@@ -4,9 +4,12 @@ import Debug from './Utils/Debug.js'
 import Sizes from './Utils/Sizes.js'
 import Time from './Utils/Time.js'
 import Physics from './Utils/Physics.js'
+import Input from './Utils/Input.js'
+import TouchControls from './Utils/TouchControls.js'
 import Camera from './Camera/Camera.js'
 import Renderer from './Renderer.js'
 import World from './World/World.js'
+import PhotoMode from './PhotoMode.js'
 import Resources from './Utils/Resources.js'
 
 import sources from './sources.js'
@@ -15,7 +18,7 @@ let instance = null
 
 export default class Experience
 {
-    constructor(_canvas)
+    constructor(_canvas, _options = {})
     {
         // Singleton
         if(instance)
@@ -23,23 +26,37 @@ export default class Experience
             return instance
         }
         instance = this
-        
-        // Global access
-        window.experience = this
 
         // Options
         this.canvas = _canvas
+        this.headless = _options.headless === true
+        
+        // Global access
+        if(!this.headless)
+            window.experience = this
 
         // Setup
         this.debug = new Debug()
-        this.sizes = new Sizes()
-        this.time = new Time()
-        this.physics = new Physics()
+        this.time = new Time({ manual: this.headless })
+        this.physics = new Physics({ debug: this.debug, fixedHz: _options.fixedHz })
         this.scene = new THREE.Scene()
+
+        // Headless simulation - no DOM, camera, renderer or frame loop, the caller steps the world
+        if(this.headless)
+        {
+            this.resources = _options.resources
+            this.world = new World()
+            return
+        }
+
+        this.sizes = new Sizes()
+        this.input = new Input({ debug: this.debug })
+        this.touchControls = new TouchControls({ input: this.input, debug: this.debug })
         this.resources = new Resources(sources)
         this.camera = new Camera()
         this.renderer = new Renderer()
         this.world = new World()
+        this.photoMode = new PhotoMode()
         
         // Add axis helper
         this.setupAxisHelper()
@@ -80,6 +97,7 @@ export default class Experience
             const spriteMaterial = new THREE.SpriteMaterial({ map: texture })
             const sprite = new THREE.Sprite(spriteMaterial)
             sprite.scale.set(2, 2, 1)
+            sprite.userData.helper = true
             
             return sprite
         }
@@ -102,13 +120,29 @@ export default class Experience
     {
         this.camera.resize()
         this.renderer.resize()
+        this.photoMode.resize()
     }
 
     update()
     {
-        this.physics.update()
+        // Gamepads are polled, keyboard state is kept by events
+        this.input.update()
+
+        // Photo mode pauses time - the world holds still while the free camera moves
+        if(!this.time.paused)
+        {
+            // Fixed-timestep simulation - step as many times as real time requires
+            const steps = this.physics.accumulate(this.time.delta / 1000)
+            for(let i = 0; i < steps; i++)
+            {
+                this.physics.step()
+                this.world.fixedUpdate(this.physics.fixedDelta)
+            }
+
+            // Render-rate updates (interpolated visuals, then camera follows them)
+            this.world.update()
+        }
         this.camera.update()
-        this.world.update()
         this.renderer.update()
     }
 
@@ -0,0 +1,340 @@
+import GUI from 'lil-gui'
+import { EffectComposer } from 'three/examples/jsm/postprocessing/EffectComposer.js'
+import { RenderPass } from 'three/examples/jsm/postprocessing/RenderPass.js'
+import { BokehPass } from 'three/examples/jsm/postprocessing/BokehPass.js'
+import { ShaderPass } from 'three/examples/jsm/postprocessing/ShaderPass.js'
+import { OutputPass } from 'three/examples/jsm/postprocessing/OutputPass.js'
+import Experience from './Experience.js'
+import photoVertexShader from '../shaders/photo/vertex.glsl'
+import photoFragmentShader from '../shaders/photo/fragment.glsl'
+
+// Filter names shown in the panel -> uFilter in the shader
+const FILTERS = {
+    none: 0,
+    blackAndWhite: 1,
+    sepia: 2,
+    warm: 3,
+    cool: 4,
+    vintage: 5
+}
+
+/**
+ * PhotoMode - Frozen world, free camera and screenshot export
+ * Pauses time (and with it physics), flies the camera with FreeRoamMode's orbit controls from the
+ * current shot, hides the HUD, the debug panel and scene helpers, and renders through depth of field,
+ * exposure and a color filter. Capture downloads a PNG at a multiple of the window size
+ *
+ * Scene helpers are ArrowHelper, AxesHelper, GridHelper and any object with userData.helper set
+ * (collision wireframes, axis labels, wind arrows, camera paths)
+ *
+ * Toggled with the photoMode action (P by default) - the panel has its own Exit button
+ */
+export default class PhotoMode
+{
+    constructor()
+    {
+        this.experience = new Experience()
+        this.time = this.experience.time
+        this.sizes = this.experience.sizes
+        this.scene = this.experience.scene
+        this.camera = this.experience.camera
+        this.renderer = this.experience.renderer
+        this.debug = this.experience.debug
+        this.input = this.experience.input
+
+        this.active = false
+
+        // Shot settings - FOV and exposure start from the live view on every enter
+        this.fov = this.camera.vars.baseFov
+        this.exposure = this.renderer.instance.toneMappingExposure
+        this.depthOfField = false
+        this.focus = 20 // Meters in front of the camera
+        this.aperture = 2
+        this.maxBlur = 0.01
+        this.filter = 'none'
+        this.filterIntensity = 1
+        this.vignette = 0
+        this.resolution = 2 // Capture size, times the window
+
+        // What photo mode changed, put back on exit
+        this.saved = null
+        this.hiddenHelpers = []
+
+        // Passes are created on the first enter
+        this.composer = null
+
+        this.setPanel()
+
+        this.input.on('photoMode.photo', () =>
+        {
+            this.toggle()
+        })
+    }
+
+    toggle()
+    {
+        if(this.active)
+            this.exit()
+        else
+            this.enter()
+    }
+
+    enter()
+    {
+        if(this.active) return
+        this.active = true
+
+        if(!this.composer)
+            this.setComposer()
+
+        const camera = this.camera
+        const instance = camera.instance
+        const renderer = this.renderer.instance
+
+        // Frames keep coming, the world stands still
+        this.time.paused = true
+
+        // A playing path would take the free camera over
+        camera.cinematicMode.stop()
+
+        this.saved = {
+            freeRoam: camera.vars.isFreeRoam,
+            fov: instance.fov,
+            exposure: renderer.toneMappingExposure
+        }
+        this.fov = instance.fov
+        this.exposure = renderer.toneMappingExposure
+
+        // Free camera from the current shot, orbiting what it looks at
+        if(!camera.vars.isFreeRoam)
+            camera.freeRoamMode.toggle({ keepPose: true })
+
+        this.focusOnPlayer()
+        this.setHelpersVisible(false)
+        this.setInterfaceVisible(false)
+        this.panel.show()
+
+        console.log('Photo Mode: ON')
+    }
+
+    exit()
+    {
+        if(!this.active) return
+        this.active = false
+
+        const camera = this.camera
+        const instance = camera.instance
+
+        this.time.paused = false
+        this.renderer.instance.toneMappingExposure = this.saved.exposure
+        instance.fov = this.saved.fov
+        instance.updateProjectionMatrix()
+
+        // Back to the follow camera where it was
+        if(!this.saved.freeRoam && camera.vars.isFreeRoam)
+            camera.freeRoamMode.toggle()
+        this.saved = null
+
+        this.setHelpersVisible(true)
+        this.setInterfaceVisible(true)
+        this.panel.hide()
+
+        console.log('Photo Mode: OFF')
+    }
+
+    /**
+     * Focus distance on the ball
+     */
+    focusOnPlayer()
+    {
+        const target = this.camera.vars.target
+        if(!target || !target.group) return
+
+        this.focus = Math.round(this.camera.instance.position.distanceTo(target.group.position) * 10) / 10
+    }
+
+    isHelper(object)
+    {
+        return object.userData.helper === true
+            || object.type === 'ArrowHelper'
+            || object.type === 'AxesHelper'
+            || object.type === 'GridHelper'
+    }
+
+    setHelpersVisible(visible)
+    {
+        if(visible)
+        {
+            for(const object of this.hiddenHelpers)
+                object.visible = true
+            this.hiddenHelpers = []
+            return
+        }
+
+        // Only what is showing now, so hidden debug views stay hidden afterwards
+        this.scene.traverse((object) =>
+        {
+            if(object.visible && this.isHelper(object))
+            {
+                object.visible = false
+                this.hiddenHelpers.push(object)
+            }
+        })
+    }
+
+    /**
+     * HUD, touch controls and the debug panel
+     */
+    setInterfaceVisible(visible)
+    {
+        const player = this.experience.world.player
+        if(player && player.hud)
+            player.hud.setVisible(visible)
+
+        this.experience.touchControls.setVisible(visible)
+
+        if(this.debug.active)
+            this.debug.ui.show(visible)
+    }
+
+    // ==========================================
+    // RENDERING
+    // ==========================================
+
+    setComposer()
+    {
+        const camera = this.camera.instance
+
+        this.composer = new EffectComposer(this.renderer.instance)
+        this.composer.setPixelRatio(this.sizes.pixelRatio)
+        this.composer.setSize(this.sizes.width, this.sizes.height)
+
+        this.composer.addPass(new RenderPass(this.scene, camera))
+
+        this.bokehPass = new BokehPass(this.scene, camera, {
+            focus: this.focus,
+            aperture: this.aperture * 0.001,
+            maxblur: this.maxBlur
+        })
+        this.composer.addPass(this.bokehPass)
+
+        this.filterPass = new ShaderPass({
+            uniforms:
+            {
+                tDiffuse: { value: null },
+                uFilter: { value: FILTERS[this.filter] },
+                uIntensity: { value: this.filterIntensity },
+                uVignette: { value: this.vignette }
+            },
+            vertexShader: photoVertexShader,
+            fragmentShader: photoFragmentShader
+        })
+        this.composer.addPass(this.filterPass)
+
+        // Tone mapping (with the photo exposure) and sRGB, as a direct render does
+        this.composer.addPass(new OutputPass())
+    }
+
+    /**
+     * Draw the frame through the photo passes - called by Renderer while active
+     */
+    render()
+    {
+        const bokeh = this.bokehPass.uniforms
+        this.bokehPass.enabled = this.depthOfField
+        bokeh.focus.value = this.focus
+        bokeh.aperture.value = this.aperture * 0.001
+        bokeh.maxblur.value = this.maxBlur
+
+        const filter = this.filterPass.uniforms
+        filter.uFilter.value = FILTERS[this.filter]
+        filter.uIntensity.value = this.filterIntensity
+        filter.uVignette.value = this.vignette
+
+        this.composer.render()
+    }
+
+    resize()
+    {
+        if(!this.composer) return
+
+        this.composer.setPixelRatio(this.sizes.pixelRatio)
+        this.composer.setSize(this.sizes.width, this.sizes.height)
+        this.bokehPass.uniforms.aspect.value = this.camera.instance.aspect
+    }
+
+    /**
+     * Render one frame at resolution x the window size and download it as a PNG
+     */
+    capture()
+    {
+        if(!this.active) return
+
+        const renderer = this.renderer.instance
+
+        // Largest size the GPU can render into
+        const maxSize = renderer.capabilities.maxTextureSize
+        const scale = Math.min(this.resolution, maxSize / Math.max(this.sizes.width, this.sizes.height))
+        const width = Math.floor(this.sizes.width * scale)
+        const height = Math.floor(this.sizes.height * scale)
+
+        // Read the canvas back in the same task, before the browser clears the drawing buffer
+        renderer.setPixelRatio(1)
+        renderer.setSize(width, height, false)
+        this.composer.setPixelRatio(1)
+        this.composer.setSize(width, height)
+        this.render()
+        const url = renderer.domElement.toDataURL('image/png')
+
+        this.renderer.resize()
+        this.resize()
+
+        const link = document.createElement('a')
+        link.href = url
+        link.download = `photo-${new Date().toISOString().replace(/[:.]/g, '-')}.png`
+        link.click()
+
+        console.log(`Photo Mode: saved ${width}x${height} PNG`)
+    }
+
+    // ==========================================
+    // PANEL
+    // ==========================================
+
+    /**
+     * Own panel, not the debug one - photo mode is for everyone, and the debug panel is hidden while it runs
+     */
+    setPanel()
+    {
+        this.panel = new GUI({ title: '📷 Photo Mode' })
+        this.panel.hide()
+
+        this.panel.add(this, 'fov').min(10).max(120).step(1).name('FOV').listen().onChange(() =>
+        {
+            this.camera.instance.fov = this.fov
+            this.camera.instance.updateProjectionMatrix()
+        })
+        this.panel.add(this, 'exposure').min(0.1).max(5).step(0.05).listen().onChange(() =>
+        {
+            this.renderer.instance.toneMappingExposure = this.exposure
+        })
+
+        const depthOfFieldFolder = this.panel.addFolder('depth of field')
+        depthOfFieldFolder.add(this, 'depthOfField').name('enabled')
+        depthOfFieldFolder.add(this, 'focus').min(0.5).max(500).step(0.1).name('focus (m)').listen()
+        depthOfFieldFolder.add(this, 'aperture').min(0).max(10).step(0.1)
+        depthOfFieldFolder.add(this, 'maxBlur').min(0).max(0.05).step(0.001).name('max blur')
+        depthOfFieldFolder.add({ focusOnPlayer: () => this.focusOnPlayer() }, 'focusOnPlayer').name('🎯 Focus On Ball')
+
+        const filterFolder = this.panel.addFolder('filter')
+        filterFolder.add(this, 'filter', Object.keys(FILTERS))
+        filterFolder.add(this, 'filterIntensity').min(0).max(1).step(0.01).name('intensity')
+        filterFolder.add(this, 'vignette').min(0).max(1).step(0.01)
+
+        const captureFolder = this.panel.addFolder('capture')
+        captureFolder.add(this, 'resolution', [1, 2, 3, 4]).name('resolution ×')
+        captureFolder.add({ capture: () => this.capture() }, 'capture').name('💾 Save PNG')
+
+        this.panel.add({ exit: () => this.exit() }, 'exit').name('✖ Exit Photo Mode')
+    }
+}
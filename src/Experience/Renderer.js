@@ -1,10 +1,17 @@
 import * as THREE from 'three'
 import Experience from './Experience.js'
+import EventEmitter from './Utils/EventEmitter.js'
 
-export default class Renderer
+/**
+ * Renderer - WebGL renderer and the underwater effect
+ * Triggers 'underwater' with [isUnderwater] when the camera crosses the wave surface
+ */
+export default class Renderer extends EventEmitter
 {
     constructor()
     {
+        super()
+        
         this.experience = new Experience()
         this.canvas = this.experience.canvas
         this.sizes = this.experience.sizes
@@ -12,7 +19,7 @@ export default class Renderer
         this.camera = this.experience.camera
         
         // Underwater effect properties
-        this.seaLevel = -230
+        this.seaLevel = -230 // Fallback before the world (and its ocean) exists
         this.isUnderwater = false
         this.normalClearColor = '#ffffff'
         this.underwaterColor = '#0a4d5c'
@@ -71,9 +78,11 @@ export default class Renderer
 
     update()
     {
-        // Check if camera is underwater
-        const cameraY = this.camera.instance.position.y
-        const shouldBeUnderwater = cameraY < this.seaLevel
+        // Check if camera is underwater - below the wave surface drawn this frame
+        const cameraPosition = this.camera.instance.position
+        const ocean = this.experience.world && this.experience.world.ocean
+        const surface = ocean ? ocean.getHeightAt(cameraPosition.x, cameraPosition.z, ocean.getRenderTime()) : this.seaLevel
+        const shouldBeUnderwater = cameraPosition.y < surface
         
         // Toggle underwater effect
         if(shouldBeUnderwater && !this.isUnderwater)
@@ -97,6 +106,7 @@ export default class Renderer
             }
             
             console.log('Underwater effect: ON')
+            this.trigger('underwater', [true])
         }
         else if(!shouldBeUnderwater && this.isUnderwater)
         {
@@ -115,6 +125,15 @@ export default class Renderer
             }
             
             console.log('Underwater effect: OFF')
+            this.trigger('underwater', [false])
+        }
+        
+        // Photo mode renders through its own passes, without the overlays
+        const photoMode = this.experience.photoMode
+        if(photoMode && photoMode.active)
+        {
+            photoMode.render()
+            return
         }
         
         this.instance.render(this.scene, this.camera.instance)
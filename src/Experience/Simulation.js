@@ -0,0 +1,190 @@
+import Experience from './Experience.js'
+import HeadlessResources from './Utils/HeadlessResources.js'
+import GeoNodes from './World/GeoNodes.js'
+import PlayerInput from './World/Player/PlayerInput.js'
+
+import sources from './sources.js'
+
+/**
+ * Simulation - Headless entry point (Node)
+ * Builds the Rapier world, ramp colliders and player without renderer, HUD or DOM
+ * and steps them programmatically with scripted input
+ */
+export default class Simulation
+{
+    /**
+     * @param {Object} _options
+     * @param {string} _options.staticPath - Absolute path to the static/ folder
+     * @param {number} [_options.fixedHz] - Physics rate (default 60)
+     * @param {boolean} [_options.geoNodes] - Also build the GeoNodes test colliders
+     */
+    constructor(_options = {})
+    {
+        this.options = _options
+
+        this.resources = new HeadlessResources(sources, _options.staticPath)
+        this.experience = new Experience(null, {
+            headless: true,
+            resources: this.resources,
+            fixedHz: _options.fixedHz
+        })
+        this.physics = this.experience.physics
+        this.time = this.experience.time
+        this.world = this.experience.world
+        this.player = null
+
+        this.stepCount = 0
+
+        // Scripted W/A/S/D state, held until changed
+        this.keys = { w: false, s: false, a: false, d: false }
+    }
+
+    /**
+     * Wait for Rapier, then load collider data and build the world
+     */
+    async ready()
+    {
+        if(!this.physics.isReady)
+        {
+            await new Promise((resolve) => this.physics.on('ready.simulation', resolve))
+        }
+
+        // Colliders need Rapier, so resources only load once physics is up
+        await this.resources.load()
+
+        if(this.options.geoNodes)
+            this.geoNodes = new GeoNodes()
+
+        this.player = this.world.player
+        this.player.recordState()
+
+        return this
+    }
+
+    /**
+     * Apply scripted input, held until changed
+     * @param {Object} input - { keys: { w, s, a, d }, actions: { throttle, brake, steerLeft, steerRight, pitch, roll }, forward: { x, z }, toggleFlight: boolean, respawn: boolean | checkpoint name }
+     * Keys are shorthand for the actions they are bound to by default; analog actions override them
+     */
+    setInput(input = {})
+    {
+        const playerInput = this.player.input
+
+        if(input.keys)
+        {
+            Object.assign(this.keys, input.keys)
+            playerInput.actions = PlayerInput.actionsFromKeys(this.keys)
+        }
+
+        if(input.actions)
+            Object.assign(playerInput.actions, input.actions)
+
+        // Flattened like Camera.getForwardDirection, right follows from it
+        if(input.forward)
+            playerInput.forward.set(input.forward.x || 0, 0, input.forward.z || 0).normalize()
+
+        if(input.toggleFlight)
+            playerInput.requestFlightToggle()
+
+        if(input.respawn)
+            playerInput.requestRespawn(input.respawn === true ? undefined : input.respawn)
+    }
+
+    /**
+     * Play a recorded replay from its first step
+     * @param {Object} replay - Parsed replay file (see PlayerReplay)
+     * @returns {number} - Replay duration in seconds
+     */
+    playReplay(replay)
+    {
+        // Switches physics to the replay's rate right away, so run() counts its steps at that rate
+        this.player.replay.play(replay)
+
+        return replay.frames.length / this.physics.fixedHz
+    }
+
+    /**
+     * Advance the simulation by whole fixed steps
+     * @param {number} count - Number of steps
+     * @returns {Object} - State after the last step
+     */
+    step(count = 1)
+    {
+        for(let i = 0; i < count; i++)
+        {
+            // Read every step - a replay ending restores the simulation's own rate
+            const dt = this.physics.fixedDelta
+            this.time.advance(dt * 1000)
+            this.physics.step()
+            this.world.fixedUpdate(dt)
+            this.stepCount++
+        }
+
+        return this.getState()
+    }
+
+    /**
+     * Run a timed input script
+     * @param {Array} script - [{ time: seconds, keys, actions, forward, toggleFlight, respawn }]
+     * @param {number} duration - Seconds to simulate
+     * @param {Function} [onStep] - Called with the state after every step
+     * @returns {Object} - Final state
+     */
+    run(script, duration, onStep)
+    {
+        const events = [...script].sort((a, b) => a.time - b.time)
+        const steps = Math.round(duration * this.physics.fixedHz)
+        let next = 0
+        let state = this.getState()
+
+        for(let i = 0; i < steps; i++)
+        {
+            const time = this.stepCount * this.physics.fixedDelta
+            while(next < events.length && events[next].time <= time)
+            {
+                this.setInput(events[next])
+                next++
+            }
+
+            state = this.step()
+
+            if(onStep)
+                onStep(state)
+        }
+
+        return state
+    }
+
+    getMode()
+    {
+        return this.player.stateMachine.name
+    }
+
+    getState()
+    {
+        const body = this.player.vars.body
+        const position = body.translation()
+        const rotation = body.rotation()
+        const velocity = body.linvel()
+        const angularVelocity = body.angvel()
+        const ground = this.player.vars.ground
+
+        return {
+            step: this.stepCount,
+            time: this.stepCount * this.physics.fixedDelta,
+            mode: this.getMode(),
+            position: { x: position.x, y: position.y, z: position.z },
+            rotation: { x: rotation.x, y: rotation.y, z: rotation.z, w: rotation.w },
+            velocity: { x: velocity.x, y: velocity.y, z: velocity.z },
+            angularVelocity: { x: angularVelocity.x, y: angularVelocity.y, z: angularVelocity.z },
+            speed: Math.hypot(velocity.x, velocity.y, velocity.z),
+            actions: { ...this.player.vars.actions },
+            isGrounded: this.player.vars.isGrounded,
+            ground: ground.touching
+                ? { normal: { x: ground.normal.x, y: ground.normal.y, z: ground.normal.z }, slopeAngle: ground.slopeAngle, surface: ground.surface }
+                : null,
+            isFlying: this.player.vars.isFlying,
+            rampState: this.world.rampL ? { ...this.world.rampL.rampState } : null
+        }
+    }
+}
@@ -4,7 +4,8 @@ export default class Debug
 {
     constructor()
     {
-        this.active = window.location.hash === '#debug'
+        // No window in headless simulation (Node)
+        this.active = typeof window !== 'undefined' && window.location.hash === '#debug'
 
         if(this.active)
         {
@@ -2,7 +2,14 @@ import Stats from 'stats.js'
 
 export default class HUD {
     constructor() {
+        // Stall warning horn (Web Audio, created on the first warning)
+        this.stallSound = true
+        this.audioContext = null
+        this.stallGain = null
+        this.stallActive = false
+
         this.createHUD()
+        this.createInstruments()
         this.createStats()
     }
 
@@ -35,6 +42,21 @@ export default class HUD {
         this.altElement.textContent = 'ALT: 0.0 m'
         this.container.appendChild(this.altElement)
 
+        // Player state
+        this.stateElement = document.createElement('div')
+        this.stateElement.textContent = 'STATE: -'
+        this.container.appendChild(this.stateElement)
+
+        // Ground contact
+        this.groundElement = document.createElement('div')
+        this.groundElement.textContent = 'SLOPE: -'
+        this.container.appendChild(this.groundElement)
+
+        // Swimming stamina (ocean only)
+        this.staminaElement = document.createElement('div')
+        this.staminaElement.style.display = 'none'
+        this.container.appendChild(this.staminaElement)
+
         // Camera info
         this.cameraInfoElement = document.createElement('div')
         this.cameraInfoElement.style.marginTop = '8px'
@@ -69,9 +91,68 @@ export default class HUD {
         this.velocityElement.style.fontSize = '14px'
         this.container.appendChild(this.velocityElement)
 
+        // Ghost split at the last checkpoint
+        this.ghostElement = document.createElement('div')
+        this.ghostElement.style.marginTop = '8px'
+        this.ghostElement.style.display = 'none'
+        this.container.appendChild(this.ghostElement)
+
+        // Last landing grade
+        this.landingElement = document.createElement('div')
+        this.landingElement.style.marginTop = '8px'
+        this.landingElement.style.display = 'none'
+        this.container.appendChild(this.landingElement)
+
         document.body.appendChild(this.container)
     }
 
+    createInstruments() {
+        // Flight instruments panel (top center, flight only)
+        this.instrumentsElement = document.createElement('div')
+        this.instrumentsElement.style.position = 'fixed'
+        this.instrumentsElement.style.top = '20px'
+        this.instrumentsElement.style.left = '50%'
+        this.instrumentsElement.style.transform = 'translateX(-50%)'
+        this.instrumentsElement.style.display = 'none'
+        this.instrumentsElement.style.fontFamily = 'monospace'
+        this.instrumentsElement.style.fontSize = '16px'
+        this.instrumentsElement.style.color = '#00ff00'
+        this.instrumentsElement.style.textShadow = '0 0 10px rgba(0, 255, 0, 0.5)'
+        this.instrumentsElement.style.zIndex = '1000'
+        this.instrumentsElement.style.userSelect = 'none'
+        this.instrumentsElement.style.pointerEvents = 'none'
+        this.instrumentsElement.style.backgroundColor = 'rgba(0, 0, 0, 0.6)'
+        this.instrumentsElement.style.padding = '10px 15px'
+        this.instrumentsElement.style.borderRadius = '5px'
+        this.instrumentsElement.style.border = '2px solid transparent'
+        this.instrumentsElement.style.backdropFilter = 'blur(5px)'
+        this.instrumentsElement.style.textAlign = 'center'
+
+        // Stall warning
+        this.stallElement = document.createElement('div')
+        this.stallElement.style.fontSize = '28px'
+        this.stallElement.style.fontWeight = 'bold'
+        this.stallElement.style.color = '#ff3333'
+        this.stallElement.style.textShadow = '0 0 10px rgba(255, 0, 0, 0.8)'
+        this.stallElement.style.visibility = 'hidden'
+        this.stallElement.textContent = 'STALL'
+        this.instrumentsElement.appendChild(this.stallElement)
+
+        // Air data: airspeed, angle of attack, lift coefficient
+        this.airDataElement = document.createElement('div')
+        this.instrumentsElement.appendChild(this.airDataElement)
+
+        // Vertical speed and glide ratio
+        this.glideElement = document.createElement('div')
+        this.instrumentsElement.appendChild(this.glideElement)
+
+        // Attitude: bank and heading
+        this.attitudeElement = document.createElement('div')
+        this.instrumentsElement.appendChild(this.attitudeElement)
+
+        document.body.appendChild(this.instrumentsElement)
+    }
+
     createStats() {
         // Create stats.js panels
         this.stats = new Stats()
@@ -109,6 +190,20 @@ export default class HUD {
         }
     }
 
+    updateState(state) {
+        this.stateElement.textContent = `STATE: ${state.toUpperCase()}`
+    }
+
+    updateGround(ground) {
+        if(!ground.touching) {
+            this.groundElement.textContent = 'SLOPE: -'
+            return
+        }
+
+        const surface = ground.surface ? ` | ${ground.surface.toUpperCase()}` : ''
+        this.groundElement.textContent = `SLOPE: ${ground.slopeAngle.toFixed(1)}° | μ ${ground.friction.toFixed(2)}${surface}`
+    }
+
     updateCameraInfo(fov, offset, mode, position, quaternion) {
         this.cameraInfoElement.textContent = `CAM: ${mode || 'DEFAULT'}`;
         this.cameraDetailsElement.textContent = `FOV: ${fov.toFixed(1)} | OFFSET: ${offset.toFixed(2)}`;
@@ -120,6 +215,118 @@ export default class HUD {
         }
     }
 
+    /**
+     * Show the time delta to the ghost at a checkpoint
+     * @param {string} checkpoint - Checkpoint name
+     * @param {number|null} delta - Seconds behind (+) or ahead (-) of the ghost, null without a ghost
+     */
+    updateGhostDelta(checkpoint, delta) {
+        this.ghostElement.style.display = 'block'
+
+        if(delta === null) {
+            this.ghostElement.style.color = '#aaccff'
+            this.ghostElement.textContent = `${checkpoint.toUpperCase()}: NO GHOST`
+            return
+        }
+
+        const sign = delta > 0 ? '+' : '-'
+        this.ghostElement.style.color = delta > 0 ? '#ff6666' : '#66ff66'
+        this.ghostElement.textContent = `${checkpoint.toUpperCase()}: ${sign}${Math.abs(delta).toFixed(2)}s`
+    }
+
+    /**
+     * Show the flight instruments (see FlightMode.updateInstruments)
+     * @param {Object} instruments - vars.flightInstruments
+     */
+    updateInstruments(instruments) {
+        const toDegrees = 180 / Math.PI
+        const glide = Number.isFinite(instruments.glideRatio) ? `${Math.min(instruments.glideRatio, 99).toFixed(1)}:1` : '∞'
+        const climb = instruments.verticalSpeed >= 0 ? '+' : ''
+
+        this.instrumentsElement.style.display = 'block'
+        this.airDataElement.textContent = `IAS: ${instruments.airspeed.toFixed(1)} m/s | AOA: ${(instruments.angleOfAttack * toDegrees).toFixed(1)}° | CL: ${instruments.liftCoefficient.toFixed(2)}`
+        this.glideElement.textContent = `VS: ${climb}${instruments.verticalSpeed.toFixed(1)} m/s | GLIDE: ${glide}`
+        this.attitudeElement.textContent = `BANK: ${(instruments.bank * toDegrees).toFixed(0)}° | HDG: ${String(Math.round(instruments.heading * toDegrees) % 360).padStart(3, '0')}°`
+
+        this.updateStallWarning(instruments.stall)
+    }
+
+    hideInstruments() {
+        this.instrumentsElement.style.display = 'none'
+        this.updateStallWarning(false)
+    }
+
+    /**
+     * Stamina bar while swimming
+     * @param {number} stamina - 0 to 1
+     */
+    updateStamina(stamina) {
+        const filled = Math.round(stamina * 10)
+
+        this.staminaElement.style.display = 'block'
+        this.staminaElement.style.color = stamina < 0.25 ? '#ff3333' : ''
+        this.staminaElement.textContent = `STAMINA: ${'█'.repeat(filled)}${'░'.repeat(10 - filled)} ${Math.round(stamina * 100)}%`
+    }
+
+    hideStamina() {
+        this.staminaElement.style.display = 'none'
+    }
+
+    /**
+     * Blink the STALL label and sound the horn while stalled
+     * @param {boolean} active
+     */
+    updateStallWarning(active) {
+        // 4 Hz blink, shared by the label and the horn
+        const on = active && Math.floor(performance.now() / 125) % 2 === 0
+
+        this.stallElement.style.visibility = on ? 'visible' : 'hidden'
+        this.instrumentsElement.style.borderColor = active ? '#ff3333' : 'transparent'
+
+        if(active && !this.stallActive && this.stallSound) {
+            this.startStallHorn()
+        }
+        this.stallActive = active
+
+        if(this.stallGain) {
+            const volume = on && this.stallSound ? 0.08 : 0
+            this.stallGain.gain.setTargetAtTime(volume, this.audioContext.currentTime, 0.01)
+        }
+    }
+
+    startStallHorn() {
+        if(this.audioContext) {
+            this.audioContext.resume()
+            return
+        }
+
+        const AudioContext = window.AudioContext || window.webkitAudioContext
+        if(!AudioContext) return
+
+        this.audioContext = new AudioContext()
+        this.stallGain = this.audioContext.createGain()
+        this.stallGain.gain.value = 0
+        this.stallGain.connect(this.audioContext.destination)
+
+        const oscillator = this.audioContext.createOscillator()
+        oscillator.type = 'square'
+        oscillator.frequency.value = 600
+        oscillator.connect(this.stallGain)
+        oscillator.start()
+    }
+
+    /**
+     * Show the grade of the last touchdown
+     * @param {Object} landing - FlightMode 'landing' event result
+     */
+    showLanding(landing) {
+        const colors = { smooth: '#66ff66', hard: '#ffaa00', crash: '#ff6666' }
+
+        this.landingElement.style.display = 'block'
+        this.landingElement.style.color = colors[landing.quality]
+        this.landingElement.textContent = `LANDING: ${landing.quality.toUpperCase()} | ${landing.score} PTS | SINK ${landing.sinkRate.toFixed(1)} m/s`
+    }
+
     updateFrameInfo(fps, dt) {
         if(this.frameInfoElement) {
             this.frameInfoElement.textContent = `FPS: ${fps.toFixed(0)} | DT: ${(dt * 1000).toFixed(2)}ms`
@@ -131,10 +338,32 @@ export default class HUD {
         }
     }
 
+    /**
+     * Show or hide the whole HUD (photo mode) - the panels keep their own display state
+     */
+    setVisible(visible) {
+        this.container.style.visibility = visible ? '' : 'hidden'
+        this.stats.dom.style.visibility = visible ? '' : 'hidden'
+
+        // The stall warning sets its own visibility, so this panel fades out instead
+        this.instrumentsElement.style.opacity = visible ? '' : '0'
+
+        // No horn while the world is frozen, the next update turns it back on if still stalling
+        if(!visible) {
+            this.updateStallWarning(false)
+        }
+    }
+
     destroy() {
         if(this.container && this.container.parentNode) {
             this.container.parentNode.removeChild(this.container)
         }
+        if(this.instrumentsElement && this.instrumentsElement.parentNode) {
+            this.instrumentsElement.parentNode.removeChild(this.instrumentsElement)
+        }
+        if(this.audioContext) {
+            this.audioContext.close()
+        }
         if(this.stats && this.stats.dom && this.stats.dom.parentNode) {
             this.stats.dom.parentNode.removeChild(this.stats.dom)
         }
@@ -0,0 +1,35 @@
+import { readFile } from 'node:fs/promises'
+import path from 'node:path'
+import EventEmitter from './EventEmitter.js'
+
+/**
+ * HeadlessResources - Resources stand-in for Node
+ * Reads the JSON sources (collider data) from disk and skips models and textures,
+ * World objects fall back to their generated geometry
+ */
+export default class HeadlessResources extends EventEmitter
+{
+    constructor(sources, staticPath)
+    {
+        super()
+
+        this.sources = sources.filter((source) => source.type === 'json')
+        this.staticPath = staticPath
+
+        this.items = {}
+        this.toLoad = this.sources.length
+        this.loaded = 0
+    }
+
+    async load()
+    {
+        for(const source of this.sources)
+        {
+            const file = await readFile(path.join(this.staticPath, source.path), 'utf8')
+            this.items[source.name] = JSON.parse(file)
+            this.loaded++
+        }
+
+        this.trigger('ready')
+    }
+}
@@ -0,0 +1,417 @@
+import EventEmitter from './EventEmitter.js'
+
+/**
+ * Input - Named actions from the keyboard and gamepads
+ * Keys are bound by KeyboardEvent.code and can be rebound from the debug panel
+ * (saved in localStorage); gamepads use the standard mapping and give analog values;
+ * on-screen touch controls feed their values in with setTouchValues / press
+ *
+ * Actions:
+ * - throttle, brake, steerLeft, steerRight: 0 to 1
+ * - pitch: -1 (nose down) to 1 (nose up)
+ * - roll: -1 (left) to 1 (right)
+ * - toggleFlight, respawn, toggleCamera, photoMode: buttons, triggered as events when pressed
+ *
+ * Events:
+ * - '<button action>' when pressed, e.g. on('toggleFlight', ...)
+ * - 'bindings' after a key is rebound or the bindings are reset
+ */
+const STORAGE_KEY = 'bnardBall.input.bindings'
+
+const ANALOG_ACTIONS = ['throttle', 'brake', 'steerLeft', 'steerRight']
+const AXIS_ACTIONS = ['pitch', 'roll']
+const BUTTON_ACTIONS = ['toggleFlight', 'respawn', 'toggleCamera', 'photoMode']
+
+// Axis actions bind a key to each end
+const DEFAULT_KEYS = {
+    throttle: ['KeyW', 'ArrowUp'],
+    brake: ['KeyS', 'ArrowDown'],
+    steerLeft: ['KeyA', 'ArrowLeft'],
+    steerRight: ['KeyD', 'ArrowRight'],
+    pitch: { negative: ['KeyW', 'ArrowUp'], positive: ['KeyS', 'ArrowDown'] },
+    roll: { negative: ['KeyA', 'ArrowLeft'], positive: ['KeyD', 'ArrowRight'] },
+    toggleFlight: ['Space'],
+    respawn: ['Enter'],
+    toggleCamera: ['KeyR'],
+    photoMode: ['KeyP']
+}
+
+// Standard mapping: axes 0/1 left stick, buttons 0 A, 3 Y, 6/7 triggers, 8 back, 9 start
+const GAMEPAD = {
+    throttle: { buttons: [7], axes: [{ index: 1, direction: -1 }] },
+    brake: { buttons: [6], axes: [{ index: 1, direction: 1 }] },
+    steerLeft: { buttons: [14], axes: [{ index: 0, direction: -1 }] },
+    steerRight: { buttons: [15], axes: [{ index: 0, direction: 1 }] },
+    pitch: { axis: 1 },
+    roll: { axis: 0 },
+    toggleFlight: { buttons: [0] },
+    respawn: { buttons: [3] },
+    toggleCamera: { buttons: [8] },
+    photoMode: { buttons: [9] }
+}
+
+export default class Input extends EventEmitter
+{
+    /**
+     * @param {Object} _options
+     * @param {Debug} [_options.debug] - Debug instance for the bindings panel
+     */
+    constructor(_options = {})
+    {
+        super()
+
+        this.debug = _options.debug
+
+        // Pressed KeyboardEvent.code values
+        this.pressed = new Set()
+
+        // Gamepad
+        this.gamepadIndex = null
+        this.gamepadName = 'none'
+        this.deadzone = 0.15
+        this.gamepadValues = {}
+        this.gamepadButtons = {}
+
+        // Touch (see TouchControls)
+        this.touchValues = {}
+
+        // Binding slot waiting for a key ('throttle', 'pitch.negative', ...)
+        this.rebinding = null
+
+        this.bindings = this.loadBindings()
+
+        this.setupListeners()
+        this.setDebug()
+    }
+
+    // ==========================================
+    // BINDINGS
+    // ==========================================
+
+    getDefaultBindings()
+    {
+        return JSON.parse(JSON.stringify(DEFAULT_KEYS))
+    }
+
+    loadBindings()
+    {
+        const bindings = this.getDefaultBindings()
+
+        try
+        {
+            const saved = JSON.parse(window.localStorage.getItem(STORAGE_KEY))
+            if(saved)
+            {
+                for(const slot of this.getSlots())
+                {
+                    const codes = this.getSlotValue(saved, slot)
+                    if(Array.isArray(codes))
+                        this.setSlotValue(bindings, slot, codes)
+                }
+            }
+        }
+        catch(error)
+        {
+            console.warn('Input: could not read saved bindings', error)
+        }
+
+        return bindings
+    }
+
+    saveBindings()
+    {
+        try
+        {
+            window.localStorage.setItem(STORAGE_KEY, JSON.stringify(this.bindings))
+        }
+        catch(error)
+        {
+            console.warn('Input: could not save bindings', error)
+        }
+    }
+
+    resetBindings()
+    {
+        this.bindings = this.getDefaultBindings()
+        window.localStorage.removeItem(STORAGE_KEY)
+        this.trigger('bindings')
+    }
+
+    /**
+     * Every rebindable slot - axis actions have one per end
+     * @returns {string[]} - e.g. ['throttle', ..., 'pitch.negative', 'pitch.positive', ...]
+     */
+    getSlots()
+    {
+        const slots = []
+        for(const action in DEFAULT_KEYS)
+        {
+            if(AXIS_ACTIONS.includes(action))
+                slots.push(`${action}.negative`, `${action}.positive`)
+            else
+                slots.push(action)
+        }
+        return slots
+    }
+
+    getSlotValue(bindings, slot)
+    {
+        const [action, end] = slot.split('.')
+        return end ? bindings[action] && bindings[action][end] : bindings[action]
+    }
+
+    setSlotValue(bindings, slot, codes)
+    {
+        const [action, end] = slot.split('.')
+        if(end)
+            bindings[action][end] = codes
+        else
+            bindings[action] = codes
+    }
+
+    /**
+     * @param {string} slot - Binding slot
+     * @returns {string} - Bound keys for display, e.g. 'W / ↑'
+     */
+    getSlotLabel(slot)
+    {
+        const codes = this.getSlotValue(this.bindings, slot) || []
+        const arrows = { ArrowUp: '↑', ArrowDown: '↓', ArrowLeft: '←', ArrowRight: '→' }
+
+        return codes
+            .map((code) => arrows[code] || code.replace(/^Key|^Digit/, ''))
+            .join(' / ') || '—'
+    }
+
+    /**
+     * Bind the next key pressed to a slot (Escape cancels)
+     * @param {string} slot - Binding slot
+     */
+    startRebind(slot)
+    {
+        this.rebinding = slot
+    }
+
+    rebind(slot, code)
+    {
+        this.setSlotValue(this.bindings, slot, [code])
+        this.saveBindings()
+        this.trigger('bindings')
+    }
+
+    // ==========================================
+    // KEYBOARD
+    // ==========================================
+
+    setupListeners()
+    {
+        window.addEventListener('keydown', (event) => {
+            if(this.rebinding)
+            {
+                if(event.code !== 'Escape')
+                    this.rebind(this.rebinding, event.code)
+                this.rebinding = null
+                event.preventDefault()
+                return
+            }
+
+            this.pressed.add(event.code)
+
+            if(event.repeat) return
+
+            for(const action of BUTTON_ACTIONS)
+            {
+                if(this.bindings[action].includes(event.code))
+                    this.trigger(action)
+            }
+        })
+
+        window.addEventListener('keyup', (event) => {
+            this.pressed.delete(event.code)
+        })
+
+        // Keys released while the window is unfocused never send keyup
+        window.addEventListener('blur', () => {
+            this.pressed.clear()
+        })
+
+        window.addEventListener('gamepaddisconnected', (event) => {
+            if(event.gamepad.index === this.gamepadIndex)
+            {
+                this.gamepadIndex = null
+                this.gamepadName = 'none'
+                this.gamepadValues = {}
+            }
+        })
+    }
+
+    isKeyDown(codes)
+    {
+        return codes.some((code) => this.pressed.has(code)) ? 1 : 0
+    }
+
+    // ==========================================
+    // GAMEPAD
+    // ==========================================
+
+    /**
+     * Poll gamepads - once per frame, before the physics steps
+     */
+    update()
+    {
+        const gamepad = this.getGamepad()
+        if(!gamepad) return
+
+        const values = {}
+
+        for(const action of ANALOG_ACTIONS)
+        {
+            const binding = GAMEPAD[action]
+            let value = 0
+
+            for(const index of binding.buttons)
+            {
+                if(gamepad.buttons[index])
+                    value = Math.max(value, gamepad.buttons[index].value)
+            }
+            for(const axis of binding.axes)
+            {
+                value = Math.max(value, this.applyDeadzone(gamepad.axes[axis.index] || 0) * axis.direction)
+            }
+
+            values[action] = value
+        }
+
+        for(const action of AXIS_ACTIONS)
+        {
+            values[action] = this.applyDeadzone(gamepad.axes[GAMEPAD[action].axis] || 0)
+        }
+
+        this.gamepadValues = values
+
+        // Button actions fire on press
+        for(const action of BUTTON_ACTIONS)
+        {
+            const isDown = GAMEPAD[action].buttons.some((index) => gamepad.buttons[index] && gamepad.buttons[index].pressed)
+            if(isDown && !this.gamepadButtons[action])
+                this.trigger(action)
+            this.gamepadButtons[action] = isDown
+        }
+    }
+
+    getGamepad()
+    {
+        if(typeof navigator === 'undefined' || !navigator.getGamepads) return null
+
+        const gamepads = [...navigator.getGamepads()].filter((gamepad) => gamepad && gamepad.connected)
+        const gamepad = gamepads.find((gamepad) => gamepad.index === this.gamepadIndex) || gamepads[0] || null
+
+        this.gamepadIndex = gamepad ? gamepad.index : null
+        this.gamepadName = gamepad ? gamepad.id : 'none'
+
+        return gamepad
+    }
+
+    /**
+     * Ignore stick drift, then rescale so the range still starts at 0
+     */
+    applyDeadzone(value)
+    {
+        const magnitude = Math.abs(value)
+        if(magnitude < this.deadzone) return 0
+
+        return Math.sign(value) * Math.min((magnitude - this.deadzone) / (1 - this.deadzone), 1)
+    }
+
+    // ==========================================
+    // TOUCH
+    // ==========================================
+
+    /**
+     * @param {Object} values - Any of { throttle, brake, steerLeft, steerRight, pitch, roll }
+     */
+    setTouchValues(values)
+    {
+        this.touchValues = values
+    }
+
+    /**
+     * Press a button action from outside the keyboard/gamepad (on-screen buttons)
+     * @param {string} action - 'toggleFlight', 'respawn', 'toggleCamera' or 'photoMode'
+     */
+    press(action)
+    {
+        if(BUTTON_ACTIONS.includes(action))
+            this.trigger(action)
+    }
+
+    // ==========================================
+    // ACTIONS
+    // ==========================================
+
+    /**
+     * Current action values, keyboard, gamepad and touch combined
+     * Rounded so a recorded replay holds exactly the values that were used
+     * @returns {Object} - { throttle, brake, steerLeft, steerRight, pitch, roll }
+     */
+    getActions()
+    {
+        const round = (value) => Math.round(value * 1000) / 1000
+        const actions = {}
+
+        for(const action of ANALOG_ACTIONS)
+        {
+            const value = Math.max(
+                this.isKeyDown(this.bindings[action]),
+                this.gamepadValues[action] || 0,
+                this.touchValues[action] || 0
+            )
+            actions[action] = round(value)
+        }
+
+        for(const action of AXIS_ACTIONS)
+        {
+            const binding = this.bindings[action]
+            const keyboard = this.isKeyDown(binding.positive) - this.isKeyDown(binding.negative)
+            const value = Math.max(-1, Math.min(1, keyboard + (this.gamepadValues[action] || 0) + (this.touchValues[action] || 0)))
+            actions[action] = round(value)
+        }
+
+        return actions
+    }
+
+    setDebug()
+    {
+        if(!this.debug || !this.debug.active) return
+
+        const folder = this.debug.ui.addFolder('input')
+        folder.close()
+
+        // One button per slot - click, then press the new key
+        const controllers = {}
+        for(const slot of this.getSlots())
+        {
+            const label = slot.replace('.negative', ' −').replace('.positive', ' +')
+            controllers[slot] = folder
+                .add({ [slot]: () => this.startRebind(slot) }, slot)
+                .name(`${label}: ${this.getSlotLabel(slot)}`)
+            controllers[slot].label = label
+        }
+
+        this.on('bindings.debug', () => {
+            for(const slot in controllers)
+                controllers[slot].name(`${controllers[slot].label}: ${this.getSlotLabel(slot)}`)
+        })
+
+        folder.add({ reset: () => this.resetBindings() }, 'reset').name('↺ Reset Bindings')
+
+        folder
+            .add(this, 'deadzone')
+            .min(0)
+            .max(0.5)
+            .step(0.01)
+            .name('stick deadzone')
+
+        folder.add(this, 'gamepadName').name('gamepad').listen().disable()
+    }
+}
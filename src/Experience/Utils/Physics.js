@@ -1,19 +1,47 @@
 import RAPIER from '@dimforge/rapier3d'
 import EventEmitter from './EventEmitter.js'
 
+/**
+ * Physics - Rapier world, fixed-step driver and collision events
+ *
+ * Events (triggered after each step, see drainEvents):
+ * - 'collisionStart' (event) - { handle1, handle2, owner1, owner2, sensor, impulse, normal }
+ * - 'collisionEnd' (event) - { handle1, handle2, owner1, owner2, sensor }
+ * - 'contactForce' (event) - { handle1, handle2, owner1, owner2, force, impulse, direction }
+ *
+ * Owners are registered with createCollider/registerCollider, e.g. { type: 'ramp', name, object }
+ * Only colliders with ActiveEvents enabled (the player ball, trigger volumes) generate events
+ * - 'step' - after the events of each step have been emitted
+ */
 export default class Physics extends EventEmitter
 {
-    constructor()
+    constructor(_options = {})
     {
         super()
 
         this.RAPIER = null
         this.world = null
         this.isReady = false
+        this.debug = _options.debug
+
+        // Fixed timestep - the world always advances by 1 / fixedHz seconds
+        this.fixedHz = _options.fixedHz || 60
+        this.maxSubsteps = _options.maxSubsteps || 5
+        this.accumulator = 0
+        this.alpha = 0 // Render interpolation factor between the last two physics states
+        this.stepCount = 0
+        
+        // Collision events
+        this.eventQueue = null
+        this.colliderOwners = new Map() // Collider handle -> { type, name, object }
+        this.logEvents = false
         
         this.init()
+        this.setDebug()
     }
 
+    get fixedDelta() { return 1 / this.fixedHz }
+
     async init()
     {
         // Import and initialize Rapier
@@ -22,6 +50,10 @@ export default class Physics extends EventEmitter
         // Create physics world with gravity
         const gravity = { x: 0.0, y: -9.81, z: 0.0 }
         this.world = new this.RAPIER.World(gravity)
+        this.world.timestep = this.fixedDelta
+        
+        // Collects collision and contact force events during each step
+        this.eventQueue = new this.RAPIER.EventQueue(true)
         
         this.isReady = true
         
@@ -29,14 +61,162 @@ export default class Physics extends EventEmitter
         this.trigger('ready')
     }
 
-    update()
+    /**
+     * Add real frame time to the accumulator
+     * @param {number} deltaSeconds - Time since the last frame in seconds
+     * @returns {number} - Number of fixed steps to run this frame
+     */
+    accumulate(deltaSeconds)
+    {
+        if(!this.world) return 0
+
+        const fixedDelta = this.fixedDelta
+        this.accumulator += deltaSeconds
+
+        let steps = Math.floor(this.accumulator / fixedDelta)
+        this.accumulator -= steps * fixedDelta
+
+        // Too far behind (hidden tab, long frame) - drop the backlog instead of spiralling
+        if(steps > this.maxSubsteps)
+        {
+            steps = this.maxSubsteps
+        }
+
+        this.alpha = this.accumulator / fixedDelta
+
+        return steps
+    }
+
+    /**
+     * Advance the world by exactly one fixed step
+     */
+    step()
     {
         if(this.world)
         {
-            this.world.step()
+            this.world.timestep = this.fixedDelta
+            this.world.step(this.eventQueue)
+            this.stepCount++
+            
+            this.drainEvents()
+            this.trigger('step')
         }
     }
 
+    /**
+     * Emit the events Rapier collected during the last step
+     */
+    drainEvents()
+    {
+        this.eventQueue.drainCollisionEvents((handle1, handle2, started) => {
+            const collider1 = this.world.getCollider(handle1)
+            const collider2 = this.world.getCollider(handle2)
+            const event = {
+                handle1,
+                handle2,
+                owner1: this.getColliderOwner(handle1),
+                owner2: this.getColliderOwner(handle2),
+                sensor: (collider1 && collider1.isSensor()) || (collider2 && collider2.isSensor())
+            }
+            
+            if(started && !event.sensor)
+            {
+                Object.assign(event, this.getContactImpulse(handle1, handle2))
+            }
+            
+            if(this.logEvents)
+            {
+                console.log(started ? 'collisionStart' : 'collisionEnd', this.describeOwner(event.owner1), this.describeOwner(event.owner2), event.impulse !== undefined ? event.impulse.toFixed(2) : '')
+            }
+            
+            this.trigger(started ? 'collisionStart' : 'collisionEnd', [event])
+        })
+        
+        this.eventQueue.drainContactForceEvents((forceEvent) => {
+            const handle1 = forceEvent.collider1()
+            const handle2 = forceEvent.collider2()
+            const force = forceEvent.totalForceMagnitude()
+            const direction = forceEvent.maxForceDirection()
+            
+            const event = {
+                handle1,
+                handle2,
+                owner1: this.getColliderOwner(handle1),
+                owner2: this.getColliderOwner(handle2),
+                force,
+                impulse: force * this.fixedDelta,
+                direction: { x: direction.x, y: direction.y, z: direction.z }
+            }
+            
+            if(this.logEvents)
+            {
+                console.log('contactForce', this.describeOwner(event.owner1), this.describeOwner(event.owner2), force.toFixed(1))
+            }
+            
+            this.trigger('contactForce', [event])
+        })
+    }
+
+    /**
+     * Impact impulse of a new contact, summed over the solver's contact points
+     * @returns {Object} - { impulse: N·s, normal: world normal pointing from collider 1 to collider 2 }
+     */
+    getContactImpulse(handle1, handle2)
+    {
+        const collider1 = this.world.getCollider(handle1)
+        const collider2 = this.world.getCollider(handle2)
+        const result = { impulse: 0, normal: { x: 0, y: 0, z: 0 } }
+        
+        if(!collider1 || !collider2) return result
+        
+        this.world.contactPair(collider1, collider2, (manifold, flipped) => {
+            for(let i = 0; i < manifold.numContacts(); i++)
+            {
+                result.impulse += manifold.contactImpulse(i)
+            }
+            
+            const normal = manifold.normal()
+            const sign = flipped ? -1 : 1
+            result.normal = { x: normal.x * sign, y: normal.y * sign, z: normal.z * sign }
+        })
+        
+        return result
+    }
+
+    /**
+     * Map a collider to the game object that owns it
+     * @param {Object} collider - Rapier collider
+     * @param {Object} owner - { type, name, object }
+     */
+    registerCollider(collider, owner)
+    {
+        if(collider && owner)
+        {
+            this.colliderOwners.set(collider.handle, owner)
+        }
+        
+        return collider
+    }
+
+    unregisterCollider(collider)
+    {
+        if(collider)
+        {
+            this.colliderOwners.delete(collider.handle)
+        }
+    }
+
+    getColliderOwner(handle)
+    {
+        return this.colliderOwners.get(handle) || null
+    }
+
+    describeOwner(owner)
+    {
+        if(!owner) return 'unknown'
+        return owner.name !== undefined ? `${owner.type}:${owner.name}` : owner.type
+    }
+
     createRigidBody(rigidBodyDesc)
     {
         if(!this.world)
@@ -47,20 +227,29 @@ export default class Physics extends EventEmitter
         return this.world.createRigidBody(rigidBodyDesc)
     }
 
-    createCollider(colliderDesc, rigidBody)
+    /**
+     * @param {Object} colliderDesc - Rapier collider description
+     * @param {Object} [rigidBody] - Parent body (none for static colliders)
+     * @param {Object} [owner] - { type, name, object } reported in collision events, optional mesh (faded by CameraCollision)
+     */
+    createCollider(colliderDesc, rigidBody, owner)
     {
         if(!this.world)
         {
             return null
         }
         
-        return this.world.createCollider(colliderDesc, rigidBody)
+        return this.registerCollider(this.world.createCollider(colliderDesc, rigidBody), owner)
     }
 
     removeRigidBody(rigidBody)
     {
         if(this.world && rigidBody)
         {
+            for(let i = 0; i < rigidBody.numColliders(); i++)
+            {
+                this.unregisterCollider(rigidBody.collider(i))
+            }
             this.world.removeRigidBody(rigidBody)
         }
     }
@@ -69,4 +258,31 @@ export default class Physics extends EventEmitter
     {
         return this.RAPIER
     }
+
+    setDebug()
+    {
+        if(this.debug && this.debug.active)
+        {
+            const physicsFolder = this.debug.ui.addFolder('physics')
+            physicsFolder.close()
+
+            physicsFolder
+                .add(this, 'fixedHz')
+                .min(30)
+                .max(240)
+                .step(1)
+                .name('fixed rate (Hz)')
+
+            physicsFolder
+                .add(this, 'maxSubsteps')
+                .min(1)
+                .max(20)
+                .step(1)
+                .name('max substeps / frame')
+
+            physicsFolder
+                .add(this, 'logEvents')
+                .name('log collision events')
+        }
+    }
 }
@@ -2,7 +2,7 @@ import EventEmitter from './EventEmitter.js'
 
 export default class Time extends EventEmitter
 {
-    constructor()
+    constructor(_options = {})
     {
         super()
 
@@ -12,17 +12,45 @@ export default class Time extends EventEmitter
         this.elapsed = 0
         this.delta = 16
 
+        // Paused time stands still (delta 0, elapsed held) while frames keep ticking - photo mode
+        this.paused = false
+
+        // Manual time is advanced by the caller (headless simulation)
+        this.manual = _options.manual === true
+        if(this.manual)
+            return
+
         window.requestAnimationFrame(() =>
         {
             this.tick()
         })
     }
 
+    /**
+     * Advance manual time without a frame loop
+     * @param {number} delta - Milliseconds to advance
+     */
+    advance(delta)
+    {
+        this.delta = delta
+        this.current += delta
+        this.elapsed = this.current - this.start
+    }
+
     tick()
     {
         const currentTime = Date.now()
-        this.delta = currentTime - this.current
+        const delta = currentTime - this.current
         this.current = currentTime
+        if(this.paused)
+        {
+            this.start += delta
+            this.delta = 0
+        }
+        else
+        {
+            this.delta = delta
+        }
         this.elapsed = this.current - this.start
         console.log(this.delta)  // --- IGNORE ---
         console.log(this.elapsed)  // --- IGNORE ---
@@ -0,0 +1,357 @@
+/**
+ * TouchControls - On-screen joystick and buttons for phones and tablets
+ * Feeds Input like a gamepad: the joystick gives analog throttle/brake/steer and
+ * pitch/roll, the buttons press toggleFlight, respawn, toggleCamera and photoMode
+ *
+ * Layouts switch automatically: 'touch' after a touch, 'desktop' after a key
+ * press or mouse use (coarse pointers start in 'touch')
+ *
+ * Device tilt can replace the joystick for pitch/roll while flying
+ */
+export default class TouchControls
+{
+    /**
+     * @param {Object} _options
+     * @param {Input} _options.input - Shared Input instance
+     * @param {Debug} [_options.debug]
+     */
+    constructor(_options)
+    {
+        this.input = _options.input
+        this.debug = _options.debug
+
+        // 'auto', 'touch' or 'desktop'
+        this.layoutMode = 'auto'
+        this.layout = window.matchMedia('(pointer: coarse)').matches ? 'touch' : 'desktop'
+
+        // Joystick
+        this.joystickRadius = 60
+        this.joystickPointer = null
+        this.joystick = { x: 0, y: 0 }
+
+        // Device tilt (flight only)
+        this.tiltEnabled = false
+        this.tiltRange = 30 // Degrees of tilt for full deflection
+        this.tilt = { x: 0, y: 0 }
+        this.tiltNeutral = null
+        this.isFlying = false
+
+        this.createOverlay()
+        this.setupListeners()
+        this.applyLayout()
+        this.setDebug()
+    }
+
+    createOverlay()
+    {
+        this.container = document.createElement('div')
+        this.container.style.position = 'fixed'
+        this.container.style.inset = '0'
+        this.container.style.zIndex = '1001'
+        this.container.style.pointerEvents = 'none'
+        this.container.style.userSelect = 'none'
+        this.container.style.webkitUserSelect = 'none'
+
+        // Joystick base and knob (bottom left)
+        const size = this.joystickRadius * 2
+        this.joystickBase = document.createElement('div')
+        this.joystickBase.style.position = 'absolute'
+        this.joystickBase.style.left = '30px'
+        this.joystickBase.style.bottom = '30px'
+        this.joystickBase.style.width = `${size}px`
+        this.joystickBase.style.height = `${size}px`
+        this.joystickBase.style.borderRadius = '50%'
+        this.joystickBase.style.backgroundColor = 'rgba(0, 0, 0, 0.35)'
+        this.joystickBase.style.border = '2px solid rgba(0, 255, 0, 0.5)'
+        this.joystickBase.style.pointerEvents = 'auto'
+        this.joystickBase.style.touchAction = 'none'
+        this.container.appendChild(this.joystickBase)
+
+        this.joystickKnob = document.createElement('div')
+        this.joystickKnob.style.position = 'absolute'
+        this.joystickKnob.style.left = `${this.joystickRadius - 25}px`
+        this.joystickKnob.style.top = `${this.joystickRadius - 25}px`
+        this.joystickKnob.style.width = '50px'
+        this.joystickKnob.style.height = '50px'
+        this.joystickKnob.style.borderRadius = '50%'
+        this.joystickKnob.style.backgroundColor = 'rgba(0, 255, 0, 0.5)'
+        this.joystickKnob.style.pointerEvents = 'none'
+        this.joystickBase.appendChild(this.joystickKnob)
+
+        // Buttons (bottom right)
+        this.buttons = document.createElement('div')
+        this.buttons.style.position = 'absolute'
+        this.buttons.style.right = '30px'
+        this.buttons.style.bottom = '30px'
+        this.buttons.style.display = 'flex'
+        this.buttons.style.flexDirection = 'column'
+        this.buttons.style.alignItems = 'flex-end'
+        this.buttons.style.gap = '12px'
+        this.container.appendChild(this.buttons)
+
+        this.flightButton = this.createButton('✈', 72, () => this.input.press('toggleFlight'))
+        this.respawnButton = this.createButton('↺', 52, () => this.input.press('respawn'))
+        this.cameraButton = this.createButton('🎥', 52, () => this.input.press('toggleCamera'))
+        this.photoButton = this.createButton('📷', 52, () => this.input.press('photoMode'))
+        this.tiltButton = this.createButton('📱', 52, () => this.toggleTilt())
+
+        document.body.appendChild(this.container)
+    }
+
+    createButton(label, size, onPress)
+    {
+        const button = document.createElement('div')
+        button.textContent = label
+        button.style.width = `${size}px`
+        button.style.height = `${size}px`
+        button.style.lineHeight = `${size}px`
+        button.style.textAlign = 'center'
+        button.style.fontSize = `${Math.round(size * 0.45)}px`
+        button.style.fontFamily = 'monospace'
+        button.style.color = '#00ff00'
+        button.style.borderRadius = '50%'
+        button.style.backgroundColor = 'rgba(0, 0, 0, 0.45)'
+        button.style.border = '2px solid rgba(0, 255, 0, 0.5)'
+        button.style.pointerEvents = 'auto'
+        button.style.touchAction = 'none'
+
+        button.addEventListener('pointerdown', (event) => {
+            event.preventDefault()
+            event.stopPropagation()
+            onPress()
+        })
+
+        this.buttons.appendChild(button)
+        return button
+    }
+
+    setupListeners()
+    {
+        // Joystick - follows one pointer from press to release
+        this.joystickBase.addEventListener('pointerdown', (event) => {
+            event.preventDefault()
+            event.stopPropagation()
+            this.joystickPointer = event.pointerId
+            this.joystickBase.setPointerCapture(event.pointerId)
+            this.moveJoystick(event)
+        })
+
+        this.joystickBase.addEventListener('pointermove', (event) => {
+            if(event.pointerId === this.joystickPointer)
+                this.moveJoystick(event)
+        })
+
+        const release = (event) => {
+            if(event.pointerId !== this.joystickPointer) return
+            this.joystickPointer = null
+            this.joystick.x = 0
+            this.joystick.y = 0
+            this.updateKnob()
+            this.updateValues()
+        }
+        this.joystickBase.addEventListener('pointerup', release)
+        this.joystickBase.addEventListener('pointercancel', release)
+
+        // Automatic layout switching
+        window.addEventListener('pointerdown', (event) => {
+            this.setDetectedLayout(event.pointerType === 'touch' ? 'touch' : 'desktop')
+        }, true)
+
+        window.addEventListener('keydown', () => {
+            this.setDetectedLayout('desktop')
+        })
+
+        window.addEventListener('deviceorientation', (event) => {
+            this.onDeviceOrientation(event)
+        })
+    }
+
+    moveJoystick(event)
+    {
+        const bounds = this.joystickBase.getBoundingClientRect()
+        let x = (event.clientX - (bounds.left + bounds.width / 2)) / this.joystickRadius
+        let y = (event.clientY - (bounds.top + bounds.height / 2)) / this.joystickRadius
+
+        // Keep inside the base - magnitude is the analog strength
+        const magnitude = Math.hypot(x, y)
+        if(magnitude > 1)
+        {
+            x /= magnitude
+            y /= magnitude
+        }
+
+        this.joystick.x = x
+        this.joystick.y = y
+        this.updateKnob()
+        this.updateValues()
+    }
+
+    updateKnob()
+    {
+        const x = this.joystick.x * this.joystickRadius
+        const y = this.joystick.y * this.joystickRadius
+        this.joystickKnob.style.transform = `translate(${x}px, ${y}px)`
+    }
+
+    /**
+     * Joystick/tilt to actions - up is throttle and nose down, like a gamepad stick
+     */
+    updateValues()
+    {
+        const { x, y } = this.joystick
+        const useTilt = this.tiltEnabled && this.isFlying && this.tiltNeutral
+
+        this.input.setTouchValues({
+            throttle: Math.max(0, -y),
+            brake: Math.max(0, y),
+            steerLeft: Math.max(0, -x),
+            steerRight: Math.max(0, x),
+            pitch: useTilt ? this.tilt.y : y,
+            roll: useTilt ? this.tilt.x : x
+        })
+    }
+
+    // ==========================================
+    // DEVICE TILT
+    // ==========================================
+
+    toggleTilt()
+    {
+        if(this.tiltEnabled)
+        {
+            this.setTilt(false)
+            return
+        }
+
+        // iOS asks for permission, from a user gesture
+        if(typeof DeviceOrientationEvent !== 'undefined' && typeof DeviceOrientationEvent.requestPermission === 'function')
+        {
+            DeviceOrientationEvent.requestPermission()
+                .then((state) => this.setTilt(state === 'granted'))
+                .catch((error) => console.warn('TouchControls: tilt permission failed', error))
+        }
+        else
+        {
+            this.setTilt(true)
+        }
+    }
+
+    /**
+     * @param {boolean} enabled - The current device angle becomes neutral when enabled
+     */
+    setTilt(enabled)
+    {
+        this.tiltEnabled = enabled
+        this.tiltNeutral = null
+        this.tilt.x = 0
+        this.tilt.y = 0
+        this.tiltButton.style.backgroundColor = enabled ? 'rgba(0, 255, 0, 0.35)' : 'rgba(0, 0, 0, 0.45)'
+        this.updateValues()
+    }
+
+    onDeviceOrientation(event)
+    {
+        if(!this.tiltEnabled || event.beta === null || event.gamma === null) return
+
+        // Screen-relative tilt: x = left/right, y = top edge towards/away from the player
+        const angle = screen.orientation ? screen.orientation.angle : (window.orientation || 0)
+        let x = event.gamma
+        let y = event.beta
+        if(angle === 90)
+        {
+            x = event.beta
+            y = -event.gamma
+        }
+        else if(angle === 270 || angle === -90)
+        {
+            x = -event.beta
+            y = event.gamma
+        }
+        else if(angle === 180)
+        {
+            x = -event.gamma
+            y = -event.beta
+        }
+
+        if(!this.tiltNeutral)
+            this.tiltNeutral = { x, y }
+
+        const clamp = (value) => Math.max(-1, Math.min(1, value))
+        this.tilt.x = clamp((x - this.tiltNeutral.x) / this.tiltRange)
+        this.tilt.y = clamp((y - this.tiltNeutral.y) / this.tiltRange)
+        this.updateValues()
+    }
+
+    /**
+     * Tilt only steers in flight
+     * @param {boolean} isFlying
+     */
+    setFlying(isFlying)
+    {
+        this.isFlying = isFlying
+        this.updateValues()
+    }
+
+    // ==========================================
+    // LAYOUT
+    // ==========================================
+
+    /**
+     * Hide the overlay without changing the layout (photo mode)
+     * @param {boolean} visible
+     */
+    setVisible(visible)
+    {
+        this.container.style.visibility = visible ? '' : 'hidden'
+    }
+
+    setDetectedLayout(layout)
+    {
+        if(this.layoutMode !== 'auto' || layout === this.layout) return
+
+        this.layout = layout
+        this.applyLayout()
+    }
+
+    applyLayout()
+    {
+        if(this.layoutMode !== 'auto')
+            this.layout = this.layoutMode
+
+        this.container.style.display = this.layout === 'touch' ? 'block' : 'none'
+
+        // Hidden controls must not hold an action
+        if(this.layout !== 'touch')
+        {
+            this.joystickPointer = null
+            this.joystick.x = 0
+            this.joystick.y = 0
+            this.updateKnob()
+            this.updateValues()
+        }
+    }
+
+    setDebug()
+    {
+        if(!this.debug || !this.debug.active) return
+
+        const folder = this.debug.ui.addFolder('touch')
+        folder.close()
+
+        folder
+            .add(this, 'layoutMode', ['auto', 'touch', 'desktop'])
+            .name('layout')
+            .onChange(() => this.applyLayout())
+
+        folder.add(this, 'layout').name('current').listen().disable()
+
+        folder
+            .add(this, 'tiltRange')
+            .min(10)
+            .max(60)
+            .step(1)
+            .name('tilt range (°)')
+
+        folder.add({ recenter: () => this.setTilt(this.tiltEnabled) }, 'recenter').name('🎯 Recenter Tilt')
+    }
+}
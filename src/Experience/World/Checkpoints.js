@@ -0,0 +1,156 @@
+import * as THREE from 'three'
+import Experience from '../Experience.js'
+import EventEmitter from '../Utils/EventEmitter.js'
+import TriggerVolume from './TriggerVolume.js'
+
+/**
+ * Checkpoints - Named respawn points along the track
+ * Passing a checkpoint's trigger plane (forward) makes it the active one;
+ * respawning puts the player back at the active checkpoint
+ *
+ * Checkpoint:
+ * {
+ *     name,
+ *     position: { x, y, z },      // Ball center
+ *     rotation: { x, y, z, w },   // Ball orientation
+ *     velocity: { x, y, z },      // Initial velocity
+ *     mode: 'ground' | 'air' | 'flight' | 'ballistic',
+ *     trigger: { position, rotation, width, height } | null  // Plane passed to activate it
+ * }
+ *
+ * Events:
+ * - 'activate' (checkpoint)
+ * - 'respawn' (checkpoint)
+ */
+export default class Checkpoints extends EventEmitter
+{
+    constructor()
+    {
+        super()
+
+        this.experience = new Experience()
+        this.debug = this.experience.debug
+        this.world = this.experience.world
+        this.player = this.world.player
+
+        // Trigger planes face +X, the direction of the track
+        const faceTrack = new THREE.Quaternion().setFromAxisAngle(new THREE.Vector3(0, 1, 0), Math.PI / 2)
+
+        this.list = [
+            {
+                name: 'start',
+                position: { x: 0, y: this.player.vars.radius, z: 0 },
+                rotation: { x: 0, y: 0, z: 0, w: 1 },
+                velocity: { x: 0.15, y: 0, z: 0 }, // Small nudge so the ball starts rolling
+                mode: 'ground',
+                trigger: null
+            },
+            {
+                name: 'slope',
+                position: { x: 100, y: -83.5, z: 0 },
+                rotation: { x: 0, y: 0, z: 0, w: 1 },
+                velocity: { x: 25, y: -25, z: 0 },
+                mode: 'ground',
+                trigger: { position: { x: 100, y: -84, z: 0 }, rotation: faceTrack, width: 40, height: 30 }
+            },
+            {
+                name: 'rampExit',
+                position: { x: 258.6, y: -214.04, z: 0 },
+                rotation: { x: 0, y: 0, z: 0, w: 1 },
+                velocity: { x: 44.75, y: 58.18, z: 0 },
+                mode: 'ballistic',
+                trigger: { position: { x: 262, y: -210, z: 0 }, rotation: faceTrack, width: 40, height: 30 }
+            }
+        ]
+
+        this.active = this.list[0]
+        this.activeName = this.active.name
+
+        this.setTriggers()
+        this.setDebug()
+
+        // Initial spawn
+        this.respawn('start')
+    }
+
+    get(name)
+    {
+        return this.list.find((checkpoint) => checkpoint.name === name) || null
+    }
+
+    setTriggers()
+    {
+        this.triggers = []
+
+        for(const checkpoint of this.list)
+        {
+            if(!checkpoint.trigger) continue
+
+            const trigger = new TriggerVolume({
+                name: `checkpoint${checkpoint.name}`,
+                shape: 'plane',
+                ...checkpoint.trigger
+            })
+            trigger.on('enter', (event) => {
+                if(event.body === this.player.vars.body)
+                    this.activate(checkpoint.name)
+            })
+            this.triggers.push(trigger)
+        }
+    }
+
+    /**
+     * @param {string} name - Checkpoint name
+     */
+    activate(name)
+    {
+        const checkpoint = this.get(name)
+        if(!checkpoint || checkpoint === this.active) return
+
+        this.active = checkpoint
+        this.activeName = name
+        console.log(`Checkpoint: ${name}`)
+
+        this.trigger('activate', [checkpoint])
+    }
+
+    /**
+     * Put the player back at a checkpoint
+     * @param {string} [name] - Checkpoint name, the active one if omitted
+     */
+    respawn(name)
+    {
+        const checkpoint = name ? this.get(name) : this.active
+        if(!checkpoint || !this.player.vars.body) return
+
+        if(checkpoint !== this.active)
+            this.activate(checkpoint.name)
+
+        this.player.respawn(checkpoint)
+        this.trigger('respawn', [checkpoint])
+    }
+
+    setDebug()
+    {
+        if(!this.debug.active) return
+
+        const folder = this.debug.ui.addFolder('checkpoints')
+        folder.close()
+
+        folder
+            .add(this, 'activeName', this.list.map((checkpoint) => checkpoint.name))
+            .name('active')
+            .listen()
+            .onChange((value) => this.activate(value))
+
+        folder
+            .add(this.player.oceanMode, 'respawnDelay')
+            .min(0)
+            .max(10)
+            .step(0.5)
+            .name('ocean respawn delay (s, 0 = off)')
+
+        folder.add({ respawn: () => this.player.input.requestRespawn() }, 'respawn').name('↺ Respawn')
+        folder.add({ restart: () => this.player.input.requestRespawn('start') }, 'restart').name('⏮ Restart From Start')
+    }
+}
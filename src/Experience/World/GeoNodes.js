@@ -87,7 +87,7 @@ export default class GeoNodes {
                 .setRotation({ x: quatX, y: quatY, z: quatZ, w: quatW })
             
             // Create and attach collider to rigid body
-            const collider = this.physics.createCollider(colliderDesc, this.rigidBody)
+            const collider = this.physics.createCollider(colliderDesc, this.rigidBody, { type: 'geoNodes', name: index, object: this })
             this.colliders.push(collider)
             
             // Create visual mesh with individual geometry for each box (double the scale for full size)
@@ -104,6 +104,7 @@ export default class GeoNodes {
             mesh.position.set(posX, posY, posZ)
             mesh.quaternion.set(quatX, quatY, quatZ, quatW)
             mesh.visible = this.collisionVisible
+            mesh.userData.helper = true
             mesh.castShadow = true
             mesh.receiveShadow = true
             
@@ -0,0 +1,400 @@
+import * as THREE from 'three'
+import * as SkeletonUtils from 'three/examples/jsm/utils/SkeletonUtils.js'
+import Experience from '../Experience.js'
+
+/**
+ * Ghost - Translucent ball racing a saved run
+ * A run from the start checkpoint is a PlayerReplay recording; finished runs are kept per track in
+ * localStorage and the selected one is played back from its trace (pose every few physics steps)
+ *
+ * Checkpoints (player state transitions), stored on the recording as checkpoints: [{ name, time }]:
+ * - gate: rampConstrained entered
+ * - rampExit: ballistic entered
+ * - finish: ocean entered - the run ends and is saved if it is among the best
+ *
+ * Respawning anywhere else or running longer than maxRunTime abandons the run; restarting from
+ * the start checkpoint begins a new one. Runs only start while the replay panel is idle, and a
+ * recording or playback started from it takes over - that run is not kept
+ */
+const STORAGE_PREFIX = 'bnardBall.ghosts.'
+
+export default class Ghost
+{
+    constructor()
+    {
+        this.experience = new Experience()
+        this.scene = this.experience.scene
+        this.resources = this.experience.resources
+        this.physics = this.experience.physics
+        this.debug = this.experience.debug
+        this.world = this.experience.world
+        this.replay = this.world.player.replay
+
+        // Recording - whole replays, so only a few fit in localStorage
+        this.maxSavedRuns = 3
+        this.maxRunTime = 60 // Seconds - a run still going by then is abandoned
+        this.run = null
+
+        // Playback
+        this.ghostRun = null
+        this.selectedRun = 'best'
+        this.opacity = 0.25
+        this.visible = true
+
+        // Mesh and animation
+        this.mesh = null
+        this.mixer = null
+        this.wingsAction = null
+        this.isFlying = false
+
+        this.setMesh()
+
+        // The session starts at the start checkpoint (Checkpoints spawns there before the ghost exists)
+        if(this.world.checkpoints && this.world.checkpoints.active.name === 'start')
+            this.startRun()
+
+        this.world.player.stateMachine.on('change.ghost', (to) => this.onStateChange(to))
+        if(this.world.checkpoints)
+            this.world.checkpoints.on('respawn.ghost', (checkpoint) => this.onRespawn(checkpoint))
+        this.selectRun('best')
+        this.setDebug()
+    }
+
+    /**
+     * Runs are stored per track - changing the ramp shape makes a new track
+     */
+    getTrackId()
+    {
+        const rampL = this.world.rampL
+        return rampL ? `rampL-L${rampL.L}-M${rampL.M}` : 'default'
+    }
+
+    setMesh()
+    {
+        const ballResource = this.resources.items.ball2Model
+        if(!ballResource || !ballResource.scene) return
+
+        // Same clone as PlayerVisuals.setupMesh so the skinned wings animate
+        this.mesh = SkeletonUtils.clone(ballResource.scene)
+        this.material = new THREE.MeshStandardMaterial({
+            color: 0xaaccff,
+            metalness: 0.2,
+            roughness: 0.3,
+            side: THREE.DoubleSide,
+            transparent: true,
+            opacity: this.opacity,
+            depthWrite: false
+        })
+
+        this.mesh.traverse((child) => {
+            if(child.isMesh)
+            {
+                child.material = this.material
+                child.castShadow = false
+            }
+        })
+        this.mesh.visible = false
+        this.scene.add(this.mesh)
+
+        const clip = ballResource.animations.find((animation) => animation.name === 'BallToWings')
+        if(clip)
+        {
+            this.mixer = new THREE.AnimationMixer(this.mesh)
+            this.wingsAction = this.mixer.clipAction(clip)
+            this.wingsAction.setLoop(THREE.LoopOnce)
+            this.wingsAction.clampWhenFinished = true
+        }
+    }
+
+    // ==========================================
+    // RECORDING
+    // ==========================================
+
+    /**
+     * Record the live player from the next physics step
+     * Not over a recording or playback from the replay panel
+     */
+    startRun()
+    {
+        const replay = this.replay
+        if(replay.pendingAction || (replay.state !== 'idle' && !this.isRecordingRun()))
+            return
+
+        this.run = {
+            trackId: this.getTrackId(),
+            replay: this.replay.startRecording(),
+            checkpoints: [],
+            finished: false
+        }
+    }
+
+    /**
+     * Physics steps of the live run so far
+     */
+    getRunSteps()
+    {
+        return this.run.replay.frames.length
+    }
+
+    /**
+     * Still our recording - the replay panel may have stopped it or started another
+     */
+    isRecordingRun()
+    {
+        return this.run !== null && !this.run.finished && this.replay.isRecording && this.replay.replay === this.run.replay
+    }
+
+    /**
+     * Stop recording the run without keeping it
+     */
+    abandonRun()
+    {
+        if(this.isRecordingRun())
+            this.replay.stop()
+
+        this.run = null
+    }
+
+    onStateChange(to)
+    {
+        if(!this.isRecordingRun()) return
+
+        if(to === 'rampConstrained')
+            this.checkpoint('gate')
+        else if(to === 'ballistic')
+            this.checkpoint('rampExit')
+        else if(to === 'ocean')
+        {
+            this.checkpoint('finish')
+            this.finishRun()
+        }
+    }
+
+    /**
+     * Restarting from the start is a new run - any other respawn abandons the current one
+     */
+    onRespawn(checkpoint)
+    {
+        if(checkpoint.name === 'start')
+            this.startRun()
+        else
+            this.abandonRun()
+    }
+
+    checkpoint(name)
+    {
+        const time = this.getRunSteps() * this.physics.fixedDelta
+        this.run.checkpoints.push({ name, time })
+
+        // Compare against the ghost's split at the same checkpoint
+        const ghostCheckpoint = this.ghostRun && this.ghostRun.checkpoints.find((checkpoint) => checkpoint.name === name)
+        const hud = this.world.player && this.world.player.hud
+        if(hud)
+        {
+            hud.updateGhostDelta(name, ghostCheckpoint ? time - ghostCheckpoint.time : null)
+        }
+    }
+
+    finishRun()
+    {
+        this.run.finished = true
+
+        // The recording becomes the replay panel's last replay too (Save Last, Replay Last)
+        const recording = this.replay.stop()
+        recording.time = recording.frames.length / recording.fixedHz
+        recording.checkpoints = this.run.checkpoints
+
+        const runs = this.loadRuns(this.run.trackId)
+        runs.push(recording)
+        runs.sort((a, b) => a.time - b.time)
+        this.saveRuns(this.run.trackId, runs.slice(0, this.maxSavedRuns))
+
+        console.log(`Ghost: run finished in ${recording.time.toFixed(2)}s`)
+        this.refreshDebugRuns()
+    }
+
+    // ==========================================
+    // STORAGE
+    // ==========================================
+
+    loadRuns(trackId = this.getTrackId())
+    {
+        try
+        {
+            // Only recordings with a pose trace (runs saved before ghosts used replays are dropped)
+            const runs = JSON.parse(window.localStorage.getItem(STORAGE_PREFIX + trackId)) || []
+            return runs.filter((run) => Array.isArray(run.trace) && run.trace.length > 0 && run.trace[0].length >= 9)
+        }
+        catch(error)
+        {
+            console.warn('Ghost: could not read saved runs', error)
+            return []
+        }
+    }
+
+    saveRuns(trackId, runs)
+    {
+        try
+        {
+            window.localStorage.setItem(STORAGE_PREFIX + trackId, JSON.stringify(runs))
+        }
+        catch(error)
+        {
+            console.warn('Ghost: could not save runs', error)
+        }
+    }
+
+    clearRuns()
+    {
+        window.localStorage.removeItem(STORAGE_PREFIX + this.getTrackId())
+        this.selectRun('none')
+        this.refreshDebugRuns()
+    }
+
+    getRunLabel(run, index)
+    {
+        return `${index + 1}. ${run.time.toFixed(2)}s (${run.recordedAt.slice(0, 16).replace('T', ' ')})`
+    }
+
+    /**
+     * @param {string} selection - 'best', 'none' or a label from getRunLabel
+     */
+    selectRun(selection)
+    {
+        const runs = this.loadRuns()
+        this.selectedRun = selection
+
+        if(selection === 'none')
+            this.ghostRun = null
+        else if(selection === 'best')
+            this.ghostRun = runs[0] || null
+        else
+            this.ghostRun = runs.find((run, index) => this.getRunLabel(run, index) === selection) || null
+    }
+
+    // ==========================================
+    // PLAYBACK
+    // ==========================================
+
+    update()
+    {
+        if(!this.mesh) return
+
+        if(this.isRecordingRun() && this.getRunSteps() * this.physics.fixedDelta > this.maxRunTime)
+            this.abandonRun()
+
+        const trace = this.ghostRun ? this.ghostRun.trace : null
+        if(!this.visible || !trace || !this.run)
+        {
+            this.mesh.visible = false
+            return
+        }
+
+        // Live run time, smoothed between physics steps, as a frame of the ghost's recording
+        const time = (this.getRunSteps() + this.physics.alpha) * this.physics.fixedDelta
+        const frame = time * this.ghostRun.fixedHz
+
+        // Last pose at or before the frame
+        let low = 0
+        let high = trace.length - 1
+        while(low < high)
+        {
+            const middle = Math.ceil((low + high) / 2)
+            if(trace[middle][0] <= frame)
+                low = middle
+            else
+                high = middle - 1
+        }
+
+        const a = trace[low]
+        const b = trace[Math.min(low + 1, trace.length - 1)]
+        const alpha = b[0] > a[0] ? THREE.MathUtils.clamp((frame - a[0]) / (b[0] - a[0]), 0, 1) : 0
+
+        this.mesh.visible = true
+        this.mesh.position.set(
+            a[1] + (b[1] - a[1]) * alpha,
+            a[2] + (b[2] - a[2]) * alpha,
+            a[3] + (b[3] - a[3]) * alpha
+        )
+        this.mesh.quaternion.slerpQuaternions(
+            new THREE.Quaternion(a[4], a[5], a[6], a[7]),
+            new THREE.Quaternion(b[4], b[5], b[6], b[7]),
+            alpha
+        )
+
+        this.updateWings(a[8] === 1)
+
+        if(this.mixer)
+            this.mixer.update(this.experience.time.delta * 0.001)
+    }
+
+    /**
+     * Open/close the wings like FlightMode.activate does for the player
+     */
+    updateWings(isFlying)
+    {
+        if(!this.wingsAction || isFlying === this.isFlying) return
+        this.isFlying = isFlying
+
+        if(isFlying)
+        {
+            this.wingsAction.reset()
+            this.wingsAction.timeScale = 1
+            this.wingsAction.fadeIn(0.3)
+            this.wingsAction.play()
+        }
+        else
+        {
+            this.wingsAction.fadeOut(0.3)
+        }
+    }
+
+    // ==========================================
+    // DEBUG
+    // ==========================================
+
+    getDebugOptions()
+    {
+        return ['best', 'none', ...this.loadRuns().map((run, index) => this.getRunLabel(run, index))]
+    }
+
+    refreshDebugRuns()
+    {
+        if(!this.runController) return
+
+        this.runController = this.runController.options(this.getDebugOptions())
+            .name('race against')
+            .onChange((value) => this.selectRun(value))
+    }
+
+    setDebug()
+    {
+        if(!this.debug.active) return
+
+        this.debugFolder = this.debug.ui.addFolder('ghost')
+        this.debugFolder.close()
+
+        this.runController = this.debugFolder
+            .add(this, 'selectedRun', this.getDebugOptions())
+            .name('race against')
+            .onChange((value) => this.selectRun(value))
+
+        this.debugFolder
+            .add(this, 'visible')
+            .name('show ghost')
+
+        this.debugFolder
+            .add(this, 'opacity')
+            .min(0.05)
+            .max(1)
+            .step(0.01)
+            .name('opacity')
+            .onChange((value) => {
+                if(this.material) this.material.opacity = value
+            })
+
+        this.debugFolder
+            .add({ clear: () => this.clearRuns() }, 'clear')
+            .name('🗑 Clear Saved Runs')
+    }
+}
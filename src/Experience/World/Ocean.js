@@ -2,6 +2,61 @@ import * as THREE from 'three'
 import Experience from '../Experience.js'
 import waterVertexShader from '../../shaders/water/vertex.glsl'
 import waterFragmentShader from '../../shaders/water/fragment.glsl'
+import gerstnerShader from '../../shaders/water/gerstner.glsl'
+
+/**
+ * Ocean - Sea surface with animated waves
+ * The waves are a sum of Gerstner waves, displaced on the GPU (gerstner.glsl, injected
+ * with onBeforeCompile) and evaluated on the CPU for the simulation:
+ * getHeightAt / getNormalAt give the surface under any point, so buoyancy,
+ * ocean entry, the underwater switch and the camera follow the visible waves
+ * Wave time advances in fixedUpdate (simulation seconds), so replays stay deterministic
+ *
+ * Wave: { direction (degrees from +X towards +Z), wavelength (m), steepness (0 to 1), speed (m/s) }
+ * - amplitude = steepness × wavelength / 2π; keep the steepness sum below 1 or crests loop over
+ */
+
+/**
+ * Gerstner displacement of a rest point, same sum as gerstnerWaves() in gerstner.glsl
+ * @param {number} x - Rest point world X
+ * @param {number} z - Rest point world Z
+ * @param {number} time - Wave time in seconds
+ * @param {Object[]} waves
+ * @param {THREE.Vector3} offset - Receives the displacement
+ * @param {THREE.Vector3} [normal] - Receives the surface normal
+ */
+const gerstner = (x, z, time, waves, offset, normal) => {
+    offset.set(0, 0, 0)
+    let tx = 1, ty = 0, tz = 0
+    let bx = 0, by = 0, bz = 1
+
+    for(const wave of waves)
+    {
+        const angle = THREE.MathUtils.degToRad(wave.direction)
+        const dx = Math.cos(angle)
+        const dz = Math.sin(angle)
+        const k = 2 * Math.PI / wave.wavelength
+        const amplitude = wave.steepness / k
+        const f = k * (dx * x + dz * z - wave.speed * time)
+        const s = Math.sin(f)
+        const c = Math.cos(f)
+
+        offset.x += dx * amplitude * c
+        offset.y += amplitude * s
+        offset.z += dz * amplitude * c
+
+        tx -= dx * dx * wave.steepness * s
+        ty += dx * wave.steepness * c
+        tz -= dx * dz * wave.steepness * s
+        bx -= dx * dz * wave.steepness * s
+        by += dz * wave.steepness * c
+        bz -= dz * dz * wave.steepness * s
+    }
+
+    // binormal × tangent
+    if(normal)
+        normal.set(by * tz - bz * ty, bz * tx - bx * tz, bx * ty - by * tx).normalize()
+}
 
 export default class Ocean
 {
@@ -12,19 +67,45 @@ export default class Ocean
         this.resources = this.experience.resources
         this.debug = this.experience.debug
         this.time = this.experience.time
+        this.physics = this.experience.physics
 
         // Ocean properties
-        this.size = 10000 // Large plane size
         this.seaLevel = -230 // Y position at sea level
         
+        // Clipmap rings around the camera - each level doubles the cell size of the one inside it
+        // Level 0 is a full grid, the others are square rings around the previous level
+        this.lodParams = {
+            cellSize: 1, // Level 0 cell size (m)
+            resolution: 64, // Cells per side of each level (multiple of 4)
+            levels: 9 // Outer half extent = resolution / 2 × cellSize × 2^(levels - 1)
+        }
+        
         // Wave properties
         this.waveParams = {
-            amplitude: 1.3,
-            frequency: 0.009,
-            speed: 0.38,
-            enabled: true
+            enabled: true,
+            heightIterations: 4 // Fixed-point steps to find the rest point under a query (waves also move sideways)
         }
         
+        // Long swell first, shorter chop after - the count is fixed once the material compiles
+        this.waves = [
+            { direction: 25, wavelength: 260, steepness: 0.03, speed: 12 },
+            { direction: -40, wavelength: 150, steepness: 0.035, speed: 9 },
+            { direction: 75, wavelength: 90, steepness: 0.04, speed: 7 },
+            { direction: 160, wavelength: 60, steepness: 0.05, speed: 5 }
+        ]
+        
+        // Seconds of simulated time driving the waves
+        this.waveTime = 0
+        this.waveOffset = new THREE.Vector3()
+        
+        // Shared with the compiled shader, refreshed by updateWaveUniforms
+        this.waveUniforms = {
+            uWaves: { value: this.waves.map(() => new THREE.Vector4()) },
+            uWaveSpeeds: { value: this.waves.map(() => 0) },
+            uWaveTime: { value: 0 }
+        }
+        this.updateWaveUniforms()
+        
         // Fade properties
         this.fadeParams = {
             start: 3350,
@@ -37,29 +118,109 @@ export default class Ocean
             scale: 0.021,
             intensity: 0.65,
             threshold: 0.23,
-            speed: 0.57
+            speed: 0.57,
+            windDrift: 0.15 // Fraction of the wind speed the foam drifts with
         }
         
+        // Accumulated foam drift in world XZ (follows Wind)
+        this.foamOffset = new THREE.Vector2()
+        this.ambientWind = new THREE.Vector3()
+        
         // Debug colors
         this.debugObject = {}
         this.debugObject.depthColor = '#246689'
         this.debugObject.surfaceColor = '#5194d2'
 
-        this.setGeometry()
         this.setMaterial()
         this.setMesh()
         this.setDebug()
     }
 
-    setGeometry()
+    /**
+     * Grid of one clipmap level in local XZ, centered on the origin
+     * Waves are displaced in the vertex shader, so the grid only holds rest positions
+     * @param {number} level
+     * @returns {Object} - { geometry, cellSize, indexVariants }
+     */
+    createLevel(level)
     {
-        // Lower resolution for CPU-based waves (performance)
-        this.geometry = new THREE.PlaneGeometry(this.size, this.size, 128, 128)
+        const { resolution, levels } = this.lodParams
+        const cellSize = this.lodParams.cellSize * Math.pow(2, level)
+        const half = resolution / 2
+        const positions = new Float32Array((resolution + 1) * (resolution + 1) * 3)
+        const normals = new Float32Array(positions.length)
+        
+        for(let j = 0; j <= resolution; j++)
+        {
+            for(let i = 0; i <= resolution; i++)
+            {
+                // Stitch to the next level: odd vertices on the outer edge collapse onto their even
+                // neighbour towards the closest corner, so this edge follows the coarser grid exactly
+                // (no cracks between levels) and the corner cells don't fold over
+                let x = i
+                let z = j
+                if(level < levels - 1)
+                {
+                    if((i === 0 || i === resolution) && z % 2 === 1) z += z < half ? -1 : 1
+                    if((j === 0 || j === resolution) && x % 2 === 1) x += x < half ? -1 : 1
+                }
+                
+                const index = (j * (resolution + 1) + i) * 3
+                positions[index + 0] = (x - half) * cellSize
+                positions[index + 2] = (z - half) * cellSize
+                normals[index + 1] = 1
+            }
+        }
+        
+        const geometry = new THREE.BufferGeometry()
+        geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3))
+        geometry.setAttribute('normal', new THREE.BufferAttribute(normals, 3))
         
-        // Store original positions for wave animation
-        const positions = this.geometry.attributes.position.array
-        this.originalPositions = new Float32Array(positions.length)
-        this.originalPositions.set(positions)
+        // Level 0 is full; rings leave a hole for the level inside, which sits 0 or 1 cell
+        // off-center per axis depending on how both levels snapped (see updateLevels)
+        const indexVariants = []
+        const variantCount = level === 0 ? 1 : 4
+        for(let variant = 0; variant < variantCount; variant++)
+        {
+            const holeMinX = level === 0 ? Infinity : resolution / 4 + (variant % 2)
+            const holeMinZ = level === 0 ? Infinity : resolution / 4 + Math.floor(variant / 2)
+            const indices = []
+            
+            for(let j = 0; j < resolution; j++)
+            {
+                for(let i = 0; i < resolution; i++)
+                {
+                    const inHole = i >= holeMinX && i < holeMinX + half && j >= holeMinZ && j < holeMinZ + half
+                    if(inHole) continue
+                    
+                    const a = j * (resolution + 1) + i
+                    const b = a + 1
+                    const c = a + resolution + 1
+                    const d = c + 1
+                    
+                    // Counter-clockwise seen from above
+                    indices.push(a, c, b, b, c, d)
+                }
+            }
+            
+            indexVariants.push(new THREE.Uint32BufferAttribute(indices, 1))
+        }
+        geometry.setIndex(indexVariants[0])
+        
+        return { geometry, cellSize, indexVariants, variant: 0 }
+    }
+
+    /**
+     * Copy the wave list into the shader uniforms (after editing a wave or toggling them)
+     */
+    updateWaveUniforms()
+    {
+        this.waves.forEach((wave, index) => {
+            const angle = THREE.MathUtils.degToRad(wave.direction)
+            const steepness = this.waveParams.enabled ? wave.steepness : 0
+            this.waveUniforms.uWaves.value[index].set(Math.cos(angle), Math.sin(angle), steepness, wave.wavelength)
+            this.waveUniforms.uWaveSpeeds.value[index] = wave.speed
+        })
     }
 
     setMaterial()
@@ -75,9 +236,10 @@ export default class Ocean
             envMapIntensity: 0.4
         })
         
-        // Inject custom shader code for edge fade and foam
+        // Inject custom shader code for waves, edge fade and foam
         this.material.onBeforeCompile = (shader) => {
             // Add uniforms
+            Object.assign(shader.uniforms, this.waveUniforms)
             shader.uniforms.uFadeStart = { value: this.fadeParams.start }
             shader.uniforms.uFadeEnd = { value: this.fadeParams.end }
             shader.uniforms.uFoamEnabled = { value: this.foamParams.enabled ? 1.0 : 0.0 }
@@ -85,6 +247,7 @@ export default class Ocean
             shader.uniforms.uFoamIntensity = { value: this.foamParams.intensity }
             shader.uniforms.uFoamThreshold = { value: this.foamParams.threshold }
             shader.uniforms.uFoamTime = { value: 0.0 }
+            shader.uniforms.uFoamOffset = { value: this.foamOffset }
             
             // Store reference to update later
             this.materialShader = shader
@@ -93,13 +256,28 @@ export default class Ocean
             shader.vertexShader = shader.vertexShader.replace(
                 '#include <common>',
                 `#include <common>
+                #define WAVE_COUNT ${this.waves.length}
+                ${gerstnerShader}
                 varying vec2 vWorldXZ;`
             )
             
+            // Waves in world space - the levels are only translated, so offsets and normals apply as they are
+            // Normals come first - the lighting chunks read objectNormal before begin_vertex
+            shader.vertexShader = shader.vertexShader.replace(
+                '#include <beginnormal_vertex>',
+                `vec3 waveNormal;
+                vec3 waveOffset = gerstnerWaves((modelMatrix * vec4(position, 1.0)).xz, waveNormal);
+                vec3 objectNormal = waveNormal;
+                #ifdef USE_TANGENT
+                    vec3 objectTangent = vec3(tangent.xyz);
+                #endif`
+            )
+            
             shader.vertexShader = shader.vertexShader.replace(
                 '#include <begin_vertex>',
                 `#include <begin_vertex>
-                vec4 worldPos = modelMatrix * vec4(position, 1.0);
+                transformed += waveOffset;
+                vec4 worldPos = modelMatrix * vec4(transformed, 1.0);
                 vWorldXZ = worldPos.xz;`
             )
             
@@ -114,6 +292,7 @@ export default class Ocean
                 uniform float uFoamIntensity;
                 uniform float uFoamThreshold;
                 uniform float uFoamTime;
+                uniform vec2 uFoamOffset;
                 varying vec2 vWorldXZ;
                 
                 // Blue noise / voronoi-based foam pattern
@@ -164,7 +343,7 @@ export default class Ocean
                 
                 // Apply foam effect
                 if(uFoamEnabled > 0.5) {
-                    vec2 foamUV = vWorldXZ * uFoamScale;
+                    vec2 foamUV = (vWorldXZ - uFoamOffset) * uFoamScale;
                     float foam = foamPattern(foamUV);
                     
                     // Apply threshold to control foam density
@@ -214,11 +393,70 @@ export default class Ocean
 
     setMesh()
     {
-        this.mesh = new THREE.Mesh(this.geometry, this.material)
-        this.mesh.rotation.x = -Math.PI * 0.5 // Rotate to be horizontal
-        this.mesh.position.y = this.seaLevel
-        this.mesh.receiveShadow = true
-        this.scene.add(this.mesh)
+        // Levels are placed in XZ by updateLevels, the group holds the sea level
+        this.group = new THREE.Group()
+        this.group.position.y = this.seaLevel
+        this.scene.add(this.group)
+        
+        this.levels = []
+        for(let level = 0; level < this.lodParams.levels; level++)
+        {
+            const lod = this.createLevel(level)
+            lod.mesh = new THREE.Mesh(lod.geometry, this.material)
+            lod.mesh.receiveShadow = true
+            this.group.add(lod.mesh)
+            this.levels.push(lod)
+        }
+        
+        this.updateLevels(0, 0)
+    }
+
+    /**
+     * Rebuild the rings after a LOD setting changes
+     */
+    rebuildLevels()
+    {
+        for(const lod of this.levels)
+        {
+            lod.geometry.dispose()
+            this.group.remove(lod.mesh)
+        }
+        this.scene.remove(this.group)
+        this.setMesh()
+    }
+
+    /**
+     * Follow the camera in snapped steps - each level moves by twice its cell size, so its
+     * vertices always sample the same world points (no swimming) and its even vertices line up with the next level
+     * @param {number} x - Camera world X
+     * @param {number} z - Camera world Z
+     */
+    updateLevels(x, z)
+    {
+        let innerX = 0
+        let innerZ = 0
+        
+        this.levels.forEach((lod, level) => {
+            const step = lod.cellSize * 2
+            const centerX = Math.floor(x / step) * step
+            const centerZ = Math.floor(z / step) * step
+            lod.mesh.position.x = centerX
+            lod.mesh.position.z = centerZ
+            
+            // Offset of the inner level's hole, in this level's cells (0 or 1 per axis)
+            if(level > 0)
+            {
+                const variant = Math.round((innerX - centerX) / lod.cellSize) + Math.round((innerZ - centerZ) / lod.cellSize) * 2
+                if(variant !== lod.variant)
+                {
+                    lod.variant = variant
+                    lod.geometry.setIndex(lod.indexVariants[variant])
+                }
+            }
+            
+            innerX = centerX
+            innerZ = centerZ
+        })
     }
 
     setDebug()
@@ -235,7 +473,7 @@ export default class Ocean
                 .step(0.1)
                 .name('seaLevel')
                 .onChange(() => {
-                    this.mesh.position.y = this.seaLevel
+                    this.group.position.y = this.seaLevel
                 })
             
             // Standard material controls
@@ -248,10 +486,26 @@ export default class Ocean
             oceanFolder.add(this.material, 'envMapIntensity').min(0).max(3).step(0.01).name('envMapIntensity')
             
             // Wave controls
-            oceanFolder.add(this.waveParams, 'enabled').name('wavesEnabled')
-            oceanFolder.add(this.waveParams, 'amplitude').min(0).max(10).step(0.1).name('waveAmplitude')
-            oceanFolder.add(this.waveParams, 'frequency').min(0.001).max(0.1).step(0.001).name('waveFrequency')
-            oceanFolder.add(this.waveParams, 'speed').min(0).max(2).step(0.01).name('waveSpeed')
+            oceanFolder.add(this.waveParams, 'enabled').name('wavesEnabled').onChange(() => this.updateWaveUniforms())
+            oceanFolder.add(this.waveParams, 'heightIterations').min(0).max(8).step(1).name('waveHeightIterations')
+            
+            const wavesFolder = oceanFolder.addFolder('waves')
+            wavesFolder.close()
+            this.waves.forEach((wave, index) => {
+                const waveFolder = wavesFolder.addFolder(`wave ${index + 1}`)
+                waveFolder.close()
+                waveFolder.add(wave, 'direction').min(-180).max(180).step(1).name('direction (°)').onChange(() => this.updateWaveUniforms())
+                waveFolder.add(wave, 'wavelength').min(5).max(500).step(1).name('wavelength (m)').onChange(() => this.updateWaveUniforms())
+                waveFolder.add(wave, 'steepness').min(0).max(0.5).step(0.005).name('steepness').onChange(() => this.updateWaveUniforms())
+                waveFolder.add(wave, 'speed').min(0).max(30).step(0.5).name('speed (m/s)').onChange(() => this.updateWaveUniforms())
+            })
+            
+            // LOD controls
+            const lodFolder = oceanFolder.addFolder('lod')
+            lodFolder.close()
+            lodFolder.add(this.lodParams, 'cellSize').min(0.25).max(8).step(0.25).name('cell size (m)').onFinishChange(() => this.rebuildLevels())
+            lodFolder.add(this.lodParams, 'resolution').min(16).max(128).step(4).name('cells per level').onFinishChange(() => this.rebuildLevels())
+            lodFolder.add(this.lodParams, 'levels').min(1).max(12).step(1).name('levels').onFinishChange(() => this.rebuildLevels())
             
             // Fade controls
             oceanFolder.add(this.fadeParams, 'start').min(0).max(6000).step(50).name('fadeStart').onChange((value) => {
@@ -275,11 +529,14 @@ export default class Ocean
                 if(this.materialShader) this.materialShader.uniforms.uFoamThreshold.value = value
             })
             oceanFolder.add(this.foamParams, 'speed').min(0).max(1).step(0.01).name('foamSpeed')
+            oceanFolder.add(this.foamParams, 'windDrift').min(0).max(1).step(0.01).name('foamWindDrift')
             
             // Copy button
             this.debug.addCopyButton(oceanFolder, 'ocean', () => ({
                 seaLevel: this.seaLevel,
                 waveParams: { ...this.waveParams },
+                waves: this.waves.map((wave) => ({ ...wave })),
+                lodParams: { ...this.lodParams },
                 fadeParams: { ...this.fadeParams },
                 foamParams: { ...this.foamParams },
                 surfaceColor: this.debugObject.surfaceColor,
@@ -321,6 +578,92 @@ export default class Ocean
         }
     }
     
+    /**
+     * @param {number} dt - Fixed timestep in seconds
+     */
+    fixedUpdate(dt)
+    {
+        this.waveTime += dt
+    }
+
+    /**
+     * Displacement of the rest point whose displaced position lies above (x, z)
+     * Gerstner waves also move the surface sideways, so the query point is walked back a few times
+     * @param {number} x - World X
+     * @param {number} z - World Z
+     * @param {number} t - Wave time in seconds
+     * @param {THREE.Vector3} [normal] - Receives the surface normal there
+     * @returns {THREE.Vector3} - this.waveOffset
+     */
+    findWaveOffset(x, z, t, normal)
+    {
+        let restX = x
+        let restZ = z
+        for(let i = 0; i < this.waveParams.heightIterations; i++)
+        {
+            gerstner(restX, restZ, t, this.waves, this.waveOffset)
+            restX = x - this.waveOffset.x
+            restZ = z - this.waveOffset.z
+        }
+        
+        gerstner(restX, restZ, t, this.waves, this.waveOffset, normal)
+        return this.waveOffset
+    }
+
+    /**
+     * Height of the sea surface above a point
+     * @param {number} x - World X
+     * @param {number} z - World Z
+     * @param {number} [t] - Wave time in seconds (defaults to the current step)
+     * @returns {number} - World Y
+     */
+    getHeightAt(x, z, t = this.waveTime)
+    {
+        if(!this.waveParams.enabled) return this.seaLevel
+        
+        this.findWaveOffset(x, z, t)
+        return this.seaLevel + this.waveOffset.y
+    }
+
+    /**
+     * Surface normal above a point, from the analytic Gerstner tangents
+     * @param {number} x - World X
+     * @param {number} z - World Z
+     * @param {number} [t] - Wave time in seconds (defaults to the current step)
+     * @param {THREE.Vector3} [target]
+     * @returns {THREE.Vector3} - Unit normal
+     */
+    getNormalAt(x, z, t = this.waveTime, target = new THREE.Vector3())
+    {
+        if(!this.waveParams.enabled) return target.set(0, 1, 0)
+        
+        this.findWaveOffset(x, z, t, target)
+        return target
+    }
+
+    /**
+     * Wave time of the rendered frame - between the last two physics steps, like the ball
+     * @returns {number}
+     */
+    getRenderTime()
+    {
+        return this.waveTime + (this.physics.alpha - 1) * this.physics.fixedDelta
+    }
+
+    getSnapshot()
+    {
+        return { waveTime: this.waveTime }
+    }
+
+    /**
+     * Restore a state captured with getSnapshot
+     * @param {Object} snapshot
+     */
+    applySnapshot(snapshot)
+    {
+        this.waveTime = snapshot.waveTime
+    }
+
     update()
     {
         // Update foam animation time
@@ -328,27 +671,21 @@ export default class Ocean
             this.materialShader.uniforms.uFoamTime.value = this.time.elapsed * 0.001 * this.foamParams.speed
         }
         
-        if(!this.waveParams.enabled) return
-        
-        const time = this.time.elapsed * 0.001 * this.waveParams.speed
-        const positions = this.geometry.attributes.position.array
-        const freq = this.waveParams.frequency
-        const amp = this.waveParams.amplitude
-        
-        // Animate vertices (z is "up" since plane is created in XY then rotated)
-        for(let i = 0; i < positions.length; i += 3)
-        {
-            const x = this.originalPositions[i]
-            const y = this.originalPositions[i + 1]
-            
-            // Combine multiple sine waves for more natural look
-            const wave1 = Math.sin(x * freq + time) * Math.sin(y * freq * 0.8 + time * 0.9)
-            const wave2 = Math.sin(x * freq * 2.3 + time * 1.2) * Math.sin(y * freq * 1.7 + time * 1.1) * 0.3
-            
-            positions[i + 2] = (wave1 + wave2) * amp
+        // Foam drifts downwind
+        const wind = this.experience.world && this.experience.world.wind
+        if(wind) {
+            wind.getAmbient(this.ambientWind)
+            const drift = this.time.delta * 0.001 * this.foamParams.windDrift
+            this.foamOffset.x += this.ambientWind.x * drift
+            this.foamOffset.y += this.ambientWind.z * drift
         }
         
-        this.geometry.attributes.position.needsUpdate = true
-        this.geometry.computeVertexNormals()
+        // Same interpolation as the ball: between the last two physics steps
+        this.waveUniforms.uWaveTime.value = this.getRenderTime()
+        
+        // Dense rings stay under the camera
+        const camera = this.experience.camera
+        if(camera)
+            this.updateLevels(camera.instance.position.x, camera.instance.position.z)
     }
 }
@@ -2,7 +2,7 @@ import * as THREE from 'three'
 
 /**
  * AirMode - Air control for the player
- * Handles impulse-based movement when airborne (not flying)
+ * Handles impulse-based movement when airborne (air and ballistic states)
  */
 export default class AirMode
 {
@@ -10,54 +10,45 @@ export default class AirMode
     {
         this.player = player
         this.vars = player.vars
-        this.camera = player.camera
     }
 
-    update()
+    /**
+     * @param {number} dt - Fixed timestep in seconds
+     */
+    update(dt)
     {
-        if(!this.vars.body || this.vars.isGrounded || this.vars.isFlying) return
+        if(!this.vars.body) return
         
-        const forward = this.camera.getForwardDirection()
-        const right = this.camera.getRightDirection()
+        const impulse = this.getImpulse(dt)
+        if(impulse.x !== 0 || impulse.z !== 0)
+        {
+            this.vars.body.applyImpulse({ x: impulse.x, y: 0, z: impulse.z }, true)
+        }
+    }
+
+    /**
+     * Air control impulse for one fixed step from the current actions
+     * @param {number} dt - Fixed timestep in seconds
+     * @returns {THREE.Vector3} - N·s, horizontal
+     */
+    getImpulse(dt)
+    {
+        const forward = this.vars.inputForward
+        const right = this.vars.inputRight
         
         // Flatten directions to world XZ plane
         const forwardFlat = new THREE.Vector3(forward.x, 0, forward.z).normalize()
         const rightFlat = new THREE.Vector3(right.x, 0, right.z).normalize()
         
-        if(this.vars.keys.w)
-        {
-            this.vars.body.applyImpulse({ 
-                x: forwardFlat.x * this.vars.airControlStrength, 
-                y: 0, 
-                z: forwardFlat.z * this.vars.airControlStrength 
-            }, true)
-        }
+        const actions = this.vars.actions
+        const strength = this.vars.airControlStrength * dt * this.vars.tuningHz
+        const forwardAmount = (actions.throttle - actions.brake) * strength
+        const rightAmount = (actions.steerRight - actions.steerLeft) * strength
         
-        if(this.vars.keys.s)
-        {
-            this.vars.body.applyImpulse({ 
-                x: -forwardFlat.x * this.vars.airControlStrength, 
-                y: 0, 
-                z: -forwardFlat.z * this.vars.airControlStrength 
-            }, true)
-        }
-        
-        if(this.vars.keys.a)
-        {
-            this.vars.body.applyImpulse({ 
-                x: -rightFlat.x * this.vars.airControlStrength, 
-                y: 0, 
-                z: -rightFlat.z * this.vars.airControlStrength 
-            }, true)
-        }
-        
-        if(this.vars.keys.d)
-        {
-            this.vars.body.applyImpulse({ 
-                x: rightFlat.x * this.vars.airControlStrength, 
-                y: 0, 
-                z: rightFlat.z * this.vars.airControlStrength 
-            }, true)
-        }
+        return new THREE.Vector3(
+            forwardFlat.x * forwardAmount + rightFlat.x * rightAmount,
+            0,
+            forwardFlat.z * forwardAmount + rightFlat.z * rightAmount
+        )
     }
 }
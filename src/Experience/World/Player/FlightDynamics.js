@@ -0,0 +1,168 @@
+import * as THREE from 'three'
+
+/**
+ * FlightDynamics - Rigid-body glider model ('simulation' flight model)
+ * Pitch, roll and yaw are real angular states integrated from aerodynamic moments,
+ * so the glider can sideslip, weathervane, stall and spin
+ *
+ * Body frame: +X nose, +Y up, +Z right wing
+ * Angular velocity (body frame): x roll rate (right wing down +), y yaw rate (nose left +), z pitch rate (nose up +)
+ *
+ * Moments (coefficients in vars.flightDynamics, all scaled by dynamic pressure):
+ * - pitch: cm0 + cmAlpha·α + cmq·q̂ + cmElevator·pitch input
+ * - roll: clBeta·β (dihedral) + clp·p̂ (damping) + clAileron·roll input
+ * - yaw: cnBeta·β (weathervane) + cnr·r̂ (damping) + cnAileron·roll input (adverse yaw)
+ * Rates are non-dimensional: p̂ = p·span / 2V, q̂ = q·chord / 2V
+ */
+export default class FlightDynamics
+{
+    constructor(player)
+    {
+        this.player = player
+        this.vars = player.vars
+
+        this.euler = new THREE.Euler()
+    }
+
+    /**
+     * Start from the arcade state set by FlightMode.enter (pitch/yaw from velocity, no roll)
+     */
+    reset()
+    {
+        this.euler.set(this.vars.currentRoll, this.vars.currentYaw + Math.PI, this.vars.currentPitch, 'YXZ')
+        this.vars.flightOrientation.setFromEuler(this.euler)
+        this.vars.flightAngularVelocity.set(0, 0, 0)
+    }
+
+    /**
+     * Same lift curve as the arcade model: linear to the stall angle, then a sharp drop
+     * @param {number} alpha - Angle of attack in radians
+     */
+    getLiftCoefficient(alpha)
+    {
+        const alphaStall = this.vars.alphaStall
+        const alphaAbs = Math.abs(alpha)
+
+        let CL
+        if(alphaAbs < alphaStall)
+        {
+            CL = 2 * Math.PI * alpha
+        }
+        else
+        {
+            const peakCL = 2 * Math.PI * alphaStall * Math.sign(alpha)
+            CL = peakCL * Math.exp(-(alphaAbs - alphaStall) * 8) * 0.3
+        }
+
+        return THREE.MathUtils.clamp(CL, -1.2, 1.2)
+    }
+
+    /**
+     * Aerodynamic forces and moments over one fixed step
+     * @param {number} dt - Fixed timestep in seconds
+     * @returns {Object} - { alpha, CL } for the instruments
+     */
+    update(dt)
+    {
+        const body = this.vars.body
+        const state = {
+            orientation: this.vars.flightOrientation,
+            angularVelocity: this.vars.flightAngularVelocity
+        }
+
+        // Airspeed relative to the local wind (FlightMode.updateAirVelocity)
+        const { force, alpha, CL } = this.step(state, this.vars.airVelocity, body.mass(), this.vars.actions, dt)
+
+        const impulse = force.multiplyScalar(dt)
+        body.applyImpulse({ x: impulse.x, y: impulse.y, z: impulse.z }, true)
+
+        // Keep the arcade angles in sync for the camera, HUD and snapshots
+        this.euler.setFromQuaternion(state.orientation, 'YXZ')
+        this.vars.currentRoll = this.euler.x
+        this.vars.currentYaw = this.euler.y - Math.PI
+        this.vars.currentPitch = this.euler.z
+        this.vars.targetPitch = this.vars.currentPitch
+        this.vars.targetRoll = this.vars.currentRoll
+
+        // The sphere collider does not rotate in flight
+        body.setAngvel({ x: 0, y: 0, z: 0 }, true)
+
+        return { alpha, CL }
+    }
+
+    /**
+     * Force on the body and one step of the angular state - pure apart from the
+     * state it is given, so FlightPrediction can run it on a copy
+     * @param {Object} state - { orientation: THREE.Quaternion, angularVelocity: THREE.Vector3 }, integrated in place
+     * @param {THREE.Vector3} airVelocity - Velocity relative to the air
+     * @param {number} mass - kg
+     * @param {Object} actions - { pitch, roll }
+     * @param {number} dt - Seconds
+     * @returns {Object} - { force: THREE.Vector3 (N, gravity included), alpha, CL }
+     */
+    step(state, airVelocity, mass, actions, dt)
+    {
+        const params = this.vars.flightDynamics
+        const orientation = state.orientation
+        const omega = state.angularVelocity
+
+        const velocity = airVelocity.clone()
+        const speed = velocity.length()
+
+        const inverse = orientation.clone().invert()
+        const localVelocity = velocity.clone().applyQuaternion(inverse)
+        const right = new THREE.Vector3(0, 0, 1).applyQuaternion(orientation)
+
+        // Angle of attack (air from below the nose is positive) and sideslip (moving towards the right wing is positive)
+        const alpha = speed > 0.1 ? Math.atan2(-localVelocity.y, localVelocity.x) : 0
+        const beta = speed > 0.1 ? Math.asin(THREE.MathUtils.clamp(localVelocity.z / speed, -1, 1)) : 0
+
+        const q = 0.5 * params.airDensity * speed * speed
+        const S = params.wingArea
+
+        // Forces (world)
+        const force = new THREE.Vector3(0, -mass * 9.8, 0)
+        const CL = this.getLiftCoefficient(alpha)
+        if(speed > 0.1)
+        {
+            const velDir = velocity.clone().divideScalar(speed)
+            const CD = params.cd0 + params.inducedDrag * CL * CL + Math.abs(params.cyBeta * beta) * 0.5
+
+            // Lift is perpendicular to the airflow, in the plane of symmetry
+            const liftDir = new THREE.Vector3().crossVectors(right, velDir)
+            if(liftDir.lengthSq() > 1e-6)
+                force.add(liftDir.normalize().multiplyScalar(q * S * CL))
+
+            force.add(velDir.clone().multiplyScalar(-q * S * CD))
+            force.add(right.clone().multiplyScalar(q * S * params.cyBeta * beta))
+        }
+
+        // Moments (body frame) - control authority grows with dynamic pressure
+        const V = Math.max(speed, 1)
+        const qS = q * S
+        const inertia = params.inertia
+
+        const roll = qS * params.span * (params.clBeta * beta + params.clAileron * actions.roll)
+        const yaw = qS * params.span * (params.cnBeta * beta + params.cnAileron * actions.roll)
+        const pitch = qS * params.chord * (params.cm0 + params.cmAlpha * alpha + params.cmElevator * actions.pitch)
+
+        // Rate damping integrated implicitly so it stays stable at high speed
+        const rollDamping = -qS * params.span * params.clp * params.span / (2 * V)
+        const yawDamping = -qS * params.span * params.cnr * params.span / (2 * V)
+        const pitchDamping = -qS * params.chord * params.cmq * params.chord / (2 * V)
+
+        omega.x = (omega.x + roll / inertia.x * dt) / (1 + rollDamping / inertia.x * dt)
+        omega.y = (omega.y + yaw / inertia.y * dt) / (1 + yawDamping / inertia.y * dt)
+        omega.z = (omega.z + pitch / inertia.z * dt) / (1 + pitchDamping / inertia.z * dt)
+
+        // Integrate orientation with the body-frame rate
+        const angle = omega.length() * dt
+        if(angle > 0)
+        {
+            const step = new THREE.Quaternion().setFromAxisAngle(omega.clone().normalize(), angle)
+            orientation.multiply(step).normalize()
+        }
+
+        return { force, alpha, CL }
+    }
+}
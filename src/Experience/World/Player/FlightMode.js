@@ -1,131 +1,337 @@
 import * as THREE from 'three'
+import EventEmitter from '../../Utils/EventEmitter.js'
+import FlightDynamics from './FlightDynamics.js'
 
 /**
  * FlightMode - Flight physics and controls
  * Handles glider-style flight when activated
+ * vars.flightModel picks the model: 'arcade' (below) or 'simulation' (FlightDynamics)
+ *
+ * A solid contact in flight is a touchdown: PlayerStateMachine leaves flight for
+ * ground/air and the landing is classified on exit (see land)
+ *
+ * Events:
+ * - 'landing' (result) - { quality: 'smooth' | 'hard' | 'crash', score, sinkRate, bank, pitch, airspeed, surface }
+ *   sinkRate (m/s), bank and pitch (°) are relative to the ground under the touchdown
  */
-export default class FlightMode
+export default class FlightMode extends EventEmitter
 {
     constructor(player)
     {
+        super()
+        
         this.player = player
         this.vars = player.vars
+        
+        // Contact waiting to be handled as a landing (see onCollision)
+        this.touchdown = null
+        player.physics.on('collisionStart.flight', (event) => this.onCollision(event))
+        
+        this.dynamics = new FlightDynamics(player)
+        this.gliderOffset = new THREE.Quaternion().setFromAxisAngle(new THREE.Vector3(0, 1, 0), Math.PI)
+        
+        // Instrument scratch objects
+        this.instrumentEuler = new THREE.Euler()
+        this.instrumentOrientation = new THREE.Quaternion()
+        this.nose = new THREE.Vector3()
+        this.rightWing = new THREE.Vector3()
+        this.up = new THREE.Vector3()
+        
+        // Velocity of the last flight step, before a touchdown changes it
+        this.approachVelocity = new THREE.Vector3()
     }
 
+    /**
+     * Toggle flight - goes through the state machine so the switch is only
+     * made where flight is allowed (not while constrained to RampL)
+     */
     activate()
     {
-        // Toggle flight mode
-        this.vars.isFlying = !this.vars.isFlying
+        const stateMachine = this.player.stateMachine
+        
+        if(stateMachine.is('flight'))
+        {
+            stateMachine.transition('air')
+        }
+        else if(stateMachine.canTransition('flight'))
+        {
+            stateMachine.transition('flight')
+        }
+    }
+
+    /**
+     * Entering the flight state
+     */
+    enter()
+    {
+        this.vars.isFlying = true
         
         // Reset velocity log flag when toggling
         this.vars.hasLoggedVelocity = false
+        this.touchdown = null
         
         // Change collision sphere color
         if(this.player.collisionMesh)
         {
-            if(this.vars.isFlying)
-            {
-                this.player.collisionMesh.material.color.set(0x00ff00) // Green
-                console.log('Flight mode activated!')
-                
-                // Play BallToWings animation forward (once)
-                if(this.player.visuals)
-                {
-                    this.player.visuals.playAnimation('BallToWings', { loop: false, timeScale: 1.0 })
-                }
-                
-                // Disconnect from world gravity - we'll apply our own
-                this.vars.body.setGravityScale(0.0, true)
-                
-                // Zero out angular velocity to prevent spinning
-                this.vars.body.setAngvel({ x: 0, y: 0, z: 0 }, true)
-                
-                // Capture initial velocity at moment of activation
-                const vel = this.vars.body.linvel()
-                this.vars.velocityInitial.set(vel.x, vel.y, vel.z)
-                
-                // Initialize pitch to match velocity direction (flight path angle)
-                const horizontalSpeed = Math.sqrt(vel.x * vel.x + vel.z * vel.z)
-                const velocityPitch = Math.atan2(vel.y, horizontalSpeed)
-                this.vars.targetPitch = velocityPitch
-                this.vars.currentPitch = velocityPitch
-                
-                // Roll starts at 0 (velocity doesn't encode roll)
-                this.vars.targetRoll = 0
-                this.vars.currentRoll = 0
-                
-                // Initialize yaw from velocity direction
-                const velocityYaw = -Math.atan2(vel.z, vel.x) + Math.PI
-                this.vars.currentYaw = velocityYaw
-                
-                // Start transition timer
-                this.vars.flightTransitionStartTime = Date.now()
-                
-                console.log(`Initial velocity: (${vel.x.toFixed(2)}, ${vel.y.toFixed(2)}, ${vel.z.toFixed(2)})`)
-                console.log(`Initial pitch: ${(velocityPitch * 180 / Math.PI).toFixed(1)}°`)
-            }
+            this.player.collisionMesh.material.color.set(0x00ff00) // Green
+        }
+        console.log('Flight mode activated!')
+        
+        // Play BallToWings animation forward (once)
+        if(this.player.visuals)
+        {
+            this.player.visuals.playAnimation('BallToWings', { loop: false, timeScale: 1.0 })
+        }
+        
+        // Disconnect from world gravity - we'll apply our own
+        this.vars.body.setGravityScale(0.0, true)
+        
+        // Zero out angular velocity to prevent spinning
+        this.vars.body.setAngvel({ x: 0, y: 0, z: 0 }, true)
+        
+        // Capture initial velocity at moment of activation
+        const vel = this.vars.body.linvel()
+        this.vars.velocityInitial.set(vel.x, vel.y, vel.z)
+        
+        // Initialize pitch to match velocity direction (flight path angle)
+        const horizontalSpeed = Math.sqrt(vel.x * vel.x + vel.z * vel.z)
+        const velocityPitch = Math.atan2(vel.y, horizontalSpeed)
+        this.vars.targetPitch = velocityPitch
+        this.vars.currentPitch = velocityPitch
+        
+        // Roll starts at 0 (velocity doesn't encode roll)
+        this.vars.targetRoll = 0
+        this.vars.currentRoll = 0
+        
+        // Initialize yaw from velocity direction
+        const velocityYaw = -Math.atan2(vel.z, vel.x) + Math.PI
+        this.vars.currentYaw = velocityYaw
+        
+        // Rigid-body model starts from the same attitude, not rotating
+        this.dynamics.reset()
+        
+        // Start transition timer
+        this.vars.flightTransitionStartTime = Date.now()
+        
+        console.log(`Initial velocity: (${vel.x.toFixed(2)}, ${vel.y.toFixed(2)}, ${vel.z.toFixed(2)})`)
+        console.log(`Initial pitch: ${(velocityPitch * 180 / Math.PI).toFixed(1)}°`)
+    }
+
+    /**
+     * Leaving the flight state (toggled off, touchdown, ocean, respawn)
+     * @param {string} to - Next state
+     */
+    exit(to)
+    {
+        this.vars.isFlying = false
+        this.vars.hasLoggedVelocity = false
+        
+        if(this.player.collisionMesh)
+        {
+            this.player.collisionMesh.material.color.set(0xff0000) // Red
+        }
+        console.log('Flight mode deactivated!')
+        
+        // Touchdowns fold the wings, toggling off fades back to the ball pose
+        const landing = this.touchdown && (to === 'ground' || to === 'air') ? this.classifyLanding() : null
+        this.touchdown = null
+        
+        if(this.player.visuals)
+        {
+            if(landing)
+                this.player.visuals.playAnimationReverse('BallToWings', { timeScale: 1.5 })
             else
-            {
-                this.player.collisionMesh.material.color.set(0xff0000) // Red
-                console.log('Flight mode deactivated!')
-                
-                // Stop the animation - it will smoothly fade back to the ball pose
-                if(this.player.visuals)
-                {
-                    this.player.visuals.stopAnimation()
-                }
-                
-                // Sync physics body rotation to match current visual orientation
-                // This allows the closing animation to continue from the current flight orientation
-                if(this.player.mesh)
-                {
-                    const meshQuat = this.player.mesh.quaternion
-                    this.vars.body.setRotation({ 
-                        x: meshQuat.x, 
-                        y: meshQuat.y, 
-                        z: meshQuat.z, 
-                        w: meshQuat.w 
-                    }, true)
-                }
-                
-                // Reset pitch/roll to prevent carrying over to next flight
-                this.vars.currentPitch = 0
-                this.vars.currentRoll = 0
-                this.vars.targetPitch = 0
-                this.vars.targetRoll = 0
-                
-                // Restore world gravity
-                this.vars.body.setGravityScale(1.0, true)
-            }
+                this.player.visuals.stopAnimation()
+        }
+        
+        // Sync physics body rotation to match current visual orientation
+        // This allows the closing animation to continue from the current flight orientation
+        if(this.player.mesh)
+        {
+            const meshQuat = this.player.mesh.quaternion
+            this.vars.body.setRotation({ 
+                x: meshQuat.x, 
+                y: meshQuat.y, 
+                z: meshQuat.z, 
+                w: meshQuat.w 
+            }, true)
         }
+        
+        // Reset pitch/roll to prevent carrying over to next flight
+        this.vars.currentPitch = 0
+        this.vars.currentRoll = 0
+        this.vars.targetPitch = 0
+        this.vars.targetRoll = 0
+        
+        // Restore world gravity
+        this.vars.body.setGravityScale(1.0, true)
+        
+        if(landing)
+            this.land(landing)
     }
 
-    applyPhysics()
+    /**
+     * Remember a solid contact made in flight - handled as a landing by the next state update
+     * @param {Object} event - Physics collisionStart event
+     */
+    onCollision(event)
     {
-        if(!this.vars.body || !this.vars.isFlying) return
+        const collider = this.vars.collider
+        if(!collider || event.sensor || this.touchdown) return
+        if(!this.player.stateMachine.is('flight')) return
         
-        const velocity = this.vars.body.linvel()
-        const speed = Math.sqrt(velocity.x * velocity.x + velocity.y * velocity.y + velocity.z * velocity.z)
-        // Use actual delta time (convert from ms to seconds)
-        const dt = this.player.experience.time.delta / 1000
+        // Contacts right after taking off (flight toggled on the ground) don't count
+        const stepsInFlight = this.player.stateMachine.stepsInState
+        if(stepsInFlight * this.player.physics.fixedDelta < this.vars.landing.armDelay) return
+        
+        let other = null
+        if(event.handle1 === collider.handle) other = event.owner2
+        else if(event.handle2 === collider.handle) other = event.owner1
+        else return
+        
+        this.touchdown = {
+            surface: other ? other.type : null,
+            impulse: event.impulse || 0
+        }
+    }
+
+    /**
+     * Contacts that began before the arm delay (flight toggled while rolling)
+     * send no new collision event - resting on walkable ground counts once armed
+     */
+    checkGroundContact()
+    {
+        if(this.touchdown || !this.vars.isGrounded) return
+        
+        const stepsInFlight = this.player.stateMachine.stepsInState
+        if(stepsInFlight * this.player.physics.fixedDelta < this.vars.landing.armDelay) return
+        
+        this.touchdown = {
+            surface: this.vars.ground.surface,
+            impulse: 0
+        }
+    }
+
+    /**
+     * @returns {boolean} - A touchdown ends the flight on the next state update
+     */
+    hasTouchedDown()
+    {
+        return this.touchdown !== null
+    }
+
+    /**
+     * Grade the touchdown from the last flight step's sink rate, bank and pitch,
+     * measured against the ground normal so a slope is landed along, not into
+     * Hitting something that is not walkable ground (a wall, a box side) is a crash
+     * @returns {Object} - Landing result (see the 'landing' event)
+     */
+    classifyLanding()
+    {
+        const limits = this.vars.landing
+        const toDegrees = 180 / Math.PI
+        const normal = this.vars.isGrounded ? this.vars.ground.normal : new THREE.Vector3(0, 1, 0)
+        
+        // Attitude vectors from the last updateInstruments
+        const sinkRate = Math.max(0, -this.approachVelocity.dot(normal))
+        const bank = Math.abs(Math.atan2(-this.rightWing.dot(normal), this.up.dot(normal)) * toDegrees)
+        const pitch = Math.asin(THREE.MathUtils.clamp(this.nose.dot(normal), -1, 1)) * toDegrees
+        
+        let quality = 'hard'
+        if(!this.vars.isGrounded || sinkRate > limits.hardSinkRate || bank > limits.crashBank || pitch < limits.crashPitch)
+            quality = 'crash'
+        else if(sinkRate <= limits.smoothSinkRate && bank <= limits.smoothBank && pitch >= limits.smoothPitch)
+            quality = 'smooth'
+        
+        // 100 for a level touchdown with no sink, down to 0 at the crash limits
+        const score = quality === 'crash' ? 0 : Math.round(100 * Math.max(0,
+            1 - 0.6 * sinkRate / limits.hardSinkRate - 0.25 * bank / limits.crashBank - 0.15 * Math.max(0, -pitch) / -limits.crashPitch
+        ))
+        
+        return {
+            quality,
+            score,
+            sinkRate,
+            bank,
+            pitch,
+            airspeed: this.vars.flightInstruments.airspeed,
+            surface: this.touchdown.surface
+        }
+    }
+
+    /**
+     * Touchdown: keep the ground speed as rolling (less after hard landings and crashes) and report it
+     * @param {Object} landing - From classifyLanding
+     */
+    land(landing)
+    {
+        const body = this.vars.body
+        const limits = this.vars.landing
+        
+        const retention = landing.quality === 'smooth'
+            ? 1
+            : (landing.quality === 'hard' ? limits.hardSpeedRetention : limits.crashSpeedRetention)
+        
+        const linvel = body.linvel()
+        const velocity = new THREE.Vector3(linvel.x, linvel.y, linvel.z).multiplyScalar(retention)
+        body.setLinvel({ x: velocity.x, y: velocity.y, z: velocity.z }, true)
+        
+        // Roll without slipping on the ground: ω = n × v / r
+        if(this.vars.isGrounded)
+        {
+            const normal = this.vars.ground.normal
+            velocity.addScaledVector(normal, -velocity.dot(normal))
+            const angvel = new THREE.Vector3().crossVectors(normal, velocity).divideScalar(this.vars.radius)
+            body.setAngvel({ x: angvel.x, y: angvel.y, z: angvel.z }, true)
+        }
+        
+        console.log(`Landing: ${landing.quality} (score ${landing.score}, sink ${landing.sinkRate.toFixed(1)} m/s, bank ${landing.bank.toFixed(0)}°, pitch ${landing.pitch.toFixed(0)}°)`)
+        this.trigger('landing', [landing])
+    }
+
+    /**
+     * Integrate aerodynamic forces over one fixed step
+     * @param {number} dt - Fixed timestep in seconds
+     * @returns {Object} - { alpha, CL } for the instruments
+     */
+    applyPhysics(dt)
+    {
+        if(!this.vars.body) return
+        
+        // Aerodynamics see the air, not the ground
+        const { force, alpha, CL } = this.getArcadeForces(
+            this.vars.airVelocity,
+            this.vars.currentPitch,
+            this.vars.currentRoll,
+            this.vars.body.mass()
+        )
+
+        // 7) impulse = F * dt
+        const impulse = force.multiplyScalar(dt)
+        this.vars.body.applyImpulse({ x: impulse.x, y: impulse.y, z: impulse.z }, true)
+
         
-        // Get current orientation
-        const pitch = this.vars.currentPitch  // Nose up/down angle
-        const roll = this.vars.currentRoll    // Bank angle
-        const yaw = this.vars.currentYaw      // Heading from velocity
+        // Keep angular velocity zeroed
+        this.vars.body.setAngvel({ x: 0, y: 0, z: 0 }, true)
+        
+        return { alpha, CL }
+    }
+
+    /**
+     * Arcade force model - pure, so FlightPrediction can step it ahead of the body
+     * @param {THREE.Vector3} velocity - Velocity relative to the air
+     * @param {number} pitch - Nose up/down angle
+     * @param {number} roll - Bank angle
+     * @param {number} mass - kg
+     * @returns {Object} - { force: THREE.Vector3 (N, gravity included), alpha, CL }
+     */
+    getArcadeForces(velocity, pitch, roll, mass)
+    {
+        const speed = Math.sqrt(velocity.x * velocity.x + velocity.y * velocity.y + velocity.z * velocity.z)
         
         // Calculate velocity direction (normalized)
         const velDir = new THREE.Vector3(velocity.x, velocity.y, velocity.z)
         if(speed > 0.1) velDir.normalize()
-
-        // Debug logging
-        const pos = this.vars.body.translation()
-        const rot = this.vars.body.rotation()
-        const angVel = this.vars.body.angvel()
-        const mass = this.vars.body.mass()
-        const pitchDeg = (this.vars.currentPitch * 180 / Math.PI).toFixed(1)
-        const rollDeg = (this.vars.currentRoll * 180 / Math.PI).toFixed(1)
-        const yawDeg = (this.vars.currentYaw * 180 / Math.PI).toFixed(1)
         
         // Calculate angle of attack (alpha)
         // Pitch angle minus velocity angle (using vertical and horizontal speed)
@@ -133,7 +339,6 @@ export default class FlightMode
         let alphaRadUnclamped = pitch - velocityAngle
         const maxAlphaRad = 15 * Math.PI / 180  // 15 degrees in radians
         const alphaRad = Math.max(-maxAlphaRad, Math.min(maxAlphaRad, alphaRadUnclamped))
-        const alphaDeg = (alphaRad * 180 / Math.PI).toFixed(1)
 
         // Pick a reference up. World up is fine for now.
         const refUp = new THREE.Vector3(0, 1, 0)
@@ -146,7 +351,7 @@ export default class FlightMode
         const gravityForce = new THREE.Vector3(0, (-mass) * 9.8, 0)
 
         // 2) CL with proper stall behavior
-        const alphaStall = THREE.MathUtils.degToRad(12)   // Stall angle
+        const alphaStall = this.vars.alphaStall
         const alphaAbs = Math.abs(alphaRad)
         
         let CL
@@ -167,8 +372,8 @@ export default class FlightMode
         const q = 0.5 * rho * speed * speed
 
         // 4) lift magnitude (N) with stall at low speed
-        const stallSpeed = 15  // Speed below which stall begins (m/s)
-        const minSpeed = 5     // Below this, almost no lift
+        const stallSpeed = this.vars.stallSpeed  // Speed below which stall begins (m/s)
+        const minSpeed = this.vars.minFlightSpeed  // Below this, almost no lift
         const stallFactor = speed < stallSpeed 
             ? Math.max(0, Math.pow((speed - minSpeed) / (stallSpeed - minSpeed), 2))
             : 1.0
@@ -208,52 +413,52 @@ export default class FlightMode
         .add(liftForce)
         .add(dragForce)
 
-        // 7) impulse = F * dt
-        const impulse = totalForce.multiplyScalar(dt)
-        this.vars.body.applyImpulse({ x: impulse.x, y: impulse.y, z: impulse.z }, true)
-
-        
-        // Keep angular velocity zeroed
-        this.vars.body.setAngvel({ x: 0, y: 0, z: 0 }, true)
+        return { force: totalForce, alpha: alphaRad, CL }
     }
 
-    updateControls()
+    /**
+     * Move the arcade pitch/roll targets with the actions and ease the current angles towards them
+     * @param {Object} attitude - { targetPitch, targetRoll, currentPitch, currentRoll } (vars, or a prediction copy)
+     * @param {Object} actions - { pitch, roll }
+     * @param {number} dt - Timestep in seconds
+     */
+    stepArcadeAttitude(attitude, actions, dt)
     {
-        if(!this.vars.body || !this.vars.isFlying) return
+        // Rates and easing are tuned per step at vars.tuningHz
+        const steps = dt * this.vars.tuningHz
+        const ease = 1 - Math.pow(0.9, steps)
         
-        const velocity = this.vars.body.linvel()
+        // Pitch/roll actions move the targets at a rate scaled by stick deflection
+        // (keyboard gives -1, 0 or 1). Negative pitch = nose down, negative roll = left
+        attitude.targetPitch = THREE.MathUtils.clamp(
+            attitude.targetPitch + this.vars.pitchSpeed * actions.pitch * steps,
+            -this.vars.maxPitch,
+            this.vars.maxPitch
+        )
+        attitude.targetRoll = THREE.MathUtils.clamp(
+            attitude.targetRoll + this.vars.rollSpeed * actions.roll * steps,
+            -this.vars.maxRoll,
+            this.vars.maxRoll
+        )
+        // No lerp back - pitch and roll hold position
         
-        // Update target pitch based on W/S keys
-        if(this.vars.keys.w)
-        {
-            // W = pitch down (nose down, negative pitch)
-            this.vars.targetPitch = Math.max(this.vars.targetPitch - this.vars.pitchSpeed, -this.vars.maxPitch)
-        }
-        else if(this.vars.keys.s)
-        {
-            // S = pitch up (nose up, positive pitch)
-            this.vars.targetPitch = Math.min(this.vars.targetPitch + this.vars.pitchSpeed, this.vars.maxPitch)
-        }
-        // No lerp back - pitch holds position
+        // Smoothly interpolate current angles towards target
+        attitude.currentPitch += (attitude.targetPitch - attitude.currentPitch) * ease
+        attitude.currentRoll += (attitude.targetRoll - attitude.currentRoll) * ease
+    }
+
+    /**
+     * @param {number} dt - Fixed timestep in seconds
+     */
+    updateControls(dt)
+    {
+        if(!this.vars.body) return
         
-        // Update target roll based on A/D keys
-        if(this.vars.keys.a)
-        {
-            // A = roll left (negative roll)
-            this.vars.targetRoll = Math.max(this.vars.targetRoll - this.vars.rollSpeed, -this.vars.maxRoll)
-        }
-        else if(this.vars.keys.d)
-        {
-            // D = roll right (positive roll)
-            this.vars.targetRoll = Math.min(this.vars.targetRoll + this.vars.rollSpeed, this.vars.maxRoll)
-        }
-        // No lerp back - roll holds position
+        const velocity = this.vars.airVelocity
         
-        // Smoothly interpolate current angles towards target
-        this.vars.currentPitch += (this.vars.targetPitch - this.vars.currentPitch) * 0.1
-        this.vars.currentRoll += (this.vars.targetRoll - this.vars.currentRoll) * 0.1
+        this.stepArcadeAttitude(this.vars, this.vars.actions, dt)
         
-        // Calculate yaw from velocity direction
+        // Calculate yaw from the relative wind - the glider weathervanes into it
         const yawAngle = Math.atan2(velocity.z, velocity.x)
         this.vars.currentYaw = -yawAngle + Math.PI  // Store for axes helper
         
@@ -297,9 +502,119 @@ export default class FlightMode
         this.vars.body.setAngvel({ x: 0, y: 0, z: 0 }, true)
     }
 
-    update()
+    /**
+     * Switch flight models - mid-flight the rigid-body state starts from the current attitude
+     * @param {string} model - 'arcade' or 'simulation'
+     */
+    setModel(model)
+    {
+        this.vars.flightModel = model
+        
+        if(this.vars.isFlying && model === 'simulation')
+            this.dynamics.reset()
+    }
+
+    /**
+     * Orient the glider, ball mesh and axes helper from the rigid-body state
+     * Same result as the Euler angles in updateControls (ball and axes share the body frame,
+     * the glider model is turned half a turn)
+     */
+    updateMeshOrientation()
+    {
+        const orientation = this.vars.flightOrientation
+        
+        if(this.player.liftPlane)
+            this.player.liftPlane.quaternion.copy(orientation).multiply(this.gliderOffset)
+        
+        if(this.player.mesh)
+            this.player.mesh.quaternion.copy(orientation)
+        
+        if(this.player.liftPlaneAxesGroup)
+            this.player.liftPlaneAxesGroup.quaternion.copy(orientation)
+    }
+
+    /**
+     * Local wind at the body and the velocity relative to it (vars.wind, vars.airVelocity)
+     */
+    updateAirVelocity()
+    {
+        const body = this.vars.body
+        const wind = this.player.experience.world.wind
+        
+        if(wind)
+            wind.getWindAt(body.translation(), this.vars.wind)
+        else
+            this.vars.wind.set(0, 0, 0)
+        
+        const linvel = body.linvel()
+        this.vars.airVelocity.set(linvel.x, linvel.y, linvel.z).sub(this.vars.wind)
+    }
+
+    /**
+     * Instrument values for the HUD (vars.flightInstruments)
+     * @param {Object} aero - { alpha, CL } from the flight model
+     */
+    updateInstruments(aero)
     {
-        this.applyPhysics()
-        this.updateControls()
+        const instruments = this.vars.flightInstruments
+        const air = this.vars.airVelocity
+        const linvel = this.vars.body.linvel()
+        
+        instruments.airspeed = air.length()
+        instruments.angleOfAttack = aero.alpha
+        instruments.liftCoefficient = aero.CL
+        instruments.stall = Math.abs(aero.alpha) > this.vars.alphaStall || instruments.airspeed < this.vars.stallSpeed
+        
+        // Glide ratio over the ground - what the pilot sees, wind included
+        const horizontalSpeed = Math.sqrt(linvel.x * linvel.x + linvel.z * linvel.z)
+        instruments.verticalSpeed = linvel.y
+        this.approachVelocity.set(linvel.x, linvel.y, linvel.z)
+        instruments.glideRatio = linvel.y < -0.1 ? horizontalSpeed / -linvel.y : Infinity
+        
+        // Attitude from the body frame (+X nose, +Y up, +Z right wing) - the arcade
+        // Euler angles only match the true bank and heading when flying level
+        let orientation = this.vars.flightOrientation
+        if(this.vars.flightModel !== 'simulation')
+        {
+            this.instrumentEuler.set(this.vars.currentRoll, this.vars.currentYaw + Math.PI, this.vars.currentPitch, 'YXZ')
+            orientation = this.instrumentOrientation.setFromEuler(this.instrumentEuler)
+        }
+        
+        const nose = this.nose.set(1, 0, 0).applyQuaternion(orientation)
+        const rightWing = this.rightWing.set(0, 0, 1).applyQuaternion(orientation)
+        const up = this.up.set(0, 1, 0).applyQuaternion(orientation)
+        
+        instruments.bank = Math.atan2(-rightWing.y, up.y)
+        instruments.pitch = Math.asin(THREE.MathUtils.clamp(nose.y, -1, 1))
+        instruments.heading = THREE.MathUtils.euclideanModulo(Math.atan2(nose.z, nose.x), Math.PI * 2)
+    }
+
+    /**
+     * @returns {Object} - Latest vars.flightInstruments
+     */
+    getInstruments()
+    {
+        return this.vars.flightInstruments
+    }
+
+    /**
+     * @param {number} dt - Fixed timestep in seconds
+     */
+    update(dt)
+    {
+        if(!this.vars.body) return
+        
+        this.checkGroundContact()
+        this.updateAirVelocity()
+        
+        if(this.vars.flightModel === 'simulation')
+        {
+            this.updateInstruments(this.dynamics.update(dt))
+            this.updateMeshOrientation()
+            return
+        }
+        
+        this.updateInstruments(this.applyPhysics(dt))
+        this.updateControls(dt)
     }
 }
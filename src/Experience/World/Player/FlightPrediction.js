@@ -0,0 +1,308 @@
+import * as THREE from 'three'
+
+/**
+ * FlightPrediction - Projected trajectory ahead of the ball
+ * Ballistic (after the RampL exit): gravity, damping and AirMode's air control
+ * Flight: FlightMode's force model (arcade or simulation) stepped ahead with the current actions and wind
+ * The path stops at the first collider (ball shape cast) or at the wave surface, where a ring marks the impact
+ */
+export default class FlightPrediction
+{
+    constructor(player)
+    {
+        this.player = player
+        this.vars = player.vars
+        this.experience = player.experience
+        this.physics = player.physics
+        this.scene = player.scene
+        this.debug = player.debug
+        this.time = player.time
+
+        this.enabled = true
+        this.duration = 5     // Seconds ahead
+        this.stepRate = 30    // Integration steps per second
+        this.refreshRate = 10 // Predictions per second
+        this.timeSinceRefresh = Infinity
+
+        // Buffer sized for the debug maximums (10 s at 60 steps)
+        this.maxPoints = 10 * 60 + 2
+
+        // Last prediction's impact: { point, normal, time, surface } or null
+        this.impact = null
+
+        this.setLine()
+        this.setMarker()
+        this.setDebug()
+    }
+
+    setLine()
+    {
+        this.positions = new Float32Array(this.maxPoints * 3)
+        this.colors = new Float32Array(this.maxPoints * 4)
+
+        const geometry = new THREE.BufferGeometry()
+        geometry.setAttribute('position', new THREE.BufferAttribute(this.positions, 3).setUsage(THREE.DynamicDrawUsage))
+        geometry.setAttribute('color', new THREE.BufferAttribute(this.colors, 4).setUsage(THREE.DynamicDrawUsage))
+        geometry.setDrawRange(0, 0)
+
+        // RGBA vertex colors - the line fades out with time ahead
+        const material = new THREE.LineBasicMaterial({
+            vertexColors: true,
+            transparent: true,
+            depthWrite: false
+        })
+
+        this.line = new THREE.Line(geometry, material)
+        this.line.frustumCulled = false
+        this.line.visible = false
+        this.line.userData.helper = true
+        this.scene.add(this.line)
+    }
+
+    setMarker()
+    {
+        this.marker = new THREE.Mesh(
+            new THREE.RingGeometry(1.5, 2.2, 32),
+            new THREE.MeshBasicMaterial({
+                color: 0xffaa00,
+                transparent: true,
+                opacity: 0.8,
+                side: THREE.DoubleSide,
+                depthWrite: false
+            })
+        )
+        this.marker.visible = false
+        this.marker.userData.helper = true
+        this.scene.add(this.marker)
+    }
+
+    /**
+     * Step the current state forward and fill the line
+     */
+    predict()
+    {
+        const body = this.vars.body
+        const flightMode = this.player.flightMode
+        const flying = this.player.stateMachine.is('flight')
+        const wind = this.experience.world.wind
+
+        const dt = 1 / this.stepRate
+        const steps = Math.min(Math.ceil(this.duration * this.stepRate), this.maxPoints - 2)
+        const mass = body.mass()
+        const damping = 1 / (1 + dt * body.linearDamping())
+        const gravity = this.physics.world.gravity
+        const gravityScale = body.gravityScale()
+
+        const position = new THREE.Vector3().copy(body.translation())
+        const velocity = new THREE.Vector3().copy(body.linvel())
+        const next = new THREE.Vector3()
+        const localWind = new THREE.Vector3()
+        const airVelocity = new THREE.Vector3()
+        const actions = this.vars.actions
+
+        // Air control impulse over one prediction step
+        const airControl = flying ? null : this.player.airMode.getImpulse(dt).divideScalar(mass)
+
+        // Copies of the flight attitude, stepped like the real one
+        const attitude = {
+            targetPitch: this.vars.targetPitch,
+            targetRoll: this.vars.targetRoll,
+            currentPitch: this.vars.currentPitch,
+            currentRoll: this.vars.currentRoll
+        }
+        const dynamicsState = {
+            orientation: this.vars.flightOrientation.clone(),
+            angularVelocity: this.vars.flightAngularVelocity.clone()
+        }
+
+        let count = 0
+        this.writePoint(count++, position)
+        this.impact = null
+
+        for(let i = 0; i < steps; i++)
+        {
+            if(flying)
+            {
+                if(wind)
+                    wind.getWindAt(position, localWind)
+                airVelocity.copy(velocity).sub(localWind)
+
+                let force
+                if(this.vars.flightModel === 'simulation')
+                {
+                    force = flightMode.dynamics.step(dynamicsState, airVelocity, mass, actions, dt).force
+                }
+                else
+                {
+                    force = flightMode.getArcadeForces(airVelocity, attitude.currentPitch, attitude.currentRoll, mass).force
+                    flightMode.stepArcadeAttitude(attitude, actions, dt)
+                }
+                velocity.addScaledVector(force, dt / mass)
+            }
+            else
+            {
+                velocity.add(airControl)
+            }
+
+            // Same order as Rapier: gravity, damping, then position
+            velocity.x += gravity.x * gravityScale * dt
+            velocity.y += gravity.y * gravityScale * dt
+            velocity.z += gravity.z * gravityScale * dt
+            velocity.multiplyScalar(damping)
+            next.copy(position).addScaledVector(velocity, dt)
+
+            const hit = this.castSegment(position, next, i * dt, dt)
+            if(hit)
+            {
+                hit.time = (i + hit.fraction) * dt
+                this.impact = hit
+                this.writePoint(count++, hit.point)
+                break
+            }
+
+            position.copy(next)
+            this.writePoint(count++, position)
+        }
+
+        // Fade from the ball to the end of the path
+        for(let i = 0; i < count; i++)
+        {
+            const alpha = 1 - i / count
+            this.colors[i * 4 + 0] = 0
+            this.colors[i * 4 + 1] = 1
+            this.colors[i * 4 + 2] = 0
+            this.colors[i * 4 + 3] = alpha * 0.9
+        }
+
+        const geometry = this.line.geometry
+        geometry.attributes.position.needsUpdate = true
+        geometry.attributes.color.needsUpdate = true
+        geometry.setDrawRange(0, count)
+
+        this.updateMarker()
+    }
+
+    writePoint(index, point)
+    {
+        this.positions[index * 3 + 0] = point.x
+        this.positions[index * 3 + 1] = point.y
+        this.positions[index * 3 + 2] = point.z
+    }
+
+    /**
+     * First collider or sea surface the ball would touch moving from one point to the next
+     * @param {THREE.Vector3} from
+     * @param {THREE.Vector3} to
+     * @param {number} time - Seconds ahead at the start of the segment
+     * @param {number} dt - Seconds to the end of the segment
+     * @returns {Object|null} - { point, normal, fraction, surface }
+     */
+    castSegment(from, to, time, dt)
+    {
+        const RAPIER = this.physics.getRAPIDER()
+        if(!this.shape)
+            this.shape = new RAPIER.Ball(this.vars.radius)
+
+        const displacement = new THREE.Vector3().subVectors(to, from)
+        let result = null
+
+        // Initial overlaps (rolling off the ramp) are ignored, only new contacts count
+        const hit = this.physics.world.castShape(
+            from,
+            { x: 0, y: 0, z: 0, w: 1 },
+            displacement,
+            this.shape,
+            0,
+            1,
+            false,
+            RAPIER.QueryFilterFlags.EXCLUDE_SENSORS,
+            undefined,
+            this.vars.collider,
+            this.vars.body
+        )
+
+        if(hit)
+        {
+            const owner = this.physics.getColliderOwner(hit.collider.handle)
+            result = {
+                point: new THREE.Vector3(hit.witness1.x, hit.witness1.y, hit.witness1.z),
+                normal: new THREE.Vector3(hit.normal1.x, hit.normal1.y, hit.normal1.z).normalize(),
+                fraction: hit.time_of_impact,
+                surface: owner ? owner.type : null
+            }
+        }
+
+        // The ocean starts when the ball center drops below the waves (see OceanMode)
+        const ocean = this.experience.world.ocean
+        if(ocean)
+        {
+            const startTime = ocean.waveTime + time
+            const fromHeight = from.y - ocean.getHeightAt(from.x, from.z, startTime)
+            const toHeight = to.y - ocean.getHeightAt(to.x, to.z, startTime + dt)
+            if(fromHeight > 0 && toHeight <= 0)
+            {
+                const fraction = fromHeight / (fromHeight - toHeight)
+                if(!result || fraction < result.fraction)
+                {
+                    const point = from.clone().addScaledVector(displacement, fraction)
+                    result = {
+                        point,
+                        normal: ocean.getNormalAt(point.x, point.z, startTime + dt * fraction),
+                        fraction,
+                        surface: 'ocean'
+                    }
+                }
+            }
+        }
+
+        return result
+    }
+
+    updateMarker()
+    {
+        this.marker.visible = this.impact !== null
+        if(!this.impact) return
+
+        const { point, normal, surface } = this.impact
+        this.marker.position.copy(point).addScaledVector(normal, 0.1)
+        this.marker.quaternion.setFromUnitVectors(new THREE.Vector3(0, 0, 1), normal)
+        this.marker.material.color.set(surface === 'ocean' ? 0x33ccff : 0xffaa00)
+    }
+
+    /**
+     * Render update - shown in the ballistic and flight states, refreshed at refreshRate
+     */
+    update()
+    {
+        const stateMachine = this.player.stateMachine
+        const active = this.enabled && this.vars.body && (stateMachine.is('flight') || stateMachine.is('ballistic'))
+
+        if(!active)
+        {
+            this.line.visible = false
+            this.marker.visible = false
+            this.timeSinceRefresh = Infinity
+            return
+        }
+
+        this.line.visible = true
+        this.timeSinceRefresh += this.time.delta * 0.001
+        if(this.timeSinceRefresh < 1 / this.refreshRate) return
+
+        this.timeSinceRefresh = 0
+        this.predict()
+    }
+
+    setDebug()
+    {
+        if(!this.debug.active) return
+
+        const folder = this.debug.ui.addFolder('flight prediction')
+        folder.close()
+
+        folder.add(this, 'enabled').name('show path')
+        folder.add(this, 'duration').min(1).max(10).step(0.5).name('seconds ahead')
+        folder.add(this, 'stepRate').min(10).max(60).step(1).name('steps / s')
+        folder.add(this, 'refreshRate').min(1).max(60).step(1).name('updates / s')
+    }
+}
@@ -3,6 +3,7 @@ import * as THREE from 'three'
 /**
  * GroundMode - Ground control for the player
  * Handles torque-based rolling motion when grounded
+ * Torque axes are taken about the ground normal, so input rolls the ball along the slope
  */
 export default class GroundMode
 {
@@ -10,53 +11,47 @@ export default class GroundMode
     {
         this.player = player
         this.vars = player.vars
-        this.camera = player.camera
     }
 
-    update()
+    /**
+     * @param {number} dt - Fixed timestep in seconds
+     */
+    update(dt)
     {
-        if(!this.vars.body || !this.vars.isGrounded || this.vars.isFlying) return
+        if(!this.vars.body) return
         
-        const forward = this.camera.getForwardDirection()
-        const right = this.camera.getRightDirection()
+        const forward = this.vars.inputForward
+        const right = this.vars.inputRight
+        const normal = this.vars.ground.normal
         
-        if(this.vars.keys.w)
-        {
-            const torqueDir = new THREE.Vector3().crossVectors(new THREE.Vector3(0, 1, 0), forward).normalize()
-            this.vars.body.applyTorqueImpulse({ 
-                x: torqueDir.x * this.vars.torqueStrength, 
-                y: torqueDir.y * this.vars.torqueStrength, 
-                z: torqueDir.z * this.vars.torqueStrength 
-            }, true)
-        }
+        const actions = this.vars.actions
         
-        if(this.vars.keys.s)
-        {
-            const torqueDir = new THREE.Vector3().crossVectors(new THREE.Vector3(0, 1, 0), forward).normalize()
-            this.vars.body.applyTorqueImpulse({ 
-                x: -torqueDir.x * this.vars.torqueStrength, 
-                y: -torqueDir.y * this.vars.torqueStrength, 
-                z: -torqueDir.z * this.vars.torqueStrength 
-            }, true)
-        }
+        // Analog actions scale the torque (keyboard gives 0 or 1)
+        const forwardAmount = actions.throttle - actions.brake
+        const rightAmount = actions.steerRight - actions.steerLeft
+        
+        // Torque impulse per tuned step, for the steps this one stands for
+        const torqueStrength = this.vars.torqueStrength * dt * this.vars.tuningHz
         
-        if(this.vars.keys.a)
+        if(forwardAmount !== 0)
         {
-            const torqueDir = new THREE.Vector3().crossVectors(new THREE.Vector3(0, 1, 0), right).normalize()
+            const torqueDir = new THREE.Vector3().crossVectors(normal, forward).normalize()
+            const strength = torqueStrength * forwardAmount
             this.vars.body.applyTorqueImpulse({ 
-                x: -torqueDir.x * this.vars.torqueStrength, 
-                y: -torqueDir.y * this.vars.torqueStrength, 
-                z: -torqueDir.z * this.vars.torqueStrength 
+                x: torqueDir.x * strength, 
+                y: torqueDir.y * strength, 
+                z: torqueDir.z * strength 
             }, true)
         }
         
-        if(this.vars.keys.d)
+        if(rightAmount !== 0)
         {
-            const torqueDir = new THREE.Vector3().crossVectors(new THREE.Vector3(0, 1, 0), right).normalize()
+            const torqueDir = new THREE.Vector3().crossVectors(normal, right).normalize()
+            const strength = torqueStrength * rightAmount
             this.vars.body.applyTorqueImpulse({ 
-                x: torqueDir.x * this.vars.torqueStrength, 
-                y: torqueDir.y * this.vars.torqueStrength, 
-                z: torqueDir.z * this.vars.torqueStrength 
+                x: torqueDir.x * strength, 
+                y: torqueDir.y * strength, 
+                z: torqueDir.z * strength 
             }, true)
         }
     }
@@ -1,92 +1,362 @@
 import * as THREE from 'three'
+import EventEmitter from '../../Utils/EventEmitter.js'
 
 /**
  * OceanMode - Ocean/water mode for the player
- * Activates when player reaches sea level (-230)
- * Player loses complete control in this mode
+ * Activates when the ball center drops below the wave surface (Ocean.getHeightAt)
+ * Entered/left through PlayerStateMachine, which calls isInOcean() every step
+ * Leaving needs the ball exitThreshold above the local surface (hysteresis),
+ * or standing on a collider above the waves
+ * Buoyancy and drag follow the waves, so the ball bobs on the visible surface
+ *
+ * Swimming (swimEnabled, off by default): throttle/steer paddle along the camera-relative input on the water plane,
+ * once the ball is back within swimDepth of the surface
+ * Swimming into a collider whose top is within climbHeight above the ball hops onto it
+ * Stamina drains in the water (faster while paddling, climbCost per hop) and recovers on land;
+ * once it has been empty for respawnDelay the player respawns at the active checkpoint
+ *
+ * Events:
+ * - 'waterEntry' with { position, velocity, speed, surface } when the ball drops below the waves
+ * - 'waterExit' when it leaves them again
+ * - 'climb' with { top } when the ball hops out onto a ledge
  */
-export default class OceanMode
+export default class OceanMode extends EventEmitter
 {
     constructor(player)
     {
+        super()
+        
         this.player = player
         this.vars = player.vars
-        
-        // Sea level height
-        this.seaLevel = -230
+        this.experience = player.experience
         
         // Hysteresis to prevent mode flipping when bouncing near surface
-        this.exitThreshold = 3 // Must be this far above sea level to exit ocean mode
+        this.exitThreshold = 3 // Must be this far above the surface to exit ocean mode
         this.isActive = false // Track if we're currently in ocean mode
         
         // Water physics properties
         this.waterDrag = 0.98
         this.waterBuoyancy = 5
+        
+        // Seconds in the ocean (or exhausted, when swimming) before respawning at the active checkpoint (0 = never)
+        this.respawnDelay = 3
+        
+        // Swimming - off by default, the ball respawns respawnDelay after hitting the water
+        this.swimEnabled = false
+        this.swimForce = 60 // N along the input on the water plane
+        this.swimDepth = 2 // Deepest the ball center can be to paddle (m)
+        
+        // Climbing onto colliders from the water
+        this.climbReach = 1.5 // Gap between the ball and a ledge it can grab (m)
+        this.climbHeight = 2.5 // Highest ledge top above the ball center (m)
+        this.climbSpeed = 3 // Horizontal hop speed towards the ledge (m/s)
+        this.climbCost = 0.2
+        
+        // Stamina: 1 = full, drained per second in the water, recovered per second out of it
+        this.stamina = 1
+        this.staminaDrain = 0.1 // While paddling
+        this.staminaIdleDrain = 0.02 // Treading water
+        this.staminaRecovery = 0.25
+        this.exhaustedTime = 0
+        this.climbTarget = null // { top, x, z } while hopping out: ledge height and direction
+        
+        this.surfaceNormal = new THREE.Vector3()
+        this.swimDirection = new THREE.Vector3()
+        this.ledgeDirection = new THREE.Vector3()
+    }
+
+    /**
+     * Sea level without waves
+     */
+    get seaLevel()
+    {
+        const ocean = this.experience.world.ocean
+        return ocean ? ocean.seaLevel : -230
+    }
+
+    /**
+     * Wave surface height under a point
+     * @param {number} x
+     * @param {number} z
+     * @param {number} [t] - Wave time in seconds (defaults to the current step)
+     */
+    getSurfaceHeight(x, z, t)
+    {
+        const ocean = this.experience.world.ocean
+        return ocean ? ocean.getHeightAt(x, z, t) : this.seaLevel
     }
 
     /**
      * Check if player is in ocean mode
-     * Uses hysteresis to prevent flip-flopping near sea level
+     * Enters below the wave surface, leaves exitThreshold above it
      */
     isInOcean()
     {
-        if(!this.vars.body) return false
+        if(!this.vars.body) return this.isActive
         
         const position = this.vars.body.translation()
+        const surface = this.getSurfaceHeight(position.x, position.z)
         
-        // Enter ocean mode when at or below sea level
-        if(position.y <= this.seaLevel)
+        if(!this.isActive && position.y < surface)
         {
             this.isActive = true
+            
+            const velocity = this.vars.body.linvel()
+            this.trigger('waterEntry', [{
+                position: { x: position.x, y: position.y, z: position.z },
+                velocity: { x: velocity.x, y: velocity.y, z: velocity.z },
+                speed: Math.hypot(velocity.x, velocity.y, velocity.z),
+                surface
+            }])
         }
-        // Exit ocean mode only when significantly above sea level
-        else if(position.y > this.seaLevel + this.exitThreshold)
+        else if(this.isActive && this.hasLeftWater(position, surface))
         {
             this.isActive = false
+            this.trigger('waterExit')
         }
-        // Otherwise keep current state (hysteresis)
         
         return this.isActive
     }
 
-    update()
+    /**
+     * High enough above the waves, or standing on something above them - a climb hop stays in the water until it is over the edge
+     * @param {Object} position - Ball center
+     * @param {number} surface - Wave height under the ball
+     */
+    hasLeftWater(position, surface)
+    {
+        if(this.climbTarget) return false
+        
+        return position.y > surface + this.exitThreshold || (this.vars.isGrounded && position.y > surface)
+    }
+
+    /**
+     * @param {number} dt - Fixed timestep in seconds
+     */
+    update(dt)
     {
         if(!this.vars.body) return
         
-        // Disengage flight mode properly when entering ocean
-        // Use FlightMode.activate() to properly restore gravity, stop animations, etc.
-        if(this.vars.isFlying)
+        // Flight is already disengaged - entering the ocean state runs FlightMode.exit()
+        const velocity = this.vars.body.linvel()
+        const position = this.vars.body.translation()
+        
+        const ocean = this.experience.world.ocean
+        const surface = this.getSurfaceHeight(position.x, position.z)
+        
+        if(this.climbTarget)
         {
-            this.player.flightMode.activate() // This toggles off flight mode properly
+            this.updateClimb(position, velocity)
         }
         
-        const velocity = this.vars.body.linvel()
-        const position = this.vars.body.translation()
+        // The water only acts on the ball while it touches it (not on the way up a climb or out of a bounce)
+        const inWater = !this.climbTarget && position.y - this.vars.radius < surface
         
-        // Apply water drag to slow down movement
-        this.vars.body.setLinvel({
-            x: velocity.x * this.waterDrag,
-            y: velocity.y * this.waterDrag,
-            z: velocity.z * this.waterDrag
-        }, true)
+        // Drag and buoyancy are tuned per step at vars.tuningHz
+        const steps = dt * this.vars.tuningHz
+        const drag = Math.pow(this.waterDrag, steps)
         
-        // Apply gentle buoyancy to keep ball near surface
-        const depthBelowSurface = this.seaLevel - position.y
-        if(depthBelowSurface > 0)
+        if(inWater)
         {
+            // Apply water drag to slow down movement - vertically relative to the rising/falling surface
+            const surfaceVelocity = ocean ? (surface - this.getSurfaceHeight(position.x, position.z, ocean.waveTime - dt)) / dt : 0
+            this.vars.body.setLinvel({
+                x: velocity.x * drag,
+                y: surfaceVelocity + (velocity.y - surfaceVelocity) * drag,
+                z: velocity.z * drag
+            }, true)
+        }
+        
+        // Apply gentle buoyancy to keep ball near the wave surface, pushed along its normal
+        const depthBelowSurface = surface - position.y
+        if(inWater && depthBelowSurface > 0)
+        {
+            if(ocean)
+                ocean.getNormalAt(position.x, position.z, ocean.waveTime, this.surfaceNormal)
+            else
+                this.surfaceNormal.set(0, 1, 0)
+            
+            const buoyancy = this.waterBuoyancy * Math.min(depthBelowSurface, 1) * steps
             this.vars.body.applyImpulse({
-                x: 0,
-                y: this.waterBuoyancy * Math.min(depthBelowSurface, 1),
-                z: 0
+                x: this.surfaceNormal.x * buoyancy,
+                y: this.surfaceNormal.y * buoyancy,
+                z: this.surfaceNormal.z * buoyancy
             }, true)
         }
         
+        // Strokes only at the surface - after a deep plunge the ball floats back up first
+        if(this.swimEnabled && inWater && depthBelowSurface < this.swimDepth)
+        {
+            this.swim(dt, surface)
+        }
+        
+        // Back to the last checkpoint after a while in the water - or out of stamina when swimming
+        if(this.swimEnabled)
+            this.exhaustedTime = this.stamina > 0 ? 0 : this.exhaustedTime + dt
+        const timeInOcean = this.swimEnabled ? this.exhaustedTime : this.player.stateMachine.stepsInState * dt
+        const checkpoints = this.player.experience.world.checkpoints
+        if(this.respawnDelay > 0 && timeInOcean >= this.respawnDelay && checkpoints)
+        {
+            checkpoints.respawn()
+            return
+        }
+        
+        if(!inWater) return
+        
         // Stop angular velocity (ball stops rolling)
         const angvel = this.vars.body.angvel()
         this.vars.body.setAngvel({
-            x: angvel.x * this.waterDrag,
-            y: angvel.y * this.waterDrag,
-            z: angvel.z * this.waterDrag
+            x: angvel.x * drag,
+            y: angvel.y * drag,
+            z: angvel.z * drag
         }, true)
     }
+
+    /**
+     * Paddle along the input and climb out onto a ledge ahead, paid for with stamina
+     * @param {number} dt - Fixed timestep in seconds
+     * @param {number} surface - Wave height under the ball
+     */
+    swim(dt, surface)
+    {
+        const actions = this.vars.actions
+        const forwardAmount = actions.throttle - actions.brake
+        const rightAmount = actions.steerRight - actions.steerLeft
+        
+        // Camera-relative input flattened onto the water plane
+        const direction = this.swimDirection.set(0, 0, 0)
+            .addScaledVector(this.vars.inputForward, forwardAmount)
+            .addScaledVector(this.vars.inputRight, rightAmount)
+        direction.y = 0
+        const amount = Math.min(direction.length(), 1)
+        
+        const drain = amount > 0 ? this.staminaDrain * amount : this.staminaIdleDrain
+        this.stamina = Math.max(0, this.stamina - drain * dt)
+        
+        if(amount === 0 || this.stamina === 0) return
+        
+        direction.normalize()
+        
+        if(this.climb(direction, surface))
+            return
+        
+        // Tired strokes are weaker
+        const impulse = this.swimForce * amount * (0.5 + 0.5 * this.stamina) * dt
+        this.vars.body.applyImpulse({
+            x: direction.x * impulse,
+            y: 0,
+            z: direction.z * impulse
+        }, true)
+    }
+
+    /**
+     * Hop onto the nearest collider if it is ahead, within reach and low enough
+     * @param {THREE.Vector3} direction - Normalized swim direction on the water plane
+     * @param {number} surface - Wave height under the ball
+     * @returns {boolean} - Whether the ball climbed
+     */
+    climb(direction, surface)
+    {
+        if(this.stamina < this.climbCost) return false
+        
+        const body = this.vars.body
+        const radius = this.vars.radius
+        
+        // Already on the way up
+        if(body.linvel().y > 1) return false
+        
+        const RAPIER = this.player.physics.getRAPIDER()
+        const world = this.player.physics.world
+        const position = body.translation()
+        
+        const projection = world.projectPoint(
+            position,
+            true,
+            RAPIER.QueryFilterFlags.EXCLUDE_SENSORS,
+            undefined,
+            this.vars.collider,
+            body
+        )
+        if(!projection) return false
+        
+        // Horizontal gap to the ledge, and only when swimming towards it
+        const toLedge = this.ledgeDirection.set(projection.point.x - position.x, 0, projection.point.z - position.z)
+        const distance = toLedge.length()
+        if(distance > radius + this.climbReach || distance < 1e-4) return false
+        toLedge.divideScalar(distance)
+        if(toLedge.dot(direction) < 0.5) return false
+        
+        // Top of the ledge, just past its edge
+        const ray = new RAPIER.Ray(
+            {
+                x: projection.point.x + toLedge.x * radius,
+                y: position.y + this.climbHeight + radius,
+                z: projection.point.z + toLedge.z * radius
+            },
+            { x: 0, y: -1, z: 0 }
+        )
+        const hit = world.castRay(ray, this.climbHeight + radius * 2, true, RAPIER.QueryFilterFlags.EXCLUDE_SENSORS, undefined, this.vars.collider, body)
+        if(!hit) return false
+        
+        const top = ray.origin.y - hit.timeOfImpact
+        if(top < surface || top > position.y + this.climbHeight) return false
+        
+        // Straight up along the wall (pushing into it would only add friction), high enough to clear the edge
+        const gravity = Math.abs(world.gravity.y)
+        const rise = Math.max(top + radius - position.y, 0) + 0.5
+        body.setLinvel({ x: 0, y: Math.sqrt(2 * gravity * rise), z: 0 }, true)
+        body.setAngvel({ x: 0, y: 0, z: 0 }, true)
+        
+        this.stamina -= this.climbCost
+        this.climbTarget = { top, x: toLedge.x, z: toLedge.z }
+        this.trigger('climb', [{ top }])
+        
+        return true
+    }
+
+    /**
+     * Follow a climb hop: over the edge once the ball is above it, given up if it peaks first
+     * @param {Object} position - Ball center
+     * @param {Object} velocity - Ball velocity
+     */
+    updateClimb(position, velocity)
+    {
+        const target = this.climbTarget
+        
+        if(position.y - this.vars.radius > target.top)
+        {
+            this.vars.body.setLinvel({
+                x: target.x * this.climbSpeed,
+                y: velocity.y,
+                z: target.z * this.climbSpeed
+            }, true)
+            this.climbTarget = null
+        }
+        else if(velocity.y <= 0)
+        {
+            this.climbTarget = null
+        }
+    }
+
+    /**
+     * Out of the water stamina comes back - called by Player every fixed step
+     * @param {number} dt - Fixed timestep in seconds
+     */
+    recover(dt)
+    {
+        this.stamina = Math.min(1, this.stamina + this.staminaRecovery * dt)
+        this.exhaustedTime = 0
+        this.climbTarget = null
+    }
+
+    /**
+     * Full stamina (respawn)
+     */
+    reset()
+    {
+        this.isActive = false
+        this.stamina = 1
+        this.exhaustedTime = 0
+        this.climbTarget = null
+    }
 }
@@ -8,10 +8,13 @@ import PlayerDebug from './PlayerDebug.js'
 import PlayerVisuals from './PlayerVisuals.js'
 import PlayerPhysics from './PlayerPhysics.js'
 import PlayerInput from './PlayerInput.js'
+import PlayerReplay from './PlayerReplay.js'
+import PlayerStateMachine from './PlayerStateMachine.js'
 import FlightMode from './FlightMode.js'
 import AirMode from './AirMode.js'
 import GroundMode from './GroundMode.js'
 import OceanMode from './OceanMode.js'
+import FlightPrediction from './FlightPrediction.js'
 
 /**
  * Player - Main player class
@@ -58,19 +61,36 @@ export default class Player
         this.groundMode = new GroundMode(this)
         this.oceanMode = new OceanMode(this)
         
+        // States and transitions between the modes
+        this.stateMachine = new PlayerStateMachine(this)
+        
+        // Physics
+        this.playerPhysics = new PlayerPhysics(this)
+        this.playerPhysics.setup()
+        
+        // Input (keyboard listeners only outside headless) and replays
+        this.input = new PlayerInput(this)
+        this.replay = new PlayerReplay(this)
+        
+        // Headless simulation stops here - input is scripted, nothing is drawn
+        this.visuals = null
+        this.flightPrediction = null
+        this.hud = null
+        if(this.experience.headless) return
+        
         // Visuals
         this.visuals = new PlayerVisuals(this)
         this.visuals.setupMesh()
         this.visuals.setupGlider()
         this.visuals.setupHelpers()
         this.visuals.setupVelocityGraph()
+        this.flightPrediction = new FlightPrediction(this)
         
-        // Physics
-        this.playerPhysics = new PlayerPhysics(this)
-        this.playerPhysics.setup()
-        
-        // Input
-        this.input = new PlayerInput(this)
+        // Create HUD
+        this.hud = new HUD()
+        this.hud.updateState(this.stateMachine.name)
+        this.stateMachine.on('change.hud', (to) => this.hud.updateState(to))
+        this.flightMode.on('landing.hud', (landing) => this.hud.showLanding(landing))
         
         // Debug
         this.playerDebug = new PlayerDebug(this)
@@ -78,47 +98,232 @@ export default class Player
         // Set camera to follow player
         this.camera.setTarget(this)
         
-        // Create HUD
-        this.hud = new HUD()
+        // Device tilt steers only in flight
+        const touchControls = this.experience.touchControls
+        this.stateMachine.on('change.touch', (to) => touchControls.setFlying(to === 'flight'))
     }
 
     // Getters for backwards compatibility with Camera.js
     get body() { return this.vars.body }
+    get collider() { return this.vars.collider }
     get isFlying() { return this.vars.isFlying }
     get isGrounded() { return this.vars.isGrounded }
-    get isInOcean() { return this.oceanMode.isInOcean() }
+    get ground() { return this.vars.ground }
+    get isInOcean() { return this.stateMachine.is('ocean') }
+    get state() { return this.stateMachine.name }
 
-    update()
+    /**
+     * Simulation update - runs once per fixed physics step
+     * @param {number} dt - Fixed timestep in seconds
+     */
+    fixedUpdate(dt)
     {
         if(!this.vars.body) return
         
-        // Get physics data
-        const position = this.vars.body.translation()
-        const rotation = this.vars.body.rotation()
-        const velocity = this.vars.body.linvel()
-        const velocityMagnitude = Math.sqrt(velocity.x * velocity.x + velocity.y * velocity.y + velocity.z * velocity.z)
+        // Input for this step - replayed, or live (keyboard + camera, scripted when headless)
+        const frame = this.replay.nextFrame() || this.input.sampleFrame()
+        this.applyInputFrame(frame)
+        this.replay.record(frame)
         
         // Check grounded state
         this.playerPhysics.checkGrounded()
         
-        // Update mode controllers
-        // Ocean mode takes priority - player loses control at sea level
-        if(this.oceanMode.isInOcean())
+        // Automatic transitions, then the current state's mode controller
+        this.stateMachine.update(dt)
+        
+        // Swimming stamina comes back on land
+        if(!this.stateMachine.is('ocean'))
         {
-            this.oceanMode.update()
+            this.oceanMode.recover(dt)
         }
-        else if(this.vars.isFlying)
+    }
+
+    /**
+     * Make one step's input current
+     * @param {Object} frame - { actions, forward, right, toggleFlight, respawn }
+     */
+    applyInputFrame(frame)
+    {
+        Object.assign(this.vars.actions, frame.actions)
+        this.vars.inputForward.copy(frame.forward)
+        this.vars.inputRight.copy(frame.right)
+        
+        if(frame.toggleFlight)
         {
-            this.flightMode.update()
+            this.flightMode.activate()
         }
-        else if(!this.vars.isGrounded)
+        
+        if(frame.respawn && this.experience.world.checkpoints)
         {
-            this.airMode.update()
+            this.experience.world.checkpoints.respawn(frame.respawn === true ? undefined : frame.respawn)
         }
-        else
+    }
+
+    /**
+     * Reset the ball to a checkpoint - called through Checkpoints.respawn
+     * @param {Object} checkpoint - { position, rotation, velocity, mode }
+     */
+    respawn(checkpoint)
+    {
+        const body = this.vars.body
+        
+        // Leaving the current state runs its exit hook (flight restores gravity and folds the wings)
+        this.stateMachine.set('respawning')
+        
+        const rampL = this.experience.world.rampL
+        if(rampL)
         {
-            this.groundMode.update()
+            rampL.resetRampState()
         }
+        this.oceanMode.reset()
+        
+        body.setTranslation(checkpoint.position, true)
+        body.setRotation(checkpoint.rotation, true)
+        body.setLinvel(checkpoint.velocity, true)
+        body.setAngvel({ x: 0, y: 0, z: 0 }, true)
+        
+        this.vars.currentPitch = 0
+        this.vars.currentRoll = 0
+        this.vars.currentYaw = 0
+        this.vars.targetPitch = 0
+        this.vars.targetRoll = 0
+        
+        this.playerPhysics.resetState()
+        
+        if(this.visuals)
+        {
+            this.visuals.clearVelocityTrail()
+        }
+        
+        // Entering flight reads the new velocity, so this comes last
+        this.stateMachine.transition(checkpoint.mode)
+    }
+
+    /**
+     * Everything needed to restart the simulation from the current step
+     * @returns {Object} - Plain JSON-serialisable state
+     */
+    getSnapshot()
+    {
+        const body = this.vars.body
+        const position = body.translation()
+        const rotation = body.rotation()
+        const linvel = body.linvel()
+        const angvel = body.angvel()
+        const rampL = this.experience.world.rampL
+        const checkpoints = this.experience.world.checkpoints
+        const wind = this.experience.world.wind
+        const ocean = this.experience.world.ocean
+        
+        return {
+            position: { x: position.x, y: position.y, z: position.z },
+            rotation: { x: rotation.x, y: rotation.y, z: rotation.z, w: rotation.w },
+            linvel: { x: linvel.x, y: linvel.y, z: linvel.z },
+            angvel: { x: angvel.x, y: angvel.y, z: angvel.z },
+            state: this.stateMachine.name,
+            isFlying: this.vars.isFlying,
+            currentPitch: this.vars.currentPitch,
+            currentRoll: this.vars.currentRoll,
+            currentYaw: this.vars.currentYaw,
+            targetPitch: this.vars.targetPitch,
+            targetRoll: this.vars.targetRoll,
+            flightModel: this.vars.flightModel,
+            flightOrientation: this.vars.flightOrientation.toArray(),
+            flightAngularVelocity: this.vars.flightAngularVelocity.toArray(),
+            isInOcean: this.oceanMode.isActive,
+            stamina: this.oceanMode.stamina,
+            exhaustedTime: this.oceanMode.exhaustedTime,
+            climbTarget: this.oceanMode.climbTarget ? { ...this.oceanMode.climbTarget } : null,
+            rampL: rampL ? rampL.getSnapshot() : null,
+            checkpoint: checkpoints ? checkpoints.activeName : null,
+            wind: wind ? wind.getSnapshot() : null,
+            ocean: ocean ? ocean.getSnapshot() : null
+        }
+    }
+
+    /**
+     * Restore a state captured with getSnapshot
+     * @param {Object} snapshot
+     */
+    applySnapshot(snapshot)
+    {
+        const body = this.vars.body
+        
+        // Same flight model as the recording, before flight is entered
+        if(snapshot.flightModel)
+            this.vars.flightModel = snapshot.flightModel
+        
+        // Enter the state first so its hooks (gravity, animation, visuals) run before the body is restored
+        // Replays recorded before the state machine only know about flight
+        const state = snapshot.state || (snapshot.isFlying ? 'flight' : 'air')
+        this.stateMachine.set(state)
+        
+        body.setTranslation(snapshot.position, true)
+        body.setRotation(snapshot.rotation, true)
+        body.setLinvel(snapshot.linvel, true)
+        body.setAngvel(snapshot.angvel, true)
+        
+        this.vars.currentPitch = snapshot.currentPitch
+        this.vars.currentRoll = snapshot.currentRoll
+        this.vars.currentYaw = snapshot.currentYaw
+        this.vars.targetPitch = snapshot.targetPitch
+        this.vars.targetRoll = snapshot.targetRoll
+        if(snapshot.flightOrientation)
+        {
+            this.vars.flightOrientation.fromArray(snapshot.flightOrientation)
+            this.vars.flightAngularVelocity.fromArray(snapshot.flightAngularVelocity)
+        }
+        this.oceanMode.isActive = snapshot.isInOcean
+        if(snapshot.stamina !== undefined)
+        {
+            this.oceanMode.stamina = snapshot.stamina
+            this.oceanMode.exhaustedTime = snapshot.exhaustedTime
+            this.oceanMode.climbTarget = snapshot.climbTarget ? { ...snapshot.climbTarget } : null
+        }
+        
+        const rampL = this.experience.world.rampL
+        if(rampL && snapshot.rampL)
+        {
+            rampL.applySnapshot(snapshot.rampL)
+        }
+        
+        const wind = this.experience.world.wind
+        if(wind && snapshot.wind)
+        {
+            wind.applySnapshot(snapshot.wind)
+        }
+        
+        const ocean = this.experience.world.ocean
+        if(ocean && snapshot.ocean)
+        {
+            ocean.applySnapshot(snapshot.ocean)
+        }
+        
+        const checkpoints = this.experience.world.checkpoints
+        if(checkpoints && snapshot.checkpoint)
+        {
+            checkpoints.activate(snapshot.checkpoint)
+        }
+        
+        this.playerPhysics.resetState()
+    }
+
+    /**
+     * Store the body state at the end of a fixed step for render interpolation
+     */
+    recordState()
+    {
+        this.playerPhysics.recordState()
+    }
+
+    update()
+    {
+        if(!this.vars.body) return
+        
+        // Interpolate between the last two physics states
+        const { position, rotation } = this.playerPhysics.getInterpolatedState(this.physics.alpha)
+        const velocity = this.vars.body.linvel()
+        const velocityMagnitude = Math.sqrt(velocity.x * velocity.x + velocity.y * velocity.y + velocity.z * velocity.z)
         
         // Update physics visuals
         this.playerPhysics.updateVisuals(position, rotation)
@@ -126,6 +331,7 @@ export default class Player
         // Update visual helpers
         this.visuals.updateHelpers(velocity, velocityMagnitude)
         this.visuals.updateVelocityGraph(velocity, velocityMagnitude)
+        this.flightPrediction.update()
         
         // Update animations
         this.visuals.updateAnimations(this.time.delta * 0.001)
@@ -149,6 +355,17 @@ export default class Player
             z: velocity.z,
             theta: thetaXZ
         })
+        this.hud.updateGround(this.vars.ground)
+        
+        if(this.stateMachine.is('flight'))
+            this.hud.updateInstruments(this.flightMode.getInstruments())
+        else
+            this.hud.hideInstruments()
+        
+        if(this.stateMachine.is('ocean') && this.oceanMode.swimEnabled)
+            this.hud.updateStamina(this.oceanMode.stamina)
+        else
+            this.hud.hideStamina()
         
         if(typeof this.camera.getCameraDebugInfo === 'function')
         {
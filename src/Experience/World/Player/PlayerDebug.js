@@ -91,11 +91,21 @@ export default class PlayerDebug
             .step(0.05)
             .name('airControlStrength')
         
+        this.debugFolder
+            .add(this.vars, 'maxWalkableSlope')
+            .min(0)
+            .max(90)
+            .step(1)
+            .name('maxWalkableSlope (°)')
+        
         // Flight physics debug controls
         this.setupFlightDebug()
         
         // Ball animation debug controls
         this.setupAnimationDebug()
+        
+        // Ocean swimming debug controls
+        this.setupSwimmingDebug()
     }
 
     setupAnimationDebug()
@@ -163,6 +173,23 @@ export default class PlayerDebug
     {
         const flightFolder = this.debugFolder.addFolder('Flight Physics')
         
+        // 'arcade' keeps the simplified model, 'simulation' integrates pitch/roll/yaw from moments
+        flightFolder
+            .add(this.vars, 'flightModel', ['arcade', 'simulation'])
+            .name('flight model')
+            .onChange((value) => this.player.flightMode.setModel(value))
+        
+        flightFolder
+            .add(this.vars, 'stallSpeed')
+            .min(0)
+            .max(40)
+            .step(0.5)
+            .name('stall speed (m/s)')
+        
+        flightFolder
+            .add(this.player.hud, 'stallSound')
+            .name('stall warning sound')
+        
         flightFolder
             .add(this.vars, 'liftCoefficient')
             .min(0)
@@ -190,6 +217,7 @@ export default class PlayerDebug
             .max(5)
             .step(0.1)
             .name('turbulence amplitude')
+            .listen()
         
         flightFolder
             .add(this.vars, 'turbulenceFrequency')
@@ -197,6 +225,7 @@ export default class PlayerDebug
             .max(10)
             .step(0.1)
             .name('turbulence frequency (Hz)')
+            .listen()
         
         flightFolder
             .add(this.vars, 'flightGravity')
@@ -219,6 +248,19 @@ export default class PlayerDebug
             .step(0.001)
             .name('post-stab drag coeff')
         
+        this.setupFlightDynamicsDebug(flightFolder)
+        
+        // Touchdown grading (see FlightMode.classifyLanding)
+        const landingFolder = flightFolder.addFolder('Landing')
+        landingFolder.close()
+        const landing = this.vars.landing
+        landingFolder.add(landing, 'smoothSinkRate').min(0).max(10).step(0.5).name('smooth sink (m/s)')
+        landingFolder.add(landing, 'hardSinkRate').min(0).max(20).step(0.5).name('crash sink (m/s)')
+        landingFolder.add(landing, 'smoothBank').min(0).max(90).step(1).name('smooth bank (°)')
+        landingFolder.add(landing, 'crashBank').min(0).max(90).step(1).name('crash bank (°)')
+        landingFolder.add(landing, 'hardSpeedRetention').min(0).max(1).step(0.05).name('hard speed kept')
+        landingFolder.add(landing, 'crashSpeedRetention').min(0).max(1).step(0.05).name('crash speed kept')
+        
         // Copy button for player values
         this.debug.addCopyButton(this.debugFolder, 'player', () => ({
             torqueStrength: this.vars.torqueStrength,
@@ -229,6 +271,7 @@ export default class PlayerDebug
             velocityThreshold: this.vars.velocityThreshold,
             orientationSmoothing: this.vars.orientationSmoothing,
             airControlStrength: this.vars.airControlStrength,
+            maxWalkableSlope: this.vars.maxWalkableSlope,
             liftCoefficient: this.vars.liftCoefficient,
             flightLevelingSpeed: this.vars.flightLevelingSpeed,
             flightTransitionDuration: this.vars.flightTransitionDuration,
@@ -236,7 +279,79 @@ export default class PlayerDebug
             turbulenceFrequency: this.vars.turbulenceFrequency,
             flightGravity: this.vars.flightGravity,
             flightLift: this.vars.flightLift,
-            flightDrag: this.vars.flightDrag
+            flightDrag: this.vars.flightDrag,
+            flightModel: this.vars.flightModel,
+            stallSpeed: this.vars.stallSpeed,
+            landing: this.vars.landing,
+            flightDynamics: this.vars.flightDynamics
+        }))
+    }
+
+    setupFlightDynamicsDebug(flightFolder)
+    {
+        const params = this.vars.flightDynamics
+        const folder = flightFolder.addFolder('Simulation Model')
+        folder.close()
+        
+        const coefficients = [
+            ['cm0', -0.2, 0.2, 0.005, 'pitch trim'],
+            ['cmAlpha', -3, 0, 0.05, 'pitch stability'],
+            ['cmq', -40, 0, 0.5, 'pitch damping'],
+            ['cmElevator', 0, 0.5, 0.01, 'pitch authority'],
+            ['clBeta', -0.5, 0, 0.01, 'dihedral effect'],
+            ['clp', -2, 0, 0.05, 'roll damping'],
+            ['clAileron', 0, 0.2, 0.005, 'roll authority'],
+            ['cnBeta', -0.5, 0, 0.01, 'weathervane'],
+            ['cnr', -1, 0, 0.01, 'yaw damping'],
+            ['cnAileron', -0.05, 0.05, 0.001, 'adverse yaw'],
+            ['cyBeta', -2, 0, 0.05, 'sideslip force'],
+            ['cd0', 0, 0.2, 0.005, 'parasite drag'],
+            ['inducedDrag', 0, 0.3, 0.005, 'induced drag']
+        ]
+        
+        for(const [key, min, max, step, name] of coefficients)
+        {
+            folder
+                .add(params, key)
+                .min(min)
+                .max(max)
+                .step(step)
+                .name(name)
+        }
+        
+        folder.add(params.inertia, 'x').min(1).max(100).step(1).name('inertia roll')
+        folder.add(params.inertia, 'y').min(1).max(100).step(1).name('inertia yaw')
+        folder.add(params.inertia, 'z').min(1).max(100).step(1).name('inertia pitch')
+    }
+
+    /**
+     * OceanMode swimming, stamina and ledge climbing
+     */
+    setupSwimmingDebug()
+    {
+        const oceanMode = this.player.oceanMode
+        const folder = this.debugFolder.addFolder('Swimming')
+        folder.close()
+        
+        folder.add(oceanMode, 'swimEnabled').name('swim (respawn when exhausted)')
+        folder.add(oceanMode, 'swimForce').min(0).max(200).step(5).name('stroke force (N)')
+        folder.add(oceanMode, 'stamina').min(0).max(1).step(0.01).listen()
+        folder.add(oceanMode, 'staminaDrain').min(0).max(0.5).step(0.01).name('drain / s (paddling)')
+        folder.add(oceanMode, 'staminaIdleDrain').min(0).max(0.5).step(0.01).name('drain / s (idle)')
+        folder.add(oceanMode, 'staminaRecovery').min(0).max(1).step(0.05).name('recovery / s (on land)')
+        folder.add(oceanMode, 'climbReach').min(0).max(5).step(0.1).name('climb reach (m)')
+        folder.add(oceanMode, 'climbHeight').min(0).max(6).step(0.1).name('climb height (m)')
+        folder.add(oceanMode, 'climbCost').min(0).max(1).step(0.05).name('climb stamina cost')
+        
+        this.debug.addCopyButton(folder, 'swimming', () => ({
+            swimEnabled: oceanMode.swimEnabled,
+            swimForce: oceanMode.swimForce,
+            staminaDrain: oceanMode.staminaDrain,
+            staminaIdleDrain: oceanMode.staminaIdleDrain,
+            staminaRecovery: oceanMode.staminaRecovery,
+            climbReach: oceanMode.climbReach,
+            climbHeight: oceanMode.climbHeight,
+            climbCost: oceanMode.climbCost
         }))
     }
 }
@@ -1,6 +1,9 @@
+import * as THREE from 'three'
+
 /**
  * PlayerInput - Input handling for the player
- * Manages keyboard events and input state
+ * Reads named actions from Experience.input (keyboard + gamepad, see Utils/Input)
+ * Live input is sampled into one frame per physics step (see sampleFrame)
  */
 export default class PlayerInput
 {
@@ -8,40 +11,90 @@ export default class PlayerInput
     {
         this.player = player
         this.vars = player.vars
-        this.flightMode = player.flightMode
-        
-        this.setupListeners()
+        this.camera = player.camera
+
+        // Shared action input - none in headless simulation
+        this.input = player.experience.input || null
+
+        // Scripted action values, used when there is no shared input (headless simulation)
+        this.actions = PlayerInput.actionsFromKeys({})
+
+        // Flight toggles and respawns are queued and applied at the start of the next physics step
+        this.flightToggleRequested = false
+        this.respawnRequested = false
+
+        // Forward direction used when there is no camera (headless simulation)
+        this.forward = new THREE.Vector3(1, 0, 0)
+        this.up = new THREE.Vector3(0, 1, 0)
+
+        if(this.input)
+            this.setupListeners()
+    }
+
+    /**
+     * Actions for plain W/A/S/D key states (simulation scripts, version 1 replays)
+     * W/S and A/D drive both the ground actions and the flight axes, W and A winning ties
+     * @param {Object} keys - { w, s, a, d }
+     * @returns {Object} - { throttle, brake, steerLeft, steerRight, pitch, roll }
+     */
+    static actionsFromKeys(keys)
+    {
+        return {
+            throttle: keys.w ? 1 : 0,
+            brake: keys.s ? 1 : 0,
+            steerLeft: keys.a ? 1 : 0,
+            steerRight: keys.d ? 1 : 0,
+            pitch: keys.w ? -1 : (keys.s ? 1 : 0),
+            roll: keys.a ? -1 : (keys.d ? 1 : 0)
+        }
     }
 
     setupListeners()
     {
-        window.addEventListener('keydown', (event) => {
-            if(event.key === 'w' || event.key === 'W')
-                this.vars.keys.w = true
-            if(event.key === 's' || event.key === 'S')
-                this.vars.keys.s = true
-            if(event.key === 'a' || event.key === 'A')
-                this.vars.keys.a = true
-            if(event.key === 'd' || event.key === 'D')
-                this.vars.keys.d = true
-            if(event.key === ' ')
-            {
-                this.vars.keys.space = true
-                this.flightMode.activate()
-            }
+        this.input.on('toggleFlight.player', () => {
+            this.requestFlightToggle()
         })
 
-        window.addEventListener('keyup', (event) => {
-            if(event.key === 'w' || event.key === 'W')
-                this.vars.keys.w = false
-            if(event.key === 's' || event.key === 'S')
-                this.vars.keys.s = false
-            if(event.key === 'a' || event.key === 'A')
-                this.vars.keys.a = false
-            if(event.key === 'd' || event.key === 'D')
-                this.vars.keys.d = false
-            if(event.key === ' ')
-                this.vars.keys.space = false
+        this.input.on('respawn.player', () => {
+            this.requestRespawn()
         })
     }
+
+    requestFlightToggle()
+    {
+        this.flightToggleRequested = true
+    }
+
+    /**
+     * @param {string} [checkpoint] - Checkpoint name, the active one if omitted
+     */
+    requestRespawn(checkpoint)
+    {
+        this.respawnRequested = checkpoint || true
+    }
+
+    /**
+     * Capture live input for one physics step
+     * @returns {Object} - { actions, forward, right, toggleFlight, respawn }
+     */
+    sampleFrame()
+    {
+        const forward = this.camera ? this.camera.getForwardDirection() : this.forward.clone()
+        const right = this.camera
+            ? this.camera.getRightDirection()
+            : new THREE.Vector3().crossVectors(forward, this.up).normalize()
+
+        const frame = {
+            actions: this.input ? this.input.getActions() : { ...this.actions },
+            forward,
+            right,
+            toggleFlight: this.flightToggleRequested,
+            respawn: this.respawnRequested
+        }
+
+        this.flightToggleRequested = false
+        this.respawnRequested = false
+
+        return frame
+    }
 }
@@ -11,6 +11,19 @@ export default class PlayerPhysics
         this.player = player
         this.physics = player.physics
         this.vars = player.vars
+        
+        // Last two fixed-step states, interpolated for rendering
+        this.previousPosition = new THREE.Vector3()
+        this.currentPosition = new THREE.Vector3()
+        this.previousRotation = new THREE.Quaternion()
+        this.currentRotation = new THREE.Quaternion()
+        this.renderPosition = new THREE.Vector3()
+        this.renderRotation = new THREE.Quaternion()
+        
+        // Colliders currently touching the ball, kept from Physics collision events
+        this.contacts = new Set()
+        this.physics.on('collisionStart.player', (event) => this.onCollision(event, true))
+        this.physics.on('collisionEnd.player', (event) => this.onCollision(event, false))
     }
 
     setup()
@@ -51,12 +64,15 @@ export default class PlayerPhysics
             .setFriction(this.vars.friction)
             .setRestitution(this.vars.restitution)
             .setDensity(this.vars.density)
-            .setActiveEvents(RAPIER.ActiveEvents.COLLISION_EVENTS)
+            .setActiveEvents(RAPIER.ActiveEvents.COLLISION_EVENTS | RAPIER.ActiveEvents.CONTACT_FORCE_EVENTS)
+            .setContactForceEventThreshold(this.vars.contactForceThreshold)
+        
+        this.vars.collider = this.physics.createCollider(colliderDesc, this.vars.body, { type: 'player', object: this.player })
         
-        this.vars.collider = this.physics.createCollider(colliderDesc, this.vars.body)
+        // Spawn velocity and the final position come from the start checkpoint (see Checkpoints)
         
-        // Apply initial impulse
-        this.vars.body.applyImpulse({ x: 3.0, y: 0, z: 0 }, true)
+        // Start interpolation from the spawn pose
+        this.resetState()
         
         // Create collision visualization
         this.createCollisionMesh()
@@ -73,19 +89,142 @@ export default class PlayerPhysics
         })
         this.player.collisionMesh = new THREE.Mesh(collisionGeometry, collisionMaterial)
         this.player.collisionMesh.visible = false // Hidden by default
+        this.player.collisionMesh.userData.helper = true
         this.player.group.add(this.player.collisionMesh)
     }
 
+    /**
+     * Track which colliders touch the ball
+     * @param {Object} event - Physics collision event
+     * @param {boolean} started - collisionStart or collisionEnd
+     */
+    onCollision(event, started)
+    {
+        // Trigger volumes are not ground
+        if(!this.vars.collider || event.sensor) return
+        
+        const handle = this.vars.collider.handle
+        let other = null
+        if(event.handle1 === handle) other = event.handle2
+        else if(event.handle2 === handle) other = event.handle1
+        if(other === null) return
+        
+        if(started)
+            this.contacts.add(other)
+        else
+            this.contacts.delete(other)
+    }
+
+    /**
+     * Inspect the contact manifolds with every touching collider and keep the
+     * most upward-facing one as ground, if it is not steeper than maxWalkableSlope
+     */
     checkGrounded()
     {
         if(!this.vars.collider) return
         
         const world = this.physics.world
-        this.vars.isGrounded = false
+        const ground = this.vars.ground
+        let best = null
         
-        world.contactPairsWith(this.vars.collider, (otherCollider) => {
-            this.vars.isGrounded = true
-        })
+        for(const handle of this.contacts)
+        {
+            const other = world.getCollider(handle)
+            if(!other) continue
+            
+            world.contactPair(this.vars.collider, other, (manifold, flipped) => {
+                if(manifold.numContacts() === 0) return
+                
+                // Manifold normal points from its first collider to the second - flip it to point from the surface to the ball
+                const normal = manifold.normal()
+                const sign = flipped ? 1 : -1
+                const ny = normal.y * sign
+                
+                if(best && ny <= best.normal.y) return
+                
+                best = {
+                    normal: new THREE.Vector3(normal.x * sign, ny, normal.z * sign),
+                    point: manifold.numSolverContacts() > 0 ? manifold.solverContactPoint(0) : null,
+                    collider: other,
+                    handle
+                }
+            })
+        }
+        
+        ground.touching = best !== null
+        
+        if(!best)
+        {
+            this.vars.isGrounded = false
+            ground.normal.set(0, 1, 0)
+            ground.slopeAngle = 0
+            ground.friction = 0
+            ground.surface = null
+            ground.surfaceName = null
+            return
+        }
+        
+        const owner = this.physics.getColliderOwner(best.handle)
+        
+        ground.normal.copy(best.normal).normalize()
+        ground.slopeAngle = THREE.MathUtils.radToDeg(Math.acos(THREE.MathUtils.clamp(ground.normal.y, -1, 1)))
+        ground.friction = best.collider.friction()
+        ground.surface = owner ? owner.type : null
+        ground.surfaceName = owner && owner.name !== undefined ? owner.name : null
+        
+        if(best.point)
+        {
+            ground.point.set(best.point.x, best.point.y, best.point.z)
+        }
+        else
+        {
+            // No solver contact yet - the point under the ball along the normal
+            const position = this.vars.body.translation()
+            ground.point.set(position.x, position.y, position.z).addScaledVector(ground.normal, -this.vars.radius)
+        }
+        
+        this.vars.isGrounded = ground.slopeAngle <= this.vars.maxWalkableSlope
+    }
+
+    /**
+     * Shift the current body state into the previous slot and capture the new one
+     */
+    recordState()
+    {
+        if(!this.vars.body) return
+        
+        const position = this.vars.body.translation()
+        const rotation = this.vars.body.rotation()
+        
+        this.previousPosition.copy(this.currentPosition)
+        this.previousRotation.copy(this.currentRotation)
+        this.currentPosition.set(position.x, position.y, position.z)
+        this.currentRotation.set(rotation.x, rotation.y, rotation.z, rotation.w)
+    }
+
+    /**
+     * Collapse both interpolation states onto the body (use after teleporting)
+     */
+    resetState()
+    {
+        this.recordState()
+        this.recordState()
+    }
+
+    /**
+     * Blend the last two physics states
+     * @param {number} alpha - 0 = previous step, 1 = current step
+     * @returns {Object} - { position: THREE.Vector3, rotation: THREE.Quaternion }
+     */
+    getInterpolatedState(alpha)
+    {
+        this.renderPosition.lerpVectors(this.previousPosition, this.currentPosition, alpha)
+        this.renderRotation.slerpQuaternions(this.previousRotation, this.currentRotation, alpha)
+        
+        return {
+            position: this.renderPosition,
+            rotation: this.renderRotation
+        }
     }
 
     updateVisuals(position, rotation)
@@ -0,0 +1,362 @@
+import * as THREE from 'three'
+import PlayerInput from './PlayerInput.js'
+
+/**
+ * PlayerReplay - Deterministic input recording and playback
+ * Records one input frame per fixed physics step plus the player state at the
+ * first step, and feeds the frames back instead of live input to reproduce a run
+ *
+ * Replay file (JSON):
+ * {
+ *     version: 2,
+ *     fixedHz: 60,
+ *     recordedAt: ISO date,
+ *     spawn: Player.getSnapshot(),
+ *     frames: [[throttle, brake, steerLeft, steerRight, pitch, roll, forwardX, forwardZ, toggleFlight, respawn?], ...],
+ *     trace: [[frameIndex, x, y, z, qx, qy, qz, qw, isFlying], ...]  // Pose every traceInterval frames
+ * }
+ *
+ * The trace is checked for desyncs on playback and is the timeline Ghost races against;
+ * files from before ghosts only hold positions. Ghost adds time and checkpoints to the runs it keeps
+ *
+ * respawn: 1 = active checkpoint, or a checkpoint name
+ * Version 1 frames ([keyBits, forwardX, forwardZ, toggleFlight, respawn?]) still play
+ */
+const VERSION = 2
+const ACTIONS = ['throttle', 'brake', 'steerLeft', 'steerRight', 'pitch', 'roll']
+const KEY_BITS = { w: 1, s: 2, a: 4, d: 8, space: 16 }
+
+export default class PlayerReplay
+{
+    constructor(player)
+    {
+        this.player = player
+        this.experience = player.experience
+        this.physics = player.physics
+        this.debug = player.debug
+        this.vars = player.vars
+
+        // 'idle', 'recording' or 'playing'
+        this.state = 'idle'
+        this.pendingAction = null
+        this.replay = null
+        this.lastReplay = null
+        this.frameIndex = 0
+        this.savedFixedHz = null
+
+        // Trace sampling - desync detection, and smooth enough for a ghost to follow
+        this.traceInterval = 2
+        this.desyncTolerance = 0.01
+        this.hasDesynced = false
+
+        this.up = new THREE.Vector3(0, 1, 0)
+
+        if(!this.experience.headless)
+        {
+            this.loadFromUrl()
+            this.setDebug()
+        }
+    }
+
+    get isRecording() { return this.state === 'recording' }
+    get isPlaying() { return this.state === 'playing' }
+
+    /**
+     * Start recording at the next physics step
+     * @returns {Object} - The recording, filled in from that step on
+     */
+    startRecording()
+    {
+        this.stop()
+
+        const replay = {
+            version: VERSION,
+            fixedHz: this.physics.fixedHz,
+            recordedAt: null,
+            spawn: null,
+            frames: [],
+            trace: []
+        }
+        this.pendingAction = { type: 'record', replay }
+
+        return replay
+    }
+
+    /**
+     * Start playing a replay at the next physics step
+     * @param {Object} replay - Parsed replay file
+     */
+    play(replay)
+    {
+        if(!replay || !(replay.version >= 1 && replay.version <= VERSION) || !Array.isArray(replay.frames) || !replay.spawn)
+        {
+            console.warn('Replay: invalid replay file')
+            return
+        }
+
+        this.stop()
+
+        // Same step size as the recording, or it won't reproduce - switched now, so callers
+        // timing the playback (Simulation.run) already step at the replay's rate
+        if(replay.fixedHz && replay.fixedHz !== this.physics.fixedHz)
+        {
+            this.savedFixedHz = this.physics.fixedHz
+            this.physics.fixedHz = replay.fixedHz
+        }
+
+        this.pendingAction = { type: 'play', replay }
+    }
+
+    /**
+     * Stop recording or playback
+     * @returns {Object|null} - The finished recording, if one was in progress
+     */
+    stop()
+    {
+        let recording = null
+
+        if(this.isRecording)
+        {
+            recording = this.replay
+            this.lastReplay = recording
+            console.log(`Replay: recorded ${recording.frames.length} frames`)
+        }
+        else if(this.isPlaying)
+        {
+            console.log(`Replay: playback stopped at frame ${this.frameIndex}/${this.replay.frames.length}`)
+        }
+
+        // Also when a queued playback never started
+        if(this.savedFixedHz !== null)
+        {
+            this.physics.fixedHz = this.savedFixedHz
+            this.savedFixedHz = null
+        }
+
+        this.state = 'idle'
+        this.replay = null
+        this.pendingAction = null
+
+        return recording
+    }
+
+    /**
+     * Input frame for this step - called once at the start of every physics step
+     * @returns {Object|null} - Replay frame while playing, otherwise null (use live input)
+     */
+    nextFrame()
+    {
+        this.startPendingAction()
+
+        if(!this.isPlaying) return null
+
+        // Desync check against the recorded trace
+        this.checkTrace()
+
+        if(this.frameIndex >= this.replay.frames.length)
+        {
+            this.stop()
+            return null
+        }
+
+        const data = this.replay.frames[this.frameIndex++]
+        return this.replay.version === 1 ? this.decodeLegacyFrame(data) : this.decodeFrame(data)
+    }
+
+    /**
+     * Store the frame applied this step
+     * @param {Object} frame - { actions, forward, right, toggleFlight, respawn }
+     */
+    record(frame)
+    {
+        if(!this.isRecording) return
+
+        const index = this.replay.frames.length
+        if(index % this.traceInterval === 0)
+        {
+            const position = this.vars.body.translation()
+
+            // Flight orientation lives on the mesh, rolling orientation on the body
+            const rotation = this.vars.isFlying && this.player.mesh ? this.player.mesh.quaternion : this.vars.body.rotation()
+            const round = (value) => Math.round(value * 10000) / 10000
+
+            this.replay.trace.push([
+                index,
+                round(position.x), round(position.y), round(position.z),
+                round(rotation.x), round(rotation.y), round(rotation.z), round(rotation.w),
+                this.vars.isFlying ? 1 : 0
+            ])
+        }
+
+        this.replay.frames.push(this.encodeFrame(frame))
+    }
+
+    startPendingAction()
+    {
+        if(!this.pendingAction || !this.vars.body) return
+
+        const action = this.pendingAction
+        this.pendingAction = null
+
+        if(action.type === 'record')
+        {
+            this.replay = action.replay
+            this.replay.fixedHz = this.physics.fixedHz
+            this.replay.recordedAt = new Date().toISOString()
+            this.replay.spawn = this.player.getSnapshot()
+            this.state = 'recording'
+            console.log('Replay: recording')
+        }
+        else if(action.type === 'play')
+        {
+            const replay = action.replay
+
+            this.player.applySnapshot(replay.spawn)
+            this.replay = replay
+            this.lastReplay = replay
+            this.frameIndex = 0
+            this.traceIndex = 0
+            this.hasDesynced = false
+            this.state = 'playing'
+            console.log(`Replay: playing ${replay.frames.length} frames`)
+        }
+    }
+
+    checkTrace()
+    {
+        const trace = this.replay.trace
+        if(!trace || this.traceIndex >= trace.length || trace[this.traceIndex][0] !== this.frameIndex) return
+
+        const [index, x, y, z] = trace[this.traceIndex++]
+        const position = this.vars.body.translation()
+        const error = Math.hypot(position.x - x, position.y - y, position.z - z)
+
+        if(error > this.desyncTolerance && !this.hasDesynced)
+        {
+            this.hasDesynced = true
+            console.warn(`Replay: desync at frame ${index} (off by ${error.toFixed(4)} m)`)
+        }
+    }
+
+    encodeFrame(frame)
+    {
+        // Action values are already rounded by Input, forward is flat (y = 0) and right is derived from it
+        const data = ACTIONS.map((action) => frame.actions[action])
+        data.push(frame.forward.x, frame.forward.z, frame.toggleFlight ? 1 : 0)
+        if(frame.respawn)
+            data.push(frame.respawn === true ? 1 : frame.respawn)
+
+        return data
+    }
+
+    decodeFrame(data)
+    {
+        const actions = {}
+        ACTIONS.forEach((action, index) => {
+            actions[action] = data[index]
+        })
+
+        const [forwardX, forwardZ, toggleFlight, respawn] = data.slice(ACTIONS.length)
+
+        return this.createFrame(actions, forwardX, forwardZ, toggleFlight, respawn)
+    }
+
+    /**
+     * Version 1 frames stored W/A/S/D key bits
+     */
+    decodeLegacyFrame(data)
+    {
+        const [bits, forwardX, forwardZ, toggleFlight, respawn] = data
+
+        const keys = {}
+        for(const key in KEY_BITS)
+        {
+            keys[key] = (bits & KEY_BITS[key]) !== 0
+        }
+
+        return this.createFrame(PlayerInput.actionsFromKeys(keys), forwardX, forwardZ, toggleFlight, respawn)
+    }
+
+    createFrame(actions, forwardX, forwardZ, toggleFlight, respawn)
+    {
+        const forward = new THREE.Vector3(forwardX, 0, forwardZ)
+        const right = new THREE.Vector3().crossVectors(forward, this.up).normalize()
+
+        return {
+            actions,
+            forward,
+            right,
+            toggleFlight: toggleFlight === 1,
+            respawn: respawn === 1 ? true : (respawn || false)
+        }
+    }
+
+    /**
+     * Download a replay as a JSON file
+     */
+    save(replay = this.lastReplay)
+    {
+        if(!replay)
+        {
+            console.warn('Replay: nothing recorded yet')
+            return
+        }
+
+        const blob = new Blob([JSON.stringify(replay)], { type: 'application/json' })
+        const link = document.createElement('a')
+        link.href = URL.createObjectURL(blob)
+        link.download = `replay-${replay.recordedAt.replace(/[:.]/g, '-')}.json`
+        link.click()
+
+        // The download may start after click() returns - keep the URL alive until then
+        setTimeout(() => URL.revokeObjectURL(link.href), 1000)
+    }
+
+    /**
+     * Pick a replay file from disk and play it
+     */
+    openFile()
+    {
+        const input = document.createElement('input')
+        input.type = 'file'
+        input.accept = 'application/json,.json'
+        input.addEventListener('change', () => {
+            const file = input.files[0]
+            if(!file) return
+
+            file.text()
+                .then((text) => this.play(JSON.parse(text)))
+                .catch((error) => console.error('Replay: failed to read file', error))
+        })
+        input.click()
+    }
+
+    /**
+     * Play a replay given as ?replay=<url>
+     */
+    loadFromUrl()
+    {
+        const url = new URLSearchParams(window.location.search).get('replay')
+        if(!url) return
+
+        fetch(url)
+            .then((response) => response.json())
+            .then((replay) => this.play(replay))
+            .catch((error) => console.error(`Replay: failed to load ${url}`, error))
+    }
+
+    setDebug()
+    {
+        if(!this.debug.active) return
+
+        const replayFolder = this.debug.ui.addFolder('replay')
+        replayFolder.close()
+
+        replayFolder.add({ record: () => this.startRecording() }, 'record').name('⏺ Record')
+        replayFolder.add({ stop: () => this.stop() }, 'stop').name('⏹ Stop')
+        replayFolder.add({ replayLast: () => this.play(this.lastReplay) }, 'replayLast').name('▶ Replay Last')
+        replayFolder.add({ save: () => this.save() }, 'save').name('💾 Save Last')
+        replayFolder.add({ open: () => this.openFile() }, 'open').name('📂 Load File')
+        replayFolder.add(this, 'state').name('state').listen().disable()
+    }
+}
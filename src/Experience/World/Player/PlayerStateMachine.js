@@ -0,0 +1,164 @@
+import EventEmitter from '../../Utils/EventEmitter.js'
+
+/**
+ * PlayerStateMachine - Named player states and the transitions between them
+ * Replaces the ocean > flight > air > ground priority chain: each state has
+ * enter/exit hooks, a per-step update and a list of states it may move to
+ *
+ * Events:
+ * - 'change' (to, from) on every transition
+ * - '<state>' (from) when a state is entered, e.g. on('flight', ...)
+ *
+ * States:
+ * - ground, air: rolling / airborne ball, chosen from isGrounded
+ * - flight: gliding (FlightMode), toggled by the player, ends on touchdown
+ * - ocean: below sea level (OceanMode)
+ * - rampConstrained: body driven along the RampL curve
+ * - ballistic: free flight after leaving RampL, until landing or flight
+ * - respawning: body held while the player is being reset
+ */
+export default class PlayerStateMachine extends EventEmitter
+{
+    constructor(player)
+    {
+        super()
+
+        this.player = player
+        this.vars = player.vars
+
+        this.states = {
+            ground: {
+                transitions: ['air', 'flight', 'ocean', 'rampConstrained', 'respawning'],
+                update: (dt) => player.groundMode.update(dt)
+            },
+            air: {
+                transitions: ['ground', 'flight', 'ocean', 'rampConstrained', 'respawning'],
+                update: (dt) => player.airMode.update(dt)
+            },
+            flight: {
+                // Toggled off to air, or a touchdown to ground/air
+                transitions: ['ground', 'air', 'ocean', 'respawning'],
+                enter: () => player.flightMode.enter(),
+                exit: (to) => player.flightMode.exit(to),
+                update: (dt) => player.flightMode.update(dt)
+            },
+            ocean: {
+                transitions: ['ground', 'air', 'respawning'],
+                update: (dt) => player.oceanMode.update(dt)
+            },
+            rampConstrained: {
+                // RampL moves the body itself (see RampL.fixedUpdate)
+                transitions: ['ballistic', 'respawning']
+            },
+            ballistic: {
+                transitions: ['ground', 'air', 'flight', 'ocean', 'respawning'],
+                update: (dt) => player.airMode.update(dt)
+            },
+            respawning: {
+                // Into the checkpoint's mode (see Player.respawn)
+                transitions: ['ground', 'air', 'flight', 'ballistic']
+            }
+        }
+
+        this.name = 'air'
+        this.previousName = null
+        this.stepsInState = 0
+    }
+
+    is(name)
+    {
+        return this.name === name
+    }
+
+    canTransition(to)
+    {
+        return this.states[this.name].transitions.includes(to)
+    }
+
+    /**
+     * Move to another state if the current one allows it
+     * @param {string} to - State name
+     * @returns {boolean} - Whether the transition happened
+     */
+    transition(to)
+    {
+        if(to === this.name) return true
+
+        if(!this.states[to])
+        {
+            console.warn(`PlayerStateMachine: unknown state '${to}'`)
+            return false
+        }
+
+        if(!this.canTransition(to))
+        {
+            console.warn(`PlayerStateMachine: ${this.name} -> ${to} not allowed`)
+            return false
+        }
+
+        this.set(to)
+        return true
+    }
+
+    /**
+     * Enter a state without checking transitions (snapshots, resets)
+     * @param {string} to - State name
+     */
+    set(to)
+    {
+        const from = this.name
+        if(to === from) return
+
+        const exit = this.states[from].exit
+        if(exit) exit(to)
+
+        this.previousName = from
+        this.name = to
+        this.stepsInState = 0
+
+        const enter = this.states[to].enter
+        if(enter) enter(from)
+
+        this.trigger('change', [to, from])
+        this.trigger(to, [from])
+    }
+
+    /**
+     * State the physics puts the player in, for states not driven by other systems
+     * @returns {string}
+     */
+    resolve()
+    {
+        const name = this.name
+
+        // Owned by RampL / respawn until they release the player
+        if(name === 'rampConstrained' || name === 'respawning') return name
+
+        if(this.player.oceanMode.isInOcean()) return 'ocean'
+
+        if(name === 'flight')
+        {
+            if(!this.player.flightMode.hasTouchedDown()) return name
+            return this.vars.isGrounded ? 'ground' : 'air'
+        }
+        if(name === 'ballistic' && !this.vars.isGrounded) return name
+
+        return this.vars.isGrounded ? 'ground' : 'air'
+    }
+
+    /**
+     * Apply automatic transitions, then update the current state
+     * @param {number} dt - Fixed timestep in seconds
+     */
+    update(dt)
+    {
+        const next = this.resolve()
+        if(next !== this.name)
+            this.transition(next)
+
+        const update = this.states[this.name].update
+        if(update) update(dt)
+
+        this.stepsInState++
+    }
+}
@@ -21,6 +21,10 @@ export default class PlayerVariables
         this.orientationDelay = 300
         this.lastVelocityChangeTime = 0
         this.orientationUpdateEnabled = true
+        
+        // Control torques, impulses, drag factors and easing are tuned per step at this rate -
+        // the modes scale them by dt * tuningHz, so they behave the same at any Physics.fixedHz
+        this.tuningHz = 60
 
         // Physics properties - Metal ball
         this.torqueStrength = 2
@@ -29,16 +33,22 @@ export default class PlayerVariables
         this.linearDamping = 0
         this.angularDamping = 0
         this.density = 5
+        this.contactForceThreshold = 500 // N - above the ball's weight, so only impacts emit contactForce
 
-        // Input state
-        this.keys = {
-            w: false,
-            s: false,
-            a: false,
-            d: false,
-            space: false
+        // Input actions for the current step (see Utils/Input) - analog, 0 to 1 / -1 to 1 for pitch and roll
+        this.actions = {
+            throttle: 0,
+            brake: 0,
+            steerLeft: 0,
+            steerRight: 0,
+            pitch: 0,
+            roll: 0
         }
         
+        // Camera-relative control directions, sampled once per physics step
+        this.inputForward = new THREE.Vector3(1, 0, 0)
+        this.inputRight = new THREE.Vector3(0, 0, 1)
+        
         // Flight physics
         this.isFlying = false
         this.hasLoggedVelocity = false
@@ -47,10 +57,14 @@ export default class PlayerVariables
         this.flightTransitionDuration = 2000
         this.flightTransitionStartTime = 0
         
-        // Turbulence properties
+        // Turbulence properties - gust strength (m/s) and rate (Hz) of the wind (see Wind)
         this.turbulenceAmplitude = 2.0
         this.turbulenceFrequency = 5.0
         
+        // Local wind and the body velocity relative to it, updated every flight step (see Wind)
+        this.wind = new THREE.Vector3()
+        this.airVelocity = new THREE.Vector3()
+        
         // Post-stabilization flight physics
         this.flightGravity = 9.0
         this.flightLift = 0.5
@@ -63,6 +77,18 @@ export default class PlayerVariables
         
         // Air control properties
         this.isGrounded = false
+        
+        // Ground contact (see PlayerPhysics.checkGrounded)
+        this.maxWalkableSlope = 60 // Degrees - steeper contacts are walls, not ground
+        this.ground = {
+            normal: new THREE.Vector3(0, 1, 0), // Surface normal, pointing away from the surface
+            point: new THREE.Vector3(),         // Contact point in world space
+            slopeAngle: 0,                      // Degrees from horizontal
+            friction: 0,                        // Friction of the touched collider
+            surface: null,                      // Owner type of the touched collider ('ramp', 'geoNodes', ...)
+            surfaceName: null,                  // Owner name (ramp segment, GeoNodes box index...)
+            touching: false                     // Any non-sensor contact, walkable or not
+        }
         this.airControlStrength = 1
         
         // Flight control properties (pitch and roll)
@@ -77,5 +103,62 @@ export default class PlayerVariables
         this.rollLerpSpeed = 0.08
         this.maxPitch = Math.PI / 4
         this.maxRoll = Math.PI / 3
+        
+        // Stall - both flight models lose lift past the stall angle, the arcade model also below stallSpeed
+        this.alphaStall = THREE.MathUtils.degToRad(12)
+        this.stallSpeed = 15    // m/s
+        this.minFlightSpeed = 5 // m/s - almost no lift below this (arcade)
+        
+        // Flight instruments, updated every flight step (FlightMode.updateInstruments)
+        this.flightInstruments = {
+            airspeed: 0,         // m/s relative to the local wind
+            angleOfAttack: 0,    // rad
+            liftCoefficient: 0,
+            stall: false,        // Angle of attack past alphaStall or airspeed below stallSpeed
+            verticalSpeed: 0,    // m/s, climbing +
+            glideRatio: Infinity, // Horizontal distance per height lost (Infinity when not sinking)
+            bank: 0,             // rad, right wing down +
+            pitch: 0,            // rad, nose above the horizon +
+            heading: 0           // rad, nose direction from +X towards +Z, 0 to 2π
+        }
+        
+        // Touchdown in flight (FlightMode.land) - classified from the last flight step before contact
+        this.landing = {
+            armDelay: 0.5,          // s in flight before contacts count as touchdowns
+            smoothSinkRate: 3,      // m/s - smooth at or below
+            hardSinkRate: 8,        // m/s - crash above
+            smoothBank: 15,         // ° - smooth at or below
+            crashBank: 45,          // ° - crash above
+            smoothPitch: -5,        // ° - nose lower than this is not smooth
+            crashPitch: -30,        // ° - nose lower than this crashes
+            hardSpeedRetention: 0.8,  // Share of the ground speed kept rolling after a hard landing
+            crashSpeedRetention: 0.4  // ... and after a crash
+        }
+        
+        // Flight model: 'arcade' (orientation follows velocity, roll only tilts lift)
+        // or 'simulation' (rigid-body angular state, see FlightDynamics)
+        this.flightModel = 'arcade'
+        this.flightOrientation = new THREE.Quaternion()  // Body frame: +X nose, +Y up, +Z right wing
+        this.flightAngularVelocity = new THREE.Vector3() // rad/s, body frame (x roll, y yaw, z pitch)
+        this.flightDynamics = {
+            airDensity: 1.225,
+            wingArea: 2,      // m²
+            chord: 1,         // m
+            span: 4,          // m
+            inertia: { x: 20, y: 30, z: 20 }, // kg·m² about roll, yaw, pitch
+            cd0: 0.03,
+            inducedDrag: 0.08,
+            cyBeta: -0.5,     // Side force from sideslip
+            cm0: 0.015,       // Nose-up trim (≈1° angle of attack hands off, lift ≈ weight at 40 m/s)
+            cmAlpha: -0.8,    // Pitch stability
+            cmq: -12,         // Pitch damping
+            cmElevator: 0.15, // Pitch authority
+            clBeta: -0.1,     // Dihedral effect
+            clp: -0.5,        // Roll damping
+            clAileron: 0.03,  // Roll authority
+            cnBeta: -0.08,    // Weathervane stability
+            cnr: -0.15,       // Yaw damping
+            cnAileron: 0.004  // Adverse yaw
+        }
     }
 }
@@ -250,6 +250,7 @@ export default class PlayerVisuals
     {
         // Create a group for lift plane axes
         this.player.liftPlaneAxesGroup = new THREE.Group()
+        this.player.liftPlaneAxesGroup.userData.helper = true
         this.player.group.add(this.player.liftPlaneAxesGroup)
         
         // Add XYZ axes helper
@@ -476,6 +477,21 @@ export default class PlayerVisuals
         }
     }
 
+    /**
+     * Remove all velocity graph trail points (respawn)
+     */
+    clearVelocityTrail()
+    {
+        for(const point of this.velocityTrail) {
+            if(point.mesh) {
+                this.player.graphScene.remove(point.mesh)
+                point.mesh.geometry.dispose()
+                point.mesh.material.dispose()
+            }
+        }
+        this.velocityTrail = []
+    }
+
     renderGraph()
     {
         if(!this.player.graphScene || !this.player.graphCamera) return
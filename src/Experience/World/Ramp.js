@@ -57,10 +57,6 @@ export default class Ramp {
                 .setTranslation(data.p[0], data.p[1], data.p[2])
                 .setRotation({ x: data.q[0], y: data.q[1], z: data.q[2], w: data.q[3] })
             
-            // Create and attach collider to rigid body
-            const collider = this.physics.createCollider(colliderDesc, this.rigidBody)
-            this.colliders.push(collider)
-            
             // Create visual helper (wireframe box)
             const helperGeometry = new THREE.BoxGeometry(
                 data.h[0] * 2,  // full width
@@ -80,10 +76,15 @@ export default class Ramp {
             const quaternion = new THREE.Quaternion(data.q[0], data.q[1], data.q[2], data.q[3])
             helper.quaternion.copy(quaternion)
             helper.visible = this.collisionVisible
+            helper.userData.helper = true
             
             this.helpers.push(helper)
             this.scene.add(helper)
             
+            // Create and attach collider to rigid body - the helper is what the camera fades when it is in the way
+            const collider = this.physics.createCollider(colliderDesc, this.rigidBody, { type: 'ramp', name, object: this, mesh: helper })
+            this.colliders.push(collider)
+            
         }
     }
 
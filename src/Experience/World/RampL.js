@@ -1,5 +1,6 @@
 import * as THREE from 'three'
 import Experience from '../Experience.js'
+import TriggerVolume from './TriggerVolume.js'
 
 export default class RampL {
     constructor() {
@@ -52,11 +53,8 @@ export default class RampL {
         this.gateRotationY = Math.PI / 2               // Gate Y rotation in radians
         this.gateRotationZ = 0                         // Gate Z rotation in radians
         
-        // Computed from rotation
-        this.gateNormal = new THREE.Vector3(1, 0, 0)
-        
-        this.playerPreviousPos = null
-        this.hasPassedGate = false
+        // Sensor plane on the computed gate (see createGateTrigger)
+        this.gateTrigger = null
         
         // ==========================================
         // COMPUTED RAMP PARAMETERS
@@ -69,7 +67,8 @@ export default class RampL {
         this.substeps = 4    // Physics substeps for stability
         this.playerRadius = 1  // Sphere radius for surface offset
         
-        // Ramp mode state
+        // Ramp mode state (mirrors the player's rampConstrained/ballistic states, see setPlayer)
+        this.player = null
         this.playerRampMode = false
         this.playerBallisticMode = false
         this.rampState = {
@@ -217,6 +216,19 @@ export default class RampL {
         }
     }
     
+    /**
+     * Follow the player's state machine - ramp flags track its rampConstrained/ballistic states
+     * @param {Object} player - Player object
+     */
+    setPlayer(player) {
+        this.player = player
+        
+        player.stateMachine.on('change.rampL', (to) => {
+            this.playerRampMode = to === 'rampConstrained'
+            this.playerBallisticMode = to === 'ballistic'
+        })
+    }
+
     /**
      * Enter ramp mode - initialize state from player's current position/velocity
      * @param {Object} player - Player object
@@ -266,11 +278,7 @@ export default class RampL {
         player.vars.body.setTranslation(snappedPos, true)
         player.vars.body.setLinvel(snappedVel, true)
         
-        // Update previous X to prevent re-triggering gate detection
-        this.playerPreviousX = snappedPos.x
-        
-        this.playerRampMode = true
-        this.playerBallisticMode = false
+        player.stateMachine.transition('rampConstrained')
     }
     
     /**
@@ -278,8 +286,39 @@ export default class RampL {
      * @param {THREE.Vector3} exitVelocity - Velocity at exit
      */
     exitRampMode(exitVelocity) {
-        this.playerRampMode = false
-        this.playerBallisticMode = true
+        this.player.stateMachine.transition('ballistic')
+    }
+
+    /**
+     * Clear the ramp curve state (respawn)
+     */
+    resetRampState() {
+        this.rampState.rampX = 0
+        this.rampState.vS = 0
+        this.rampState.lateralZ = 0
+        this.rampState.vZ = 0
+    }
+
+    /**
+     * Ramp/gate state for replays
+     * @returns {Object} - Plain JSON-serialisable state
+     */
+    getSnapshot() {
+        return {
+            playerRampMode: this.playerRampMode,
+            playerBallisticMode: this.playerBallisticMode,
+            rampState: { ...this.rampState }
+        }
+    }
+    
+    /**
+     * Restore a state captured with getSnapshot
+     * @param {Object} snapshot
+     */
+    applySnapshot(snapshot) {
+        this.playerRampMode = snapshot.playerRampMode
+        this.playerBallisticMode = snapshot.playerBallisticMode
+        Object.assign(this.rampState, snapshot.rampState)
     }
 
     setModel() {
@@ -307,7 +346,7 @@ export default class RampL {
             this.model.position.copy(this.blenderOffset)
             
             this.scene.add(this.model)
-        } else {
+        } else if (!this.experience.headless) {
             console.warn('RampL model not found!')
         }
     }
@@ -329,18 +368,7 @@ export default class RampL {
         
         this.scene.add(this.computedGateMesh)
         
-        // Compute gate normal from rotation
-        const euler = new THREE.Euler(this.gateRotationX, this.gateRotationY, this.gateRotationZ, 'YXZ')
-        const quaternion = new THREE.Quaternion().setFromEuler(euler)
-        this.gateNormal.set(0, 0, 1)
-        this.gateNormal.applyQuaternion(quaternion)
-        // Keep only horizontal component for plane crossing detection
-        this.gateNormal.y = 0
-        if (this.gateNormal.length() > 0.001) {
-            this.gateNormal.normalize()
-        } else {
-            this.gateNormal.set(1, 0, 0)
-        }
+        this.createGateTrigger()
         
         // ==========================================
         // COMPUTED RAMP MESH (from curve function)
@@ -348,6 +376,35 @@ export default class RampL {
         this.createComputedRampMesh()
     }
     
+    /**
+     * Gate trigger - crossing the computed gate plane forward enters ramp mode
+     */
+    createGateTrigger() {
+        const options = {
+            position: this.gateCenter,
+            rotation: this.computedGateMesh.quaternion,
+            width: this.gateWidth,
+            height: this.gateHeight
+        }
+        
+        if (this.gateTrigger) {
+            this.gateTrigger.set(options)
+            return
+        }
+        
+        this.gateTrigger = new TriggerVolume({ name: 'rampLGate', shape: 'plane', ...options })
+        this.gateTrigger.on('enter', (event) => {
+            const player = this.player
+            if (!player || !event.owner || event.owner.object !== player) return
+            
+            // Not while flying or in the ocean
+            if (player.stateMachine.canTransition('rampConstrained')) {
+                console.log('>>> ENTERING RAMP MODE <<<')
+                this.enterRampMode(player)
+            }
+        })
+    }
+    
     /**
      * Create or update the computed ramp mesh based on y(x) curve function
      */
@@ -410,24 +467,13 @@ export default class RampL {
      * Update computed meshes when parameters change
      */
     updateComputedMeshes() {
-        // Update gate normal from rotation
-        const euler = new THREE.Euler(this.gateRotationX, this.gateRotationY, this.gateRotationZ, 'YXZ')
-        const quaternion = new THREE.Quaternion().setFromEuler(euler)
-        this.gateNormal.set(0, 0, 1)
-        this.gateNormal.applyQuaternion(quaternion)
-        this.gateNormal.y = 0
-        if (this.gateNormal.length() > 0.001) {
-            this.gateNormal.normalize()
-        } else {
-            this.gateNormal.set(1, 0, 0)
-        }
-        
         // Update computed gate mesh
         if (this.computedGateMesh) {
             this.computedGateMesh.position.copy(this.gateCenter)
             this.computedGateMesh.rotation.set(this.gateRotationX, this.gateRotationY, this.gateRotationZ)
             this.computedGateMesh.geometry.dispose()
             this.computedGateMesh.geometry = new THREE.PlaneGeometry(this.gateWidth, this.gateHeight)
+            this.createGateTrigger()
         }
         
         // Recreate computed ramp mesh
@@ -443,135 +489,32 @@ export default class RampL {
         }
     }
 
-    update() {
-        // Get player reference
-        const player = this.experience.world?.player
-        if (!player || !player.vars?.body) return
-        
-        const playerPos = player.vars.body.translation()
-        
-        // Get gate world position from gateCenter
-        const gatePos = this.gateCenter
-        
-        // Get delta time in seconds
-        const dt = this.experience.time.delta / 1000
-        
-        // ==========================================
-        // RAMP MODE PHYSICS
-        // ==========================================
-        if (this.playerRampMode) {
-            // Step the ramp constraint physics
-            const result = this.stepRampConstraint(this.rampState, dt)
-            
-            // Apply position and velocity to rigid body kinematically
-            player.vars.body.setTranslation(
-                { x: result.newPosition.x, y: result.newPosition.y, z: result.newPosition.z },
-                true
-            )
-            player.vars.body.setLinvel(
-                { x: result.newVelocity.x, y: result.newVelocity.y, z: result.newVelocity.z },
-                true
-            )
-            
-            // Check if exited ramp
-            if (result.exitedRamp) {
-                this.exitRampMode(result.newVelocity)
-            }
-            
-            return // Skip gate detection while in ramp mode
-        }
-        
-        // ==========================================
-        // GATE CROSSING DETECTION
-        // ==========================================
+    /**
+     * Ramp constraint, run once per fixed physics step
+     * Gate crossings come from the gate trigger (see createGateTrigger)
+     * @param {number} dt - Fixed timestep in seconds
+     */
+    fixedUpdate(dt) {
+        const player = this.player
+        if (!player || !player.vars.body || !this.playerRampMode) return
         
-        // Use computed gate for detection (blenderGateMesh is just visual reference)
-        if (!this.computedGateMesh) {
-            // Store previous pos for next frame even without computed gate
-            this.playerPreviousPos = new THREE.Vector3(playerPos.x, playerPos.y, playerPos.z)
-            return
-        }
+        // Step the ramp constraint physics
+        const result = this.stepRampConstraint(this.rampState, dt)
         
-        // Calculate signed distance from player to gate plane
-        // distance = dot(playerPos - gatePos, gateNormal)
-        const toPlayer = new THREE.Vector3(
-            playerPos.x - gatePos.x,
-            0,  // Ignore Y for plane distance
-            playerPos.z - gatePos.z
+        // Apply position and velocity to rigid body kinematically
+        player.vars.body.setTranslation(
+            { x: result.newPosition.x, y: result.newPosition.y, z: result.newPosition.z },
+            true
+        )
+        player.vars.body.setLinvel(
+            { x: result.newVelocity.x, y: result.newVelocity.y, z: result.newVelocity.z },
+            true
         )
-        const signedDistance = toPlayer.dot(this.gateNormal)
-        
-        // Calculate previous signed distance
-        let prevSignedDistance = null
-        if (this.playerPreviousPos) {
-            const toPrevPlayer = new THREE.Vector3(
-                this.playerPreviousPos.x - gatePos.x,
-                0,
-                this.playerPreviousPos.z - gatePos.z
-            )
-            prevSignedDistance = toPrevPlayer.dot(this.gateNormal)
-        }
-        
-        // Debug: log gate position and player position periodically
-        if (Math.random() < 0.01) {
-            const halfWidth = this.gateWidth / 2
-            const halfHeight = this.gateHeight / 2
-        }
-        
-        // Gate dimensions from the GLTF plane
-        const halfWidth = this.gateWidth / 2   // Horizontal extent along gate
-        const halfHeight = this.gateHeight / 2  // Y extent
-        
-        // Check if player is within gate bounds (Y height and lateral distance from gate center)
-        const withinY = playerPos.y >= gatePos.y - halfHeight && playerPos.y <= gatePos.y + halfHeight
-        
-        // Calculate lateral distance along the gate (perpendicular to normal)
-        const gateRight = new THREE.Vector3(-this.gateNormal.z, 0, this.gateNormal.x) // Perpendicular to normal
-        const lateralDistance = Math.abs(toPlayer.dot(gateRight))
-        const withinWidth = lateralDistance <= halfWidth
-        
-        // Log every frame when near the gate
-        if (Math.abs(signedDistance) < 30) {
-            
-            // Warn if we're crossing but failing bounds check
-            if (prevSignedDistance !== null) {
-                const crossing = (prevSignedDistance < 0 && signedDistance >= 0) || (prevSignedDistance > 0 && signedDistance <= 0)
-                if (crossing) {
-                    console.warn('>>> CROSSING DETECTED <<<', {
-                        withinY,
-                        withinWidth,
-                        willTrigger: withinY && withinWidth
-                    })
-                    if (!withinY) {
-                        console.warn('FAILED Y CHECK:', {
-                            playerY: playerPos.y.toFixed(2),
-                            gateY: gatePos.y.toFixed(2),
-                            yMin: (gatePos.y - halfHeight).toFixed(2),
-                            yMax: (gatePos.y + halfHeight).toFixed(2)
-                        })
-                    }
-                }
-            }
-        }
         
-        // Detect crossing the gate plane (signed distance changes sign)
-        if (prevSignedDistance !== null && withinY && withinWidth) {
-            const crossedForward = prevSignedDistance < 0 && signedDistance >= 0
-            const crossedBackward = prevSignedDistance > 0 && signedDistance <= 0
-            
-            if (crossedForward || crossedBackward) {
-                
-                // Enter ramp mode when crossing forward
-                if (crossedForward && !this.playerRampMode) {
-                    console.log('>>> ENTERING RAMP MODE <<<')
-                    this.enterRampMode(player)
-                } else if (crossedBackward) {
-                    console.log('>>> Crossed from back - not entering ramp mode <<<')
-                }
-            }
+        // Check if exited ramp
+        if (result.exitedRamp) {
+            this.exitRampMode(result.newVelocity)
         }
-        
-        this.playerPreviousPos = new THREE.Vector3(playerPos.x, playerPos.y, playerPos.z)
     }
 
     setDebug() {
@@ -648,11 +591,12 @@ export default class RampL {
             // Manual ramp mode trigger
             folder.add({ 
                 resetRampMode: () => {
+                    if (this.player) {
+                        this.player.stateMachine.set('air')
+                    }
                     this.playerRampMode = false
                     this.playerBallisticMode = false
-                    this.rampState.rampX = 0
-                    this.rampState.vS = 0
-                    this.rampState.vZ = 0
+                    this.resetRampState()
                     console.log('Ramp mode reset')
                 }
             }, 'resetRampMode').name('reset ramp mode')
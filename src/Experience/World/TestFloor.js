@@ -72,11 +72,12 @@ export default class TestFloor
                 const RAPIER = this.physics.RAPIER
                 const colliderDesc = RAPIER.ColliderDesc.trimesh(vertices, indices)
 
-                // Create collider (static, no rigid body needed)
-                const collider = this.physics.createCollider(colliderDesc)
-
                 // Create visual representation of the collider
                 const colliderMesh = this.createColliderVisualization(geometry, worldMatrix, name)
+
+                // Create collider (static, no rigid body needed)
+                const collider = this.physics.createCollider(colliderDesc, undefined, { type: 'testFloor', name, object: this, mesh: colliderMesh })
+
                 this.colliderMeshes.push(colliderMesh)
                 this.scene.add(colliderMesh)
 
@@ -104,6 +105,7 @@ export default class TestFloor
 
         const mesh = new THREE.Mesh(visualGeometry, material)
         mesh.name = `${name}_collider_visualization`
+        mesh.userData.helper = true
         
         return mesh
     }
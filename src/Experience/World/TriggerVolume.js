@@ -0,0 +1,231 @@
+import * as THREE from 'three'
+import Experience from '../Experience.js'
+import EventEmitter from '../Utils/EventEmitter.js'
+
+/**
+ * TriggerVolume - Rapier sensor collider that reports bodies entering and leaving
+ *
+ * Shapes:
+ * - box: halfExtents { x, y, z }
+ * - sphere: radius
+ * - plane: width x height in the local XY plane, normal along local +Z.
+ *   The sensor is a slab `thickness` thick; a body "enters" when its center
+ *   crosses to the normal side within the bounds, and "exits" when it crosses back
+ *
+ * Events:
+ * - 'enter' / 'exit' (event) - { volume, body, collider, owner, direction, velocity }
+ *   direction: +1 when moving along the normal (local +Z), -1 against it
+ */
+export default class TriggerVolume extends EventEmitter
+{
+    /**
+     * @param {Object} _options
+     * @param {string} _options.name - Reported as the collider owner name
+     * @param {string} [_options.shape] - 'box', 'sphere' or 'plane'
+     * @param {Object} [_options.position] - { x, y, z }
+     * @param {Object} [_options.rotation] - Quaternion { x, y, z, w }
+     * @param {Object} [_options.halfExtents] - Box half extents { x, y, z }
+     * @param {number} [_options.radius] - Sphere radius
+     * @param {number} [_options.width] - Plane width (local X)
+     * @param {number} [_options.height] - Plane height (local Y)
+     * @param {number} [_options.thickness] - Plane sensor slab thickness
+     */
+    constructor(_options = {})
+    {
+        super()
+
+        this.experience = new Experience()
+        this.physics = this.experience.physics
+
+        this.name = _options.name || 'trigger'
+        this.shape = _options.shape || 'box'
+        this.position = new THREE.Vector3().copy(_options.position || { x: 0, y: 0, z: 0 })
+        this.quaternion = new THREE.Quaternion().copy(_options.rotation || { x: 0, y: 0, z: 0, w: 1 })
+        this.halfExtents = new THREE.Vector3().copy(_options.halfExtents || { x: 1, y: 1, z: 1 })
+        this.radius = _options.radius || 1
+        this.width = _options.width || 1
+        this.height = _options.height || 1
+        this.thickness = _options.thickness || 4
+
+        this.normal = new THREE.Vector3()
+        this.inverseQuaternion = new THREE.Quaternion()
+        this.collider = null
+
+        // Colliders overlapping the sensor: handle -> { collider, side }
+        this.overlaps = new Map()
+
+        this.physics.on(`collisionStart.${this.name}`, (event) => this.onCollision(event, true))
+        this.physics.on(`collisionEnd.${this.name}`, (event) => this.onCollision(event, false))
+        this.physics.on(`step.${this.name}`, () => this.checkCrossings())
+
+        if(this.physics.isReady)
+        {
+            this.createCollider()
+        }
+        else
+        {
+            this.physics.on(`ready.${this.name}`, () => {
+                this.createCollider()
+            })
+        }
+    }
+
+    createCollider()
+    {
+        const RAPIER = this.physics.getRAPIDER()
+
+        this.normal.set(0, 0, 1).applyQuaternion(this.quaternion)
+        this.inverseQuaternion.copy(this.quaternion).invert()
+
+        let colliderDesc
+        if(this.shape === 'sphere')
+            colliderDesc = RAPIER.ColliderDesc.ball(this.radius)
+        else if(this.shape === 'plane')
+            colliderDesc = RAPIER.ColliderDesc.cuboid(this.width / 2, this.height / 2, this.thickness / 2)
+        else
+            colliderDesc = RAPIER.ColliderDesc.cuboid(this.halfExtents.x, this.halfExtents.y, this.halfExtents.z)
+
+        colliderDesc
+            .setSensor(true)
+            .setActiveEvents(RAPIER.ActiveEvents.COLLISION_EVENTS)
+            .setTranslation(this.position.x, this.position.y, this.position.z)
+            .setRotation(this.quaternion)
+
+        this.collider = this.physics.createCollider(colliderDesc, undefined, { type: 'trigger', name: this.name, object: this })
+    }
+
+    /**
+     * Move or resize the volume - the sensor collider is rebuilt
+     * @param {Object} _options - Any of the constructor's shape/transform options
+     */
+    set(_options = {})
+    {
+        if(_options.position) this.position.copy(_options.position)
+        if(_options.rotation) this.quaternion.copy(_options.rotation)
+        if(_options.halfExtents) this.halfExtents.copy(_options.halfExtents)
+        if(_options.radius !== undefined) this.radius = _options.radius
+        if(_options.width !== undefined) this.width = _options.width
+        if(_options.height !== undefined) this.height = _options.height
+        if(_options.thickness !== undefined) this.thickness = _options.thickness
+
+        if(!this.collider) return
+
+        this.removeCollider()
+        this.createCollider()
+    }
+
+    removeCollider()
+    {
+        this.physics.unregisterCollider(this.collider)
+        this.physics.world.removeCollider(this.collider, false)
+        this.collider = null
+        this.overlaps.clear()
+    }
+
+    destroy()
+    {
+        if(this.collider)
+            this.removeCollider()
+
+        this.physics.off(`collisionStart.${this.name}`)
+        this.physics.off(`collisionEnd.${this.name}`)
+        this.physics.off(`step.${this.name}`)
+        this.physics.off(`ready.${this.name}`)
+    }
+
+    onCollision(event, started)
+    {
+        if(!this.collider) return
+
+        const handle = this.collider.handle
+        let otherHandle = null
+        if(event.handle1 === handle) otherHandle = event.handle2
+        else if(event.handle2 === handle) otherHandle = event.handle1
+        if(otherHandle === null) return
+
+        const collider = this.physics.world.getCollider(otherHandle)
+        if(!collider || !collider.parent()) return
+
+        if(!started)
+        {
+            this.overlaps.delete(otherHandle)
+
+            if(this.shape !== 'plane')
+                this.emit('exit', collider, otherHandle)
+            return
+        }
+
+        if(this.shape === 'plane')
+        {
+            // Remember the side it came from - crossings are checked every step
+            this.overlaps.set(otherHandle, { collider, side: this.getSide(collider.parent()) })
+        }
+        else
+        {
+            this.overlaps.set(otherHandle, { collider, side: 0 })
+            this.emit('enter', collider, otherHandle)
+        }
+    }
+
+    /**
+     * @returns {number} - +1 on the normal side of the plane, -1 behind it
+     */
+    getSide(body)
+    {
+        const local = this.toLocal(body.translation())
+        return local.z >= 0 ? 1 : -1
+    }
+
+    toLocal(position)
+    {
+        return new THREE.Vector3(position.x, position.y, position.z)
+            .sub(this.position)
+            .applyQuaternion(this.inverseQuaternion)
+    }
+
+    /**
+     * Plane crossings of bodies inside the sensor slab, after each physics step
+     */
+    checkCrossings()
+    {
+        if(this.shape !== 'plane') return
+
+        for(const [handle, overlap] of this.overlaps)
+        {
+            const local = this.toLocal(overlap.collider.parent().translation())
+            const side = local.z >= 0 ? 1 : -1
+            if(side === overlap.side) continue
+
+            overlap.side = side
+
+            const withinBounds = Math.abs(local.x) <= this.width / 2 && Math.abs(local.y) <= this.height / 2
+            if(withinBounds)
+                this.emit(side > 0 ? 'enter' : 'exit', overlap.collider, handle, side)
+        }
+    }
+
+    /**
+     * @param {number} [direction] - Crossing direction, from the velocity if omitted
+     */
+    emit(name, collider, handle, direction)
+    {
+        const body = collider.parent()
+        const linvel = body.linvel()
+        const velocity = new THREE.Vector3(linvel.x, linvel.y, linvel.z)
+
+        if(direction === undefined)
+        {
+            const along = velocity.dot(this.normal)
+            direction = along > 0 ? 1 : (along < 0 ? -1 : 0)
+        }
+
+        this.trigger(name, [{
+            volume: this,
+            body,
+            collider,
+            owner: this.physics.getColliderOwner(handle),
+            direction,
+            velocity
+        }])
+    }
+}
@@ -0,0 +1,413 @@
+import * as THREE from 'three'
+import Experience from '../Experience.js'
+import gerstnerShader from '../../shaders/water/gerstner.glsl'
+import splashVertexShader from '../../shaders/splash/vertex.glsl'
+import splashFragmentShader from '../../shaders/splash/fragment.glsl'
+import dropletsVertexShader from '../../shaders/droplets/vertex.glsl'
+import dropletsFragmentShader from '../../shaders/droplets/fragment.glsl'
+
+/**
+ * WaterEffects - Splash, spray, wake foam and lens droplets
+ * Driven by events:
+ * - OceanMode 'waterEntry': splash and foam ring, scaled by the impact speed
+ * - PlayerStateMachine 'change': wake trail while the ball moves in the ocean state
+ * - Renderer 'underwater': droplets on the lens when the camera comes out of the water
+ *
+ * Particles are GPU points in a ring buffer: the CPU writes the spawn state once and the
+ * vertex shader moves them (ballistic spray, foam riding the Gerstner waves)
+ */
+export default class WaterEffects
+{
+    constructor()
+    {
+        this.experience = new Experience()
+        this.scene = this.experience.scene
+        this.debug = this.experience.debug
+        this.time = this.experience.time
+        this.sizes = this.experience.sizes
+        this.camera = this.experience.camera
+        this.renderer = this.experience.renderer
+        this.world = this.experience.world
+
+        this.enabled = true
+        this.splashScale = 1 // Multiplier on the splash particle count and speeds
+        this.wakeDensity = 2 // Foam particles per meter travelled
+        this.wakeMinSpeed = 1 // m/s before the ball leaves a wake
+        this.sprayMinSpeed = 6 // m/s before the bow throws spray
+        this.dropletsEnabled = true
+
+        this.maxParticles = 4000
+        this.nextParticle = 0
+        this.particlesChanged = false
+        this.maxDroplets = 40
+
+        this.inWater = false
+        this.wakeAccumulator = 0
+
+        this.setParticles()
+        this.setDroplets()
+        this.setEvents()
+        this.setDebug()
+    }
+
+    setParticles()
+    {
+        const count = this.maxParticles
+        this.particleAttributes = {
+            position: new THREE.BufferAttribute(new Float32Array(count * 3), 3),
+            aVelocity: new THREE.BufferAttribute(new Float32Array(count * 3), 3),
+            aLife: new THREE.BufferAttribute(new Float32Array(count * 2), 2),
+            aSize: new THREE.BufferAttribute(new Float32Array(count), 1),
+            aFoam: new THREE.BufferAttribute(new Float32Array(count), 1)
+        }
+
+        // Everything starts expired
+        for(let i = 0; i < count; i++)
+            this.particleAttributes.aLife.setXY(i, -1000, 1)
+
+        const geometry = new THREE.BufferGeometry()
+        for(const name in this.particleAttributes)
+        {
+            this.particleAttributes[name].setUsage(THREE.DynamicDrawUsage)
+            geometry.setAttribute(name, this.particleAttributes[name])
+        }
+
+        // Foam follows the same waves as the ocean (shared uniforms)
+        const ocean = this.world.ocean
+        this.particleMaterial = new THREE.ShaderMaterial({
+            vertexShader: `#define WAVE_COUNT ${ocean.waves.length}\n${gerstnerShader}\n${splashVertexShader}`,
+            fragmentShader: splashFragmentShader,
+            transparent: true,
+            depthWrite: false,
+            uniforms:
+            {
+                ...ocean.waveUniforms,
+                uTime: { value: 0 },
+                uGravity: { value: 9.81 },
+                uSeaLevel: { value: ocean.seaLevel },
+                uPixelsPerMeter: { value: 1 },
+                uSprayColor: { value: new THREE.Color('#e8f4ff') },
+                uFoamColor: { value: new THREE.Color('#ffffff') }
+            }
+        })
+
+        this.particles = new THREE.Points(geometry, this.particleMaterial)
+        this.particles.frustumCulled = false
+        this.scene.add(this.particles)
+    }
+
+    setDroplets()
+    {
+        const count = this.maxDroplets
+        this.droplets = []
+        for(let i = 0; i < count; i++)
+            this.droplets.push({ x: 0, y: 0, size: 0, life: 0, duration: 1, speed: 0 })
+
+        this.dropletAttributes = {
+            position: new THREE.BufferAttribute(new Float32Array(count * 3), 3).setUsage(THREE.DynamicDrawUsage),
+            aSize: new THREE.BufferAttribute(new Float32Array(count), 1).setUsage(THREE.DynamicDrawUsage),
+            aAlpha: new THREE.BufferAttribute(new Float32Array(count), 1).setUsage(THREE.DynamicDrawUsage)
+        }
+
+        const geometry = new THREE.BufferGeometry()
+        for(const name in this.dropletAttributes)
+            geometry.setAttribute(name, this.dropletAttributes[name])
+
+        this.dropletMaterial = new THREE.ShaderMaterial({
+            vertexShader: dropletsVertexShader,
+            fragmentShader: dropletsFragmentShader,
+            transparent: true,
+            depthTest: false,
+            depthWrite: false,
+            uniforms:
+            {
+                uPixelRatio: { value: this.sizes.pixelRatio }
+            }
+        })
+
+        // Drawn over everything, after the underwater overlay
+        this.dropletPoints = new THREE.Points(geometry, this.dropletMaterial)
+        this.dropletPoints.frustumCulled = false
+        this.dropletPoints.renderOrder = 1000
+        this.scene.add(this.dropletPoints)
+    }
+
+    setEvents()
+    {
+        const player = this.world.player
+
+        player.oceanMode.on('waterEntry.waterEffects', (entry) => this.splash(entry))
+
+        player.stateMachine.on('change.waterEffects', (to) => {
+            this.inWater = to === 'ocean'
+            this.wakeAccumulator = 0
+        })
+        this.inWater = player.stateMachine.is('ocean')
+
+        // Coming out of the water leaves drops on the lens, going under washes them off
+        this.renderer.on('underwater.waterEffects', (isUnderwater) => {
+            if(isUnderwater)
+                this.clearDroplets()
+            else
+                this.addDroplets(this.maxDroplets * 0.6)
+        })
+    }
+
+    /**
+     * Write one particle into the ring buffer
+     * @param {Object} position - Spawn position (foam: rest point on the sea, see restPoint)
+     * @param {Object} velocity - m/s
+     * @param {number} lifetime - Seconds
+     * @param {number} size - Meters
+     * @param {boolean} foam - Floats on the waves instead of flying
+     */
+    spawn(position, velocity, lifetime, size, foam)
+    {
+        const index = this.nextParticle
+        this.nextParticle = (this.nextParticle + 1) % this.maxParticles
+
+        const attributes = this.particleAttributes
+        attributes.position.setXYZ(index, position.x, position.y, position.z)
+        attributes.aVelocity.setXYZ(index, velocity.x, velocity.y, velocity.z)
+        attributes.aLife.setXY(index, this.time.elapsed * 0.001, lifetime)
+        attributes.aSize.setX(index, size)
+        attributes.aFoam.setX(index, foam ? 1 : 0)
+        this.particlesChanged = true
+    }
+
+    /**
+     * Rest point on the sea whose displaced position lies under (x, z) - foam is moved by the waves in the shader
+     * @returns {Object} - { x, y, z }
+     */
+    restPoint(x, z)
+    {
+        const ocean = this.world.ocean
+        if(!ocean.waveParams.enabled) return { x, y: ocean.seaLevel, z }
+
+        const offset = ocean.findWaveOffset(x, z, ocean.getRenderTime())
+        return { x: x - offset.x, y: ocean.seaLevel, z: z - offset.z }
+    }
+
+    /**
+     * Splash on water entry - spray thrown up and out, and a foam ring spreading on the surface
+     * @param {Object} entry - OceanMode 'waterEntry' event: { position, velocity, speed, surface }
+     */
+    splash(entry)
+    {
+        if(!this.enabled) return
+
+        const strength = THREE.MathUtils.clamp(entry.speed / 20, 0.1, 2) * this.splashScale
+        const { position, velocity } = entry
+        const origin = { x: position.x, y: entry.surface, z: position.z }
+
+        const sprayCount = Math.round(150 * strength)
+        for(let i = 0; i < sprayCount; i++)
+        {
+            const angle = Math.random() * Math.PI * 2
+            const radial = (0.5 + Math.random() * 3) * strength
+            this.spawn(
+                origin,
+                {
+                    x: Math.cos(angle) * radial + velocity.x * 0.15,
+                    y: (3 + Math.random() * 7) * Math.sqrt(strength),
+                    z: Math.sin(angle) * radial + velocity.z * 0.15
+                },
+                1 + Math.random(),
+                0.15 + Math.random() * 0.35,
+                false
+            )
+        }
+
+        const foamCount = Math.round(40 * strength)
+        const rest = this.restPoint(origin.x, origin.z)
+        for(let i = 0; i < foamCount; i++)
+        {
+            const angle = Math.random() * Math.PI * 2
+            const radial = (1 + Math.random() * 1.5) * strength
+            this.spawn(rest, { x: Math.cos(angle) * radial, y: 0, z: Math.sin(angle) * radial }, 3 + Math.random() * 2, 0.6 + Math.random() * 0.6, true)
+        }
+
+        // A close splash also hits the lens
+        const cameraPosition = this.camera.instance.position
+        const distance = Math.hypot(cameraPosition.x - origin.x, cameraPosition.y - origin.y, cameraPosition.z - origin.z)
+        if(distance < 8 * strength && !this.renderer.isUnderwater)
+            this.addDroplets(Math.round(this.maxDroplets * 0.5 * Math.min(strength, 1)))
+    }
+
+    /**
+     * Foam trail behind the ball and bow spray at speed
+     * @param {number} delta - Seconds since the last frame
+     */
+    updateWake(delta)
+    {
+        const player = this.world.player
+        if(!this.inWater || !player.vars.body) return
+
+        const velocity = player.vars.body.linvel()
+        const speed = Math.hypot(velocity.x, velocity.z)
+        if(speed < this.wakeMinSpeed) return
+
+        const position = player.group.position
+        const radius = player.vars.radius
+        const directionX = velocity.x / speed
+        const directionZ = velocity.z / speed
+
+        this.wakeAccumulator += speed * delta * this.wakeDensity
+        while(this.wakeAccumulator >= 1)
+        {
+            this.wakeAccumulator -= 1
+
+            // Pushed out to either side, which opens the trail into a V
+            const side = Math.random() < 0.5 ? -1 : 1
+            const lateral = (0.5 + Math.random()) * side
+            const rest = this.restPoint(
+                position.x - directionX * radius * 0.8 - directionZ * side * radius * 0.5,
+                position.z - directionZ * radius * 0.8 + directionX * side * radius * 0.5
+            )
+            this.spawn(
+                rest,
+                { x: -directionZ * lateral + directionX * speed * 0.1, y: 0, z: directionX * lateral + directionZ * speed * 0.1 },
+                2.5 + Math.random() * 1.5,
+                0.5 + Math.random() * 0.4,
+                true
+            )
+
+            if(speed > this.sprayMinSpeed && Math.random() < 0.5)
+            {
+                // From the waterline - the ball floats partly under the surface
+                const bowX = position.x + directionX * radius
+                const bowZ = position.z + directionZ * radius
+                const ocean = this.world.ocean
+                const bowY = Math.max(position.y, ocean.getHeightAt(bowX, bowZ, ocean.getRenderTime()))
+                this.spawn(
+                    { x: bowX, y: bowY, z: bowZ },
+                    { x: velocity.x * 0.5 - directionZ * lateral * 2, y: 1 + Math.random() * 2, z: velocity.z * 0.5 + directionX * lateral * 2 },
+                    0.6 + Math.random() * 0.4,
+                    0.1 + Math.random() * 0.15,
+                    false
+                )
+            }
+        }
+    }
+
+    /**
+     * @param {number} count - Droplets to add (free slots only)
+     */
+    addDroplets(count)
+    {
+        if(!this.enabled || !this.dropletsEnabled) return
+
+        let added = 0
+        for(const droplet of this.droplets)
+        {
+            if(added >= count) break
+            if(droplet.life > 0) continue
+
+            droplet.x = Math.random() * 2 - 1
+            droplet.y = Math.random() * 2 - 1
+            droplet.size = 8 + Math.random() * 20
+            droplet.duration = 1.5 + Math.random() * 2
+            droplet.life = droplet.duration
+
+            // Some stick, the others run down the lens (clip space units per second)
+            droplet.speed = Math.random() < 0.5 ? 0.02 : 0.1 + Math.random() * 0.3
+            added++
+        }
+    }
+
+    clearDroplets()
+    {
+        for(const droplet of this.droplets)
+            droplet.life = 0
+    }
+
+    /**
+     * @param {number} delta - Seconds since the last frame
+     */
+    updateDroplets(delta)
+    {
+        const attributes = this.dropletAttributes
+
+        this.droplets.forEach((droplet, index) => {
+            if(droplet.life > 0)
+            {
+                droplet.life -= delta
+                droplet.y -= droplet.speed * delta
+            }
+
+            // Fade over the last half second
+            const alpha = droplet.life > 0 ? Math.min(droplet.life / 0.5, 1) : 0
+            attributes.position.setXYZ(index, droplet.x, droplet.y, 0)
+            attributes.aSize.setX(index, droplet.size)
+            attributes.aAlpha.setX(index, alpha)
+        })
+
+        attributes.position.needsUpdate = true
+        attributes.aSize.needsUpdate = true
+        attributes.aAlpha.needsUpdate = true
+    }
+
+    update()
+    {
+        const delta = this.time.delta * 0.001
+
+        this.particles.visible = this.enabled
+        this.dropletPoints.visible = this.enabled && this.dropletsEnabled
+        if(!this.enabled) return
+
+        this.updateWake(delta)
+        this.updateDroplets(delta)
+
+        if(this.particlesChanged)
+        {
+            for(const name in this.particleAttributes)
+                this.particleAttributes[name].needsUpdate = true
+            this.particlesChanged = false
+        }
+
+        // Point size in pixels for a 1 m particle 1 m away
+        const fov = THREE.MathUtils.degToRad(this.camera.instance.fov)
+        const uniforms = this.particleMaterial.uniforms
+        uniforms.uTime.value = this.time.elapsed * 0.001
+        uniforms.uSeaLevel.value = this.world.ocean.seaLevel
+        uniforms.uPixelsPerMeter.value = this.sizes.height * this.sizes.pixelRatio / (2 * Math.tan(fov / 2))
+        this.dropletMaterial.uniforms.uPixelRatio.value = this.sizes.pixelRatio
+    }
+
+    setDebug()
+    {
+        if(!this.debug.active) return
+
+        const folder = this.debug.ui.addFolder('water effects')
+        folder.close()
+
+        folder.add(this, 'enabled')
+        folder.add(this, 'splashScale').min(0).max(3).step(0.1).name('splash scale')
+        folder.add(this, 'wakeDensity').min(0).max(10).step(0.5).name('wake (particles / m)')
+        folder.add(this, 'wakeMinSpeed').min(0).max(10).step(0.5).name('wake min speed (m/s)')
+        folder.add(this, 'sprayMinSpeed').min(0).max(30).step(0.5).name('spray min speed (m/s)')
+        folder.add(this, 'dropletsEnabled').name('lens droplets')
+
+        // Splash where the ball is, as if it dropped in at 15 m/s
+        folder.add({
+            splash: () => {
+                const position = this.world.player.group.position
+                this.splash({
+                    position: { x: position.x, y: position.y, z: position.z },
+                    velocity: { x: 0, y: -15, z: 0 },
+                    speed: 15,
+                    surface: this.world.ocean.getHeightAt(position.x, position.z)
+                })
+            }
+        }, 'splash').name('💦 Test Splash')
+        folder.add({ droplets: () => this.addDroplets(this.maxDroplets) }, 'droplets').name('💧 Test Droplets')
+
+        this.debug.addCopyButton(folder, 'waterEffects', () => ({
+            splashScale: this.splashScale,
+            wakeDensity: this.wakeDensity,
+            wakeMinSpeed: this.wakeMinSpeed,
+            sprayMinSpeed: this.sprayMinSpeed,
+            dropletsEnabled: this.dropletsEnabled
+        }))
+    }
+}
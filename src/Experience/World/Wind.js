@@ -0,0 +1,389 @@
+import * as THREE from 'three'
+import Experience from '../Experience.js'
+
+/**
+ * Wind - Air movement for glider flight
+ * Local wind = global wind + noise gusts + thermal columns + ridge lift
+ * Gust strength and rate are the player's turbulenceAmplitude / turbulenceFrequency (PlayerVariables)
+ * Advanced once per physics step, so it is deterministic for replays
+ *
+ * Thermal: { position: { x, z }, radius, strength (m/s up at the core), top (height where it fades out) }
+ * Ridge: { position: { x, y, z } (box center), size: { x, y, z }, normal: { x, z } (the face direction), efficiency }
+ * - Wind blowing into the face is deflected upward: efficiency × wind speed into the face
+ */
+
+// Integer hash noise - identical results on every platform
+const hash = (index, seed) => {
+    let h = Math.imul(index, 374761393) + Math.imul(seed, 668265263)
+    h = Math.imul(h ^ (h >>> 13), 1274126177)
+    h ^= h >>> 16
+    return (h >>> 0) / 4294967295
+}
+
+// Smooth value noise in [-1, 1]
+const noise = (t, seed) => {
+    const index = Math.floor(t)
+    const f = t - index
+    const smooth = f * f * (3 - 2 * f)
+    const a = hash(index, seed)
+    const b = hash(index + 1, seed)
+    return (a + (b - a) * smooth) * 2 - 1
+}
+
+export default class Wind
+{
+    constructor()
+    {
+        this.experience = new Experience()
+        this.scene = this.experience.scene
+        this.debug = this.experience.debug
+
+        // Global wind - direction is where it blows towards, degrees from +X towards +Z
+        this.enabled = true
+        this.speed = 3
+        this.direction = 180
+
+        // Gusts (noise) - no gusts until the player is set
+        this.player = null
+        this.verticalGustRatio = 0.3
+
+        // Seconds of simulated time
+        this.time = 0
+
+        this.thermals = [
+            { position: { x: 420, z: 0 }, radius: 40, strength: 6, top: 150 },
+            { position: { x: 650, z: 120 }, radius: 60, strength: 4, top: 250 }
+        ]
+
+        // In front of the 45° slope, which faces +X
+        this.ridges = [
+            { position: { x: 130, y: -60, z: 0 }, size: { x: 260, y: 160, z: 80 }, normal: { x: 1, z: 0 }, efficiency: 0.8 }
+        ]
+
+        this.global = new THREE.Vector3()
+        this.gust = new THREE.Vector3()
+        this.updateGlobal()
+
+        this.helpers = null
+        this.showHelpers = false
+        this.setDebug()
+    }
+
+    /**
+     * Gusts follow the player's turbulence settings
+     * @param {Player} player
+     */
+    setPlayer(player)
+    {
+        this.player = player
+        this.fixedUpdate(0)
+    }
+
+    updateGlobal()
+    {
+        const angle = THREE.MathUtils.degToRad(this.direction)
+        const speed = this.enabled ? this.speed : 0
+        this.global.set(Math.cos(angle) * speed, 0, Math.sin(angle) * speed)
+    }
+
+    /**
+     * @param {number} dt - Fixed timestep in seconds
+     */
+    fixedUpdate(dt)
+    {
+        this.time += dt
+
+        // Gusts are the same everywhere - thermals and ridges add the spatial variation
+        const vars = this.player ? this.player.vars : null
+        const t = vars ? this.time * vars.turbulenceFrequency : 0
+        const amplitude = this.enabled && vars ? vars.turbulenceAmplitude : 0
+        this.gust.set(
+            noise(t, 1) * 0.7 + noise(t * 2.3, 2) * 0.3,
+            (noise(t, 3) * 0.7 + noise(t * 2.3, 4) * 0.3) * this.verticalGustRatio,
+            noise(t, 5) * 0.7 + noise(t * 2.3, 6) * 0.3
+        ).multiplyScalar(amplitude)
+    }
+
+    /**
+     * Global wind and gusts, without local lift (ocean, far field)
+     * @param {THREE.Vector3} [target]
+     * @returns {THREE.Vector3}
+     */
+    getAmbient(target = new THREE.Vector3())
+    {
+        return target.copy(this.global).add(this.gust)
+    }
+
+    /**
+     * Wind velocity at a point
+     * @param {Object} position - { x, y, z }
+     * @param {THREE.Vector3} [target]
+     * @returns {THREE.Vector3} - m/s
+     */
+    getWindAt(position, target = new THREE.Vector3())
+    {
+        this.getAmbient(target)
+        if(!this.enabled) return target
+
+        target.y += this.getThermalLift(position) + this.getRidgeLift(position)
+
+        return target
+    }
+
+    getThermalLift(position)
+    {
+        let lift = 0
+
+        for(const thermal of this.thermals)
+        {
+            const dx = position.x - thermal.position.x
+            const dz = position.z - thermal.position.z
+            const distanceSq = dx * dx + dz * dz
+            const radiusSq = thermal.radius * thermal.radius
+            if(distanceSq > radiusSq * 9) continue
+
+            // Gaussian core, fading out over the last 50 m below the top
+            const core = Math.exp(-distanceSq / radiusSq)
+            const fade = THREE.MathUtils.clamp((thermal.top - position.y) / 50, 0, 1)
+            lift += thermal.strength * core * fade
+        }
+
+        return lift
+    }
+
+    getRidgeLift(position)
+    {
+        let lift = 0
+
+        for(const ridge of this.ridges)
+        {
+            if(Math.abs(position.x - ridge.position.x) > ridge.size.x / 2) continue
+            if(Math.abs(position.y - ridge.position.y) > ridge.size.y / 2) continue
+            if(Math.abs(position.z - ridge.position.z) > ridge.size.z / 2) continue
+
+            // Only wind blowing into the face rises over it - gusts included, as the player feels them
+            const ambientX = this.global.x + this.gust.x
+            const ambientZ = this.global.z + this.gust.z
+            const intoFace = -(ambientX * ridge.normal.x + ambientZ * ridge.normal.z)
+            lift += Math.max(0, intoFace) * ridge.efficiency
+        }
+
+        return lift
+    }
+
+    /**
+     * @param {Object} thermal - { position: { x, z }, radius, strength, top }
+     */
+    addThermal(thermal)
+    {
+        this.thermals.push(thermal)
+        this.refreshZoneHelpers()
+    }
+
+    /**
+     * @param {Object} ridge - { position, size, normal, efficiency }
+     */
+    addRidge(ridge)
+    {
+        this.ridges.push(ridge)
+        this.refreshZoneHelpers()
+    }
+
+    /**
+     * Gust time and the settings the wind is computed from - a replay needs the same wind to reproduce
+     */
+    getSnapshot()
+    {
+        const vars = this.player ? this.player.vars : null
+
+        return {
+            time: this.time,
+            enabled: this.enabled,
+            speed: this.speed,
+            direction: this.direction,
+            verticalGustRatio: this.verticalGustRatio,
+            turbulenceAmplitude: vars ? vars.turbulenceAmplitude : null,
+            turbulenceFrequency: vars ? vars.turbulenceFrequency : null
+        }
+    }
+
+    /**
+     * Restore a state captured with getSnapshot
+     * Snapshots from before the settings were saved only hold the time
+     * @param {Object} snapshot
+     */
+    applySnapshot(snapshot)
+    {
+        this.time = snapshot.time
+
+        if(snapshot.speed !== undefined)
+        {
+            this.enabled = snapshot.enabled
+            this.speed = snapshot.speed
+            this.direction = snapshot.direction
+            this.verticalGustRatio = snapshot.verticalGustRatio
+            this.updateGlobal()
+        }
+
+        if(this.player && typeof snapshot.turbulenceAmplitude === 'number')
+        {
+            this.player.vars.turbulenceAmplitude = snapshot.turbulenceAmplitude
+            this.player.vars.turbulenceFrequency = snapshot.turbulenceFrequency
+        }
+
+        this.fixedUpdate(0)
+    }
+
+    // ==========================================
+    // DEBUG
+    // ==========================================
+
+    /**
+     * Arrows around the player, thermal columns and ridge boxes
+     */
+    setHelpers()
+    {
+        this.helpers = new THREE.Group()
+        this.helpers.userData.helper = true
+        this.scene.add(this.helpers)
+
+        // Grid of arrows following the player
+        this.arrows = []
+        for(let i = -2; i <= 2; i++)
+        {
+            for(let j = -2; j <= 2; j++)
+            {
+                const arrow = new THREE.ArrowHelper(new THREE.Vector3(1, 0, 0), new THREE.Vector3(), 1, 0x66ccff, 1.5, 0.8)
+                arrow.userData.offset = new THREE.Vector3(i * 15, 0, j * 15)
+                this.arrows.push(arrow)
+                this.helpers.add(arrow)
+            }
+        }
+
+        this.thermalMaterial = new THREE.MeshBasicMaterial({ color: 0xff8844, transparent: true, opacity: 0.12, depthWrite: false, side: THREE.DoubleSide })
+        this.zoneHelpers = new THREE.Group()
+        this.helpers.add(this.zoneHelpers)
+        this.refreshZoneHelpers()
+    }
+
+    /**
+     * Rebuild the thermal columns and ridge boxes after zones change
+     */
+    refreshZoneHelpers()
+    {
+        if(!this.zoneHelpers) return
+
+        for(const child of [...this.zoneHelpers.children])
+        {
+            child.geometry.dispose()
+            this.zoneHelpers.remove(child)
+        }
+
+        // Columns reach down to the sea
+        const seaLevel = this.experience.world.ocean ? this.experience.world.ocean.seaLevel : -230
+        for(const thermal of this.thermals)
+        {
+            const height = thermal.top - seaLevel
+            const column = new THREE.Mesh(new THREE.CylinderGeometry(thermal.radius, thermal.radius, height, 24, 1, true), this.thermalMaterial)
+            column.position.set(thermal.position.x, thermal.top - height / 2, thermal.position.z)
+            this.zoneHelpers.add(column)
+        }
+
+        for(const ridge of this.ridges)
+        {
+            const box = new THREE.Box3Helper(
+                new THREE.Box3().setFromCenterAndSize(
+                    new THREE.Vector3(ridge.position.x, ridge.position.y, ridge.position.z),
+                    new THREE.Vector3(ridge.size.x, ridge.size.y, ridge.size.z)
+                ),
+                0x88ff88
+            )
+            this.zoneHelpers.add(box)
+        }
+    }
+
+    /**
+     * Render update - moves the arrows around the player
+     */
+    update()
+    {
+        if(!this.helpers) return
+
+        this.helpers.visible = this.showHelpers
+        if(!this.showHelpers) return
+
+        const player = this.experience.world.player
+        if(!player || !player.vars.body) return
+
+        const center = player.vars.body.translation()
+        const position = new THREE.Vector3()
+        const wind = new THREE.Vector3()
+
+        for(const arrow of this.arrows)
+        {
+            position.set(center.x, center.y, center.z).add(arrow.userData.offset)
+            this.getWindAt(position, wind)
+
+            const speed = wind.length()
+            arrow.position.copy(position)
+            arrow.visible = speed > 0.01
+            if(arrow.visible)
+            {
+                arrow.setDirection(wind.divideScalar(speed))
+                arrow.setLength(Math.max(speed * 1.5, 2), 1.5, 0.8)
+            }
+        }
+    }
+
+    setDebug()
+    {
+        if(!this.debug.active) return
+
+        this.setHelpers()
+
+        const folder = this.debug.ui.addFolder('wind')
+        folder.close()
+
+        // Listening - replays restore the wind they were recorded with
+        folder.add(this, 'enabled').listen().onChange(() => this.updateGlobal())
+        folder.add(this, 'speed').min(0).max(30).step(0.5).name('speed (m/s)').listen().onChange(() => this.updateGlobal())
+        folder.add(this, 'direction').min(0).max(360).step(1).name('blows towards (°)').listen().onChange(() => this.updateGlobal())
+        folder.add(this, 'verticalGustRatio').min(0).max(1).step(0.05).name('vertical gusts').listen()
+        folder.add(this, 'showHelpers').name('show wind')
+
+        const thermalsFolder = folder.addFolder('thermals')
+        thermalsFolder.close()
+        const addThermalControls = (thermal, index) => {
+            thermalsFolder.add(thermal, 'strength').min(0).max(20).step(0.5).name(`#${index} strength (m/s)`)
+            thermalsFolder.add(thermal, 'radius').min(5).max(200).step(1).name(`#${index} radius`).onChange(() => this.refreshZoneHelpers())
+        }
+        this.thermals.forEach(addThermalControls)
+
+        // Drop a new thermal under the player
+        thermalsFolder.add({
+            add: () => {
+                const player = this.experience.world.player
+                if(!player || !player.vars.body) return
+
+                const position = player.vars.body.translation()
+                const thermal = { position: { x: position.x, z: position.z }, radius: 40, strength: 5, top: position.y + 150 }
+                this.addThermal(thermal)
+                addThermalControls(thermal, this.thermals.length - 1)
+            }
+        }, 'add').name('➕ Add Thermal Here')
+
+        const ridgesFolder = folder.addFolder('ridges')
+        ridgesFolder.close()
+        this.ridges.forEach((ridge, index) => {
+            ridgesFolder.add(ridge, 'efficiency').min(0).max(2).step(0.05).name(`#${index} efficiency`)
+        })
+
+        this.debug.addCopyButton(folder, 'wind', () => ({
+            speed: this.speed,
+            direction: this.direction,
+            verticalGustRatio: this.verticalGustRatio,
+            thermals: this.thermals,
+            ridges: this.ridges
+        }))
+    }
+}
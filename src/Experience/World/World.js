@@ -5,6 +5,10 @@ import TestFloor from './TestFloor.js'
 import Player from './Player/Player.js'
 import Ramp from './Ramp.js'
 import RampL from './RampL.js'
+import Ghost from './Ghost.js'
+import Checkpoints from './Checkpoints.js'
+import Wind from './Wind.js'
+import WaterEffects from './WaterEffects.js'
 
 export default class World
 {
@@ -22,22 +26,61 @@ export default class World
         {
             // Setup
             // this.testFloor = new TestFloor()
+            this.wind = new Wind()
             this.ramp = new Ramp()
             this.rampL = new RampL()
             this.player = new Player()
-            this.environment = new Environment()
+            this.rampL.setPlayer(this.player)
+            this.wind.setPlayer(this.player)
+            this.checkpoints = new Checkpoints()
+            
+            if(!this.experience.headless)
+            {
+                this.environment = new Environment()
+                this.ghost = new Ghost()
+                this.waterEffects = new WaterEffects()
+            }
         })
     }
 
+    /**
+     * Simulation update - runs once per fixed physics step
+     * @param {number} dt - Fixed timestep in seconds
+     */
+    fixedUpdate(dt)
+    {
+        if(this.wind)
+            this.wind.fixedUpdate(dt)
+        
+        if(this.ocean)
+            this.ocean.fixedUpdate(dt)
+        
+        if(this.player)
+            this.player.fixedUpdate(dt)
+        
+        if(this.rampL)
+            this.rampL.fixedUpdate(dt)
+        
+        // Snapshot after all constraints so rendering interpolates final states
+        if(this.player)
+            this.player.recordState()
+    }
+
     update()
     {
         if(this.player)
             this.player.update()
+
+        if(this.ghost)
+            this.ghost.update()
+        
+        if(this.wind)
+            this.wind.update()
         
         if(this.ocean)
             this.ocean.update()
         
-        if(this.rampL)
-            this.rampL.update()
+        if(this.waterEffects)
+            this.waterEffects.update()
     }
 }
\ No newline at end of file
@@ -0,0 +1,17 @@
+varying float vAlpha;
+
+void main()
+{
+    vec2 uv = gl_PointCoord - 0.5;
+    float distanceToCenter = length(uv);
+    if(distanceToCenter > 0.5)
+        discard;
+
+    // Bright rim and a highlight at the top left, like light bent through a drop
+    float rim = smoothstep(0.3, 0.5, distanceToCenter);
+    float highlight = 1.0 - smoothstep(0.0, 0.12, length(uv - vec2(-0.15, -0.15)));
+
+    vec3 color = mix(vec3(0.75, 0.85, 0.9), vec3(1.0), highlight);
+    gl_FragColor = vec4(color, (0.15 + rim * 0.35 + highlight * 0.6) * vAlpha);
+    #include <colorspace_fragment>
+}
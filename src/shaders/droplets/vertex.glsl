@@ -0,0 +1,15 @@
+// Water droplets on the lens - positions are already in clip space (WaterEffects.js)
+uniform float uPixelRatio;
+
+attribute float aSize; // CSS pixels
+attribute float aAlpha;
+
+varying float vAlpha;
+
+void main()
+{
+    gl_Position = vec4(position.xy, 0.0, 1.0);
+    gl_PointSize = aSize * uPixelRatio;
+
+    vAlpha = aAlpha;
+}
@@ -0,0 +1,34 @@
+// Photo mode color filter and vignette - the image is still linear, tone mapping comes after (PhotoMode.js)
+uniform sampler2D tDiffuse;
+uniform int uFilter; // 0 none, 1 black and white, 2 sepia, 3 warm, 4 cool, 5 vintage
+uniform float uIntensity;
+uniform float uVignette;
+
+varying vec2 vUv;
+
+void main()
+{
+    vec4 texel = texture2D(tDiffuse, vUv);
+    vec3 color = texel.rgb;
+    float luminance = dot(color, vec3(0.2126, 0.7152, 0.0722));
+
+    vec3 filtered = color;
+    if(uFilter == 1)
+        filtered = vec3(luminance);
+    else if(uFilter == 2)
+        filtered = luminance * vec3(1.2, 1.0, 0.75);
+    else if(uFilter == 3)
+        filtered = color * vec3(1.1, 1.0, 0.85);
+    else if(uFilter == 4)
+        filtered = color * vec3(0.85, 1.0, 1.15);
+    else if(uFilter == 5)
+        filtered = mix(vec3(luminance), color, 0.6) * vec3(1.08, 1.0, 0.85) * 0.9 + 0.03; // Faded and warm
+
+    color = mix(color, filtered, uIntensity);
+
+    // Darker towards the corners
+    float distanceToCenter = length(vUv - 0.5) * 2.0;
+    color *= 1.0 - smoothstep(0.5, 1.4, distanceToCenter) * uVignette;
+
+    gl_FragColor = vec4(color, texel.a);
+}
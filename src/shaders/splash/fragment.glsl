@@ -0,0 +1,16 @@
+uniform vec3 uSprayColor;
+uniform vec3 uFoamColor;
+
+varying float vAlpha;
+varying float vFoam;
+
+void main()
+{
+    // Soft round point
+    float distanceToCenter = length(gl_PointCoord - 0.5);
+    float strength = 1.0 - smoothstep(0.2, 0.5, distanceToCenter);
+
+    vec3 color = mix(uSprayColor, uFoamColor, vFoam);
+    gl_FragColor = vec4(color, strength * vAlpha);
+    #include <colorspace_fragment>
+}
@@ -0,0 +1,54 @@
+// Splash, spray and wake particles - motion is computed here from the spawn state,
+// the CPU only writes new particles into the ring buffer (WaterEffects.js)
+// Needs gerstner.glsl (and WAVE_COUNT) in front, foam rides the waves
+uniform float uTime;
+uniform float uGravity;
+uniform float uSeaLevel;
+uniform float uPixelsPerMeter;
+
+attribute vec3 aVelocity;
+attribute vec2 aLife; // Spawn time, lifetime (s)
+attribute float aSize; // Meters
+attribute float aFoam; // 1 = foam floating on the waves (position is its rest point), 0 = airborne spray
+
+varying float vAlpha;
+varying float vFoam;
+
+void main()
+{
+    float age = uTime - aLife.x;
+    float progress = age / aLife.y;
+
+    vec3 particlePosition = position + aVelocity * age;
+    float alpha = 1.0 - progress;
+    float size = aSize;
+
+    vec3 waveNormal;
+    vec3 waveOffset = gerstnerWaves(particlePosition.xz, waveNormal);
+    float surface = uSeaLevel + waveOffset.y;
+
+    if(aFoam > 0.5)
+    {
+        particlePosition.xz += waveOffset.xz;
+        particlePosition.y = surface + 0.05;
+        alpha *= smoothstep(0.0, 0.1, progress);
+        size *= 1.0 + progress * 2.0;
+    }
+    else
+    {
+        // Gone once it falls back into the water
+        particlePosition.y -= 0.5 * uGravity * age * age;
+        alpha *= step(surface, particlePosition.y);
+    }
+
+    // Not spawned yet or expired
+    if(progress < 0.0 || progress > 1.0)
+        alpha = 0.0;
+
+    vec4 viewPosition = viewMatrix * vec4(particlePosition, 1.0);
+    gl_Position = projectionMatrix * viewPosition;
+    gl_PointSize = alpha > 0.0 ? size * uPixelsPerMeter / -viewPosition.z : 0.0;
+
+    vAlpha = alpha;
+    vFoam = aFoam;
+}
@@ -0,0 +1,32 @@
+// Sum of Gerstner waves in world space - keep in sync with the CPU evaluator in Ocean.js
+// uWaves[i] = (direction x, direction z, steepness, wavelength), uWaveSpeeds[i] = phase speed (m/s)
+// WAVE_COUNT is defined by Ocean.js when the material compiles
+uniform vec4 uWaves[WAVE_COUNT];
+uniform float uWaveSpeeds[WAVE_COUNT];
+uniform float uWaveTime;
+
+// Displacement of the rest point p (world XZ), with the analytic surface normal
+vec3 gerstnerWaves(vec2 p, out vec3 surfaceNormal)
+{
+    vec3 offset = vec3(0.0);
+    vec3 waveTangent = vec3(1.0, 0.0, 0.0);
+    vec3 waveBinormal = vec3(0.0, 0.0, 1.0);
+
+    for(int i = 0; i < WAVE_COUNT; i++)
+    {
+        vec2 direction = uWaves[i].xy;
+        float steepness = uWaves[i].z;
+        float k = 6.28318530718 / uWaves[i].w;
+        float amplitude = steepness / k;
+        float f = k * (dot(direction, p) - uWaveSpeeds[i] * uWaveTime);
+        float s = sin(f);
+        float c = cos(f);
+
+        offset += vec3(direction.x * amplitude * c, amplitude * s, direction.y * amplitude * c);
+        waveTangent += vec3(-direction.x * direction.x * steepness * s, direction.x * steepness * c, -direction.x * direction.y * steepness * s);
+        waveBinormal += vec3(-direction.x * direction.y * steepness * s, direction.y * steepness * c, -direction.y * direction.y * steepness * s);
+    }
+
+    surfaceNormal = normalize(cross(waveBinormal, waveTangent));
+    return offset;
+}